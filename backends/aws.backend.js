@@ -0,0 +1,53 @@
+/**
+ * AWS Backend
+ * Creates the AWS SDK DynamoDB document client and SQS client
+ */
+
+const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const { SQSClient } = require('@aws-sdk/client-sqs');
+
+const AWS_REGION = process.env.AWS_REGION || 'ap-southeast-1';
+
+class AwsBackend {
+    /**
+     * DOCU: Create the DynamoDB document client <br>
+     * Triggered: Backend.getDocumentClient() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf AwsBackend
+     * @returns {DynamoDBDocumentClient} Document client
+     * @author Vibe Team
+     */
+    static createDocumentClient(){
+        return DynamoDBDocumentClient.from(new DynamoDBClient({ region: AWS_REGION }));
+    }
+
+    /**
+     * DOCU: Create the SQS client <br>
+     * Triggered: Backend.getQueueClient() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf AwsBackend
+     * @returns {SQSClient} SQS client
+     * @author Vibe Team
+     */
+    static createQueueClient(){
+        return new SQSClient({ region: AWS_REGION });
+    }
+
+    /**
+     * DOCU: Current time (the wall clock) <br>
+     * Triggered: Backend.now() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf AwsBackend
+     * @returns {number} Epoch milliseconds
+     * @author Vibe Team
+     */
+    static now(){
+        return Date.now();
+    }
+}
+
+module.exports = AwsBackend;
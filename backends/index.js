@@ -0,0 +1,86 @@
+/**
+ * Backend
+ * Selects the storage/queue backend from STORAGE_BACKEND ('aws' or 'memory')
+ * and hands every model the same shared clients
+ */
+
+const AwsBackend = require('./aws.backend');
+const MemoryBackend = require('./memory.backend');
+
+const BACKENDS = {
+    aws: AwsBackend,
+    memory: MemoryBackend
+};
+
+const clients = {};
+
+class Backend {
+    /**
+     * DOCU: Get the configured backend implementation <br>
+     * Triggered: Backend.getDocumentClient(), Backend.getQueueClient() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf Backend
+     * @returns {Object} Backend with createDocumentClient() and createQueueClient()
+     * @throws {Error} When STORAGE_BACKEND names an unknown backend
+     * @author Vibe Team
+     */
+    static getBackend(){
+        const backend_name = process.env.STORAGE_BACKEND || 'aws';
+
+        if(!BACKENDS[backend_name]){
+            throw new Error(`Invalid STORAGE_BACKEND "${backend_name}". Must be one of: ${Object.keys(BACKENDS).join(', ')}`);
+        }
+
+        return BACKENDS[backend_name];
+    }
+
+    /**
+     * DOCU: Get the shared DynamoDB document client <br>
+     * Triggered: Models at module load <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf Backend
+     * @returns {Object} Client exposing send(command)
+     * @author Vibe Team
+     */
+    static getDocumentClient(){
+        if(!clients.ddb){
+            clients.ddb = Backend.getBackend().createDocumentClient();
+        }
+
+        return clients.ddb;
+    }
+
+    /**
+     * DOCU: Get the shared SQS client <br>
+     * Triggered: QueueModel at module load <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf Backend
+     * @returns {Object} Client exposing send(command)
+     * @author Vibe Team
+     */
+    static getQueueClient(){
+        if(!clients.sqs){
+            clients.sqs = Backend.getBackend().createQueueClient();
+        }
+
+        return clients.sqs;
+    }
+
+    /**
+     * DOCU: Current time of the configured backend, so time-based state follows the memory backend's simulated clock <br>
+     * Triggered: GuardService <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf Backend
+     * @returns {number} Epoch milliseconds
+     * @author Vibe Team
+     */
+    static now(){
+        return Backend.getBackend().now();
+    }
+}
+
+module.exports = Backend;
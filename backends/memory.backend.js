@@ -0,0 +1,680 @@
+/**
+ * Memory Backend
+ * In-process DynamoDB document client and SQS client for local runs.
+ * Both expose the same send(command) interface as the AWS SDK clients,
+ * so models work unchanged against either backend.
+ */
+
+const crypto = require('crypto');
+const MemoryExpression = require('./memory.expression');
+
+const INDEX_KEYS = {
+    GSI1: ['GSI1PK', 'GSI1SK']
+};
+const TABLE_KEYS = ['PK', 'SK'];
+const DEFAULT_VISIBILITY_TIMEOUT = 60;
+const MAX_RECEIVE_COUNT = 10;
+
+const tables = new Map();
+const queues = new Map();
+let clock_offset_ms = 0;
+
+/**
+ * DOCU: Create an error shaped like the AWS SDK service exceptions <br>
+ * Triggered: MemoryDocumentClient, MemoryQueueClient <br>
+ * Last Updated Date: October 19, 2026
+ * @function
+ * @param {string} name - Exception name (e.g. ConditionalCheckFailedException)
+ * @param {string} message - Error message
+ * @returns {Error} Error with name set
+ * @author Vibe Team
+ */
+function createServiceError(name, message){
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
+
+class MemoryDocumentClient {
+    /**
+     * DOCU: Get (or create) the item map of a table <br>
+     * Triggered: MemoryDocumentClient command handlers <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryDocumentClient
+     * @param {string} table_name - Table name
+     * @returns {Map} Items keyed by primary key
+     * @author Vibe Team
+     */
+    static getTable(table_name){
+        if(!tables.has(table_name)){
+            tables.set(table_name, new Map());
+        }
+
+        return tables.get(table_name);
+    }
+
+    /**
+     * DOCU: Build the storage key for an item or Key object <br>
+     * Triggered: MemoryDocumentClient command handlers <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryDocumentClient
+     * @param {Object} key - Object holding PK and SK
+     * @returns {string} Storage key
+     * @author Vibe Team
+     */
+    static buildKey(key){
+        if(key.PK === undefined || key.SK === undefined){
+            throw createServiceError('ValidationException', 'The provided key element does not match the schema');
+        }
+
+        return JSON.stringify([key.PK, key.SK]);
+    }
+
+    /**
+     * DOCU: Throw ConditionalCheckFailedException when a condition does not hold <br>
+     * Triggered: MemoryDocumentClient.put(), update(), delete() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryDocumentClient
+     * @param {Object} input - Command input
+     * @param {Object|undefined} item - Existing item
+     * @returns {void}
+     * @author Vibe Team
+     */
+    static checkCondition(input, item){
+        const condition_met = MemoryExpression.matches(
+            input.ConditionExpression,
+            item,
+            input.ExpressionAttributeNames,
+            input.ExpressionAttributeValues
+        );
+
+        if(!condition_met){
+            throw createServiceError('ConditionalCheckFailedException', 'The conditional request failed');
+        }
+    }
+
+    /**
+     * DOCU: Dispatch a lib-dynamodb command to its in-memory handler <br>
+     * Triggered: Models via Backend.getDocumentClient() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf MemoryDocumentClient
+     * @param {Object} command - Put, Get, Update, Delete, Query, BatchWrite or BatchGet command
+     * @returns {Promise<Object>} Response shaped like the AWS SDK output
+     * @author Vibe Team
+     */
+    send = async (command) => {
+        const input = structuredClone(command.input);
+
+        switch(command.constructor.name){
+            case 'PutCommand': return this.put(input);
+            case 'GetCommand': return this.get(input);
+            case 'UpdateCommand': return this.update(input);
+            case 'DeleteCommand': return this.delete(input);
+            case 'QueryCommand': return this.query(input);
+            case 'BatchWriteCommand': return this.batchWrite(input);
+            case 'BatchGetCommand': return this.batchGet(input);
+            default: throw new Error(`Memory backend does not support ${command.constructor.name}`);
+        }
+    };
+
+    /**
+     * DOCU: PutItem: write an item, honoring ConditionExpression <br>
+     * Triggered: MemoryDocumentClient.send() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryDocumentClient
+     * @param {Object} input - PutCommand input
+     * @returns {Object} {Attributes}
+     * @author Vibe Team
+     */
+    put(input){
+        const table = MemoryDocumentClient.getTable(input.TableName);
+        const key = MemoryDocumentClient.buildKey(input.Item);
+        const existing = table.get(key);
+
+        MemoryDocumentClient.checkCondition(input, existing);
+        table.set(key, input.Item);
+
+        return { Attributes: input.ReturnValues === 'ALL_OLD' ? structuredClone(existing) : undefined };
+    }
+
+    /**
+     * DOCU: GetItem: read an item by key <br>
+     * Triggered: MemoryDocumentClient.send() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryDocumentClient
+     * @param {Object} input - GetCommand input
+     * @returns {Object} {Item}
+     * @author Vibe Team
+     */
+    get(input){
+        const item = MemoryDocumentClient.getTable(input.TableName).get(MemoryDocumentClient.buildKey(input.Key));
+        return { Item: item ? structuredClone(item) : undefined };
+    }
+
+    /**
+     * DOCU: BatchWriteItem: put or delete up to 25 items across tables (never leaves unprocessed items) <br>
+     * Triggered: MemoryDocumentClient.send() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryDocumentClient
+     * @param {Object} input - BatchWriteCommand input
+     * @returns {Object} {UnprocessedItems}
+     * @author Vibe Team
+     */
+    batchWrite(input){
+        for(const table_name in input.RequestItems){
+            const table = MemoryDocumentClient.getTable(table_name);
+
+            for(const request of input.RequestItems[table_name]){
+                if(request.PutRequest){
+                    table.set(MemoryDocumentClient.buildKey(request.PutRequest.Item), request.PutRequest.Item);
+                }
+                else if(request.DeleteRequest){
+                    table.delete(MemoryDocumentClient.buildKey(request.DeleteRequest.Key));
+                }
+            }
+        }
+
+        return { UnprocessedItems: {} };
+    }
+
+    /**
+     * DOCU: BatchGetItem: read up to 100 items by key across tables <br>
+     * Triggered: MemoryDocumentClient.send() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryDocumentClient
+     * @param {Object} input - BatchGetCommand input
+     * @returns {Object} {Responses, UnprocessedKeys}
+     * @author Vibe Team
+     */
+    batchGet(input){
+        const responses = {};
+
+        for(const table_name in input.RequestItems){
+            const table = MemoryDocumentClient.getTable(table_name);
+
+            responses[table_name] = input.RequestItems[table_name].Keys
+                .map(key => table.get(MemoryDocumentClient.buildKey(key)))
+                .filter(Boolean)
+                .map(item => structuredClone(item));
+        }
+
+        return { Responses: responses, UnprocessedKeys: {} };
+    }
+
+    /**
+     * DOCU: UpdateItem: apply an update expression, creating the item if missing <br>
+     * Triggered: MemoryDocumentClient.send() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryDocumentClient
+     * @param {Object} input - UpdateCommand input
+     * @returns {Object} {Attributes} per ReturnValues
+     * @author Vibe Team
+     */
+    update(input){
+        const table = MemoryDocumentClient.getTable(input.TableName);
+        const key = MemoryDocumentClient.buildKey(input.Key);
+        const existing = table.get(key);
+
+        MemoryDocumentClient.checkCondition(input, existing);
+
+        // UpdateItem creates the item when it does not exist yet
+        const item = MemoryExpression.applyUpdate(
+            input.UpdateExpression,
+            structuredClone(existing || input.Key),
+            input.ExpressionAttributeNames,
+            input.ExpressionAttributeValues
+        );
+
+        table.set(key, item);
+
+        if(input.ReturnValues === 'ALL_NEW' || input.ReturnValues === 'UPDATED_NEW'){
+            return { Attributes: structuredClone(item) };
+        }
+
+        if(input.ReturnValues === 'ALL_OLD' || input.ReturnValues === 'UPDATED_OLD'){
+            return { Attributes: structuredClone(existing) };
+        }
+
+        return {};
+    }
+
+    /**
+     * DOCU: DeleteItem: remove an item, honoring ConditionExpression <br>
+     * Triggered: MemoryDocumentClient.send() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryDocumentClient
+     * @param {Object} input - DeleteCommand input
+     * @returns {Object} {Attributes}
+     * @author Vibe Team
+     */
+    delete(input){
+        const table = MemoryDocumentClient.getTable(input.TableName);
+        const key = MemoryDocumentClient.buildKey(input.Key);
+        const existing = table.get(key);
+
+        MemoryDocumentClient.checkCondition(input, existing);
+        table.delete(key);
+
+        return { Attributes: input.ReturnValues === 'ALL_OLD' ? structuredClone(existing) : undefined };
+    }
+
+    /**
+     * DOCU: Keep only the top-level attributes named in a ProjectionExpression <br>
+     * Triggered: MemoryDocumentClient.query() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryDocumentClient
+     * @param {Object} item - Stored item
+     * @param {string} projection_expression - Comma-separated attribute names or #placeholders
+     * @param {Object} names - ExpressionAttributeNames
+     * @returns {Object} Projected item
+     * @author Vibe Team
+     */
+    static projectItem(item, projection_expression, names = {}){
+        const projected = {};
+
+        for(const token of projection_expression.split(',')){
+            const name = token.trim().split(/[.[]/)[0];
+            const attribute = name.startsWith('#') ? names[name] : name;
+
+            if(item[attribute] !== undefined){
+                projected[attribute] = item[attribute];
+            }
+        }
+
+        return projected;
+    }
+
+    /**
+     * DOCU: Query: table or GSI1 query with key condition, filter, projection, order, Limit and paging <br>
+     * Triggered: MemoryDocumentClient.send() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryDocumentClient
+     * @param {Object} input - QueryCommand input
+     * @returns {Object} {Items, Count, ScannedCount, LastEvaluatedKey}
+     * @author Vibe Team
+     */
+    query(input){
+        const [partition_key, sort_key] = input.IndexName ? INDEX_KEYS[input.IndexName] || [] : TABLE_KEYS;
+
+        if(!partition_key){
+            throw createServiceError('ValidationException', `The table does not have the specified index: ${input.IndexName}`);
+        }
+
+        const names = input.ExpressionAttributeNames;
+        const values = input.ExpressionAttributeValues;
+        const key_condition = MemoryExpression.parseCondition(input.KeyConditionExpression, names, values);
+        const direction = input.ScanIndexForward === false ? -1 : 1;
+
+        let items = [...MemoryDocumentClient.getTable(input.TableName).values()]
+            .filter(item => item[partition_key] !== undefined && item[sort_key] !== undefined)
+            .filter(item => MemoryExpression.evaluateCondition(key_condition, item))
+            .sort((left, right) => {
+                const order = left[sort_key] < right[sort_key] ? -1 : left[sort_key] > right[sort_key] ? 1 : 0;
+                return (order || MemoryDocumentClient.buildKey(left).localeCompare(MemoryDocumentClient.buildKey(right))) * direction;
+            });
+
+        // Resume after ExclusiveStartKey, matching on the table key
+        if(input.ExclusiveStartKey){
+            const start_key = MemoryDocumentClient.buildKey(input.ExclusiveStartKey);
+            const start_index = items.findIndex(item => MemoryDocumentClient.buildKey(item) === start_key);
+            items = items.slice(start_index + 1);
+        }
+
+        // Limit applies to items evaluated, before the filter expression (as in DynamoDB)
+        const evaluated = input.Limit ? items.slice(0, input.Limit) : items;
+        const has_more = evaluated.length < items.length;
+        const last_item = evaluated[evaluated.length - 1];
+        const matched = evaluated.filter(item => MemoryExpression.matches(input.FilterExpression, item, names, values));
+
+        let last_evaluated_key;
+
+        if(has_more && last_item){
+            last_evaluated_key = { PK: last_item.PK, SK: last_item.SK };
+
+            if(input.IndexName){
+                last_evaluated_key[partition_key] = last_item[partition_key];
+                last_evaluated_key[sort_key] = last_item[sort_key];
+            }
+        }
+
+        const projected = input.ProjectionExpression
+            ? matched.map(item => MemoryDocumentClient.projectItem(item, input.ProjectionExpression, names))
+            : matched;
+
+        return {
+            Items: structuredClone(projected),
+            Count: matched.length,
+            ScannedCount: evaluated.length,
+            LastEvaluatedKey: last_evaluated_key
+        };
+    }
+}
+
+class MemoryQueueClient {
+    /**
+     * DOCU: Get (or create) a queue by URL <br>
+     * Triggered: MemoryQueueClient command handlers, MemoryBackend <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryQueueClient
+     * @param {string} queue_url - Queue URL
+     * @returns {Array<Object>} Messages in the queue
+     * @author Vibe Team
+     */
+    static getQueue(queue_url){
+        if(!queue_url){
+            throw createServiceError('QueueDoesNotExist', 'Missing QueueUrl (set QUEUE_URL and DLQ_URL)');
+        }
+
+        if(!queues.has(queue_url)){
+            queues.set(queue_url, []);
+        }
+
+        return queues.get(queue_url);
+    }
+
+    /**
+     * DOCU: Dispatch an SQS command to its in-memory handler <br>
+     * Triggered: QueueModel via Backend.getQueueClient() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf MemoryQueueClient
+     * @param {Object} command - SendMessage, SendMessageBatch, ReceiveMessage, DeleteMessage or ChangeMessageVisibility command
+     * @returns {Promise<Object>} Response shaped like the AWS SDK output
+     * @author Vibe Team
+     */
+    send = async (command) => {
+        const input = structuredClone(command.input);
+
+        switch(command.constructor.name){
+            case 'SendMessageCommand': return this.sendMessage(input);
+            case 'SendMessageBatchCommand': return this.sendMessageBatch(input);
+            case 'ReceiveMessageCommand': return this.receiveMessage(input);
+            case 'DeleteMessageCommand': return this.deleteMessage(input);
+            case 'ChangeMessageVisibilityCommand': return this.changeMessageVisibility(input);
+            default: throw new Error(`Memory backend does not support ${command.constructor.name}`);
+        }
+    };
+
+    /**
+     * DOCU: SendMessage: enqueue a message with optional DelaySeconds <br>
+     * Triggered: MemoryQueueClient.send() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryQueueClient
+     * @param {Object} input - SendMessageCommand input
+     * @returns {Object} {MessageId}
+     * @author Vibe Team
+     */
+    sendMessage(input){
+        const message_id = crypto.randomUUID();
+
+        MemoryQueueClient.getQueue(input.QueueUrl).push({
+            MessageId: message_id,
+            Body: input.MessageBody,
+            MessageAttributes: input.MessageAttributes || {},
+            receipt_handle: null,
+            receive_count: 0,
+            sent_at: MemoryBackend.now(),
+            visible_at: MemoryBackend.now() + ((input.DelaySeconds || 0) * 1000)
+        });
+
+        return { MessageId: message_id };
+    }
+
+    /**
+     * DOCU: SendMessageBatch: enqueue up to 10 messages, each with its own DelaySeconds <br>
+     * Triggered: MemoryQueueClient.send() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryQueueClient
+     * @param {Object} input - SendMessageBatchCommand input
+     * @returns {Object} {Successful, Failed}
+     * @author Vibe Team
+     */
+    sendMessageBatch(input){
+        const successful = input.Entries.map(entry => ({
+            Id: entry.Id,
+            ...this.sendMessage({ ...entry, QueueUrl: input.QueueUrl })
+        }));
+
+        return { Successful: successful, Failed: [] };
+    }
+
+    /**
+     * DOCU: ReceiveMessage: return visible messages and hide them for the visibility timeout <br>
+     * Triggered: MemoryQueueClient.send() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryQueueClient
+     * @param {Object} input - ReceiveMessageCommand input
+     * @returns {Object} {Messages}
+     * @author Vibe Team
+     */
+    receiveMessage(input){
+        const queue = MemoryQueueClient.getQueue(input.QueueUrl);
+        const redrive = MemoryBackend.getRedrivePolicy(input.QueueUrl);
+        const visibility_timeout = input.VisibilityTimeout ?? DEFAULT_VISIBILITY_TIMEOUT;
+        const messages = [];
+
+        for(const message of [...queue]){
+            if(messages.length >= (input.MaxNumberOfMessages || 1)){
+                break;
+            }
+
+            if(message.visible_at > MemoryBackend.now()){
+                continue;
+            }
+
+            // Redrive policy: move the message to the DLQ once maxReceiveCount is exceeded
+            if(redrive && message.receive_count >= redrive.max_receive_count){
+                queue.splice(queue.indexOf(message), 1);
+                MemoryQueueClient.getQueue(redrive.dlq_url).push({ ...message, receive_count: 0, receipt_handle: null, visible_at: MemoryBackend.now() });
+                continue;
+            }
+
+            message.receive_count += 1;
+            message.receipt_handle = crypto.randomUUID();
+            message.visible_at = MemoryBackend.now() + (visibility_timeout * 1000);
+
+            messages.push({
+                MessageId: message.MessageId,
+                ReceiptHandle: message.receipt_handle,
+                Body: message.Body,
+                MessageAttributes: structuredClone(message.MessageAttributes),
+                Attributes: {
+                    ApproximateReceiveCount: String(message.receive_count),
+                    SentTimestamp: String(message.sent_at)
+                }
+            });
+        }
+
+        return { Messages: messages.length ? messages : undefined };
+    }
+
+    /**
+     * DOCU: Find an in-flight message by its current receipt handle <br>
+     * Triggered: MemoryQueueClient.deleteMessage(), changeMessageVisibility() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryQueueClient
+     * @param {Object} input - Command input {QueueUrl, ReceiptHandle}
+     * @returns {Object} Queue and message index
+     * @author Vibe Team
+     */
+    static findReceipt(input){
+        const queue = MemoryQueueClient.getQueue(input.QueueUrl);
+        const index = queue.findIndex(message => message.receipt_handle === input.ReceiptHandle);
+
+        if(index === -1){
+            throw createServiceError('ReceiptHandleIsInvalid', `The receipt handle "${input.ReceiptHandle}" is not valid`);
+        }
+
+        return { queue, index };
+    }
+
+    /**
+     * DOCU: DeleteMessage: remove an in-flight message <br>
+     * Triggered: MemoryQueueClient.send() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryQueueClient
+     * @param {Object} input - DeleteMessageCommand input
+     * @returns {Object} Empty response
+     * @author Vibe Team
+     */
+    deleteMessage(input){
+        const { queue, index } = MemoryQueueClient.findReceipt(input);
+        queue.splice(index, 1);
+        return {};
+    }
+
+    /**
+     * DOCU: ChangeMessageVisibility: reschedule when an in-flight message becomes visible <br>
+     * A message moves to the back of the queue, since SQS does not keep messages in order and a message
+     * made visible again should not be the only one the next receive returns. <br>
+     * Triggered: MemoryQueueClient.send() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryQueueClient
+     * @param {Object} input - ChangeMessageVisibilityCommand input
+     * @returns {Object} Empty response
+     * @author Vibe Team
+     */
+    changeMessageVisibility(input){
+        const { queue, index } = MemoryQueueClient.findReceipt(input);
+        const [message] = queue.splice(index, 1);
+
+        message.visible_at = MemoryBackend.now() + (input.VisibilityTimeout * 1000);
+        queue.push(message);
+        return {};
+    }
+}
+
+class MemoryBackend {
+    /**
+     * DOCU: Create the in-memory DynamoDB document client <br>
+     * Triggered: Backend.getDocumentClient() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryBackend
+     * @returns {MemoryDocumentClient} Document client
+     * @author Vibe Team
+     */
+    static createDocumentClient(){
+        return new MemoryDocumentClient();
+    }
+
+    /**
+     * DOCU: Create the in-memory SQS client <br>
+     * Triggered: Backend.getQueueClient() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryBackend
+     * @returns {MemoryQueueClient} Queue client
+     * @author Vibe Team
+     */
+    static createQueueClient(){
+        return new MemoryQueueClient();
+    }
+
+    /**
+     * DOCU: Current time of the simulated queue clock (wall clock plus advanceTime offset) <br>
+     * Triggered: MemoryQueueClient, Backend.now() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryBackend
+     * @returns {number} Epoch milliseconds
+     * @author Vibe Team
+     */
+    static now(){
+        return Date.now() + clock_offset_ms;
+    }
+
+    /**
+     * DOCU: Move the queue clock forward so delayed or backed-off messages become visible <br>
+     * Triggered: Local runner <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryBackend
+     * @param {number} seconds - Seconds to advance
+     * @returns {void}
+     * @author Vibe Team
+     */
+    static advanceTime(seconds){
+        clock_offset_ms += seconds * 1000;
+    }
+
+    /**
+     * DOCU: Redrive policy for a queue, mirroring MainQueue -> DeadLetterQueue in the template <br>
+     * Triggered: MemoryQueueClient.receiveMessage() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryBackend
+     * @param {string} queue_url - Queue URL
+     * @returns {Object|null} {dlq_url, max_receive_count} or null
+     * @author Vibe Team
+     */
+    static getRedrivePolicy(queue_url){
+        if(queue_url !== process.env.QUEUE_URL || !process.env.DLQ_URL){
+            return null;
+        }
+
+        return { dlq_url: process.env.DLQ_URL, max_receive_count: MAX_RECEIVE_COUNT };
+    }
+
+    /**
+     * DOCU: Summarize a queue: visible, in-flight and delayed message counts, and next visibility time <br>
+     * Triggered: Local runner <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryBackend
+     * @param {string} queue_url - Queue URL
+     * @returns {Object} {total, visible, next_visible_in_seconds}
+     * @author Vibe Team
+     */
+    static getQueueStats(queue_url){
+        const messages = MemoryQueueClient.getQueue(queue_url);
+        const now = MemoryBackend.now();
+        const pending = messages.filter(message => message.visible_at > now);
+
+        return {
+            total: messages.length,
+            visible: messages.length - pending.length,
+            next_visible_in_seconds: pending.length
+                ? Math.ceil((Math.min(...pending.map(message => message.visible_at)) - now) / 1000)
+                : null
+        };
+    }
+
+    /**
+     * DOCU: Clear all tables and queues and reset the clock <br>
+     * Triggered: Local runner <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryBackend
+     * @returns {void}
+     * @author Vibe Team
+     */
+    static reset(){
+        tables.clear();
+        queues.clear();
+        clock_offset_ms = 0;
+    }
+}
+
+module.exports = MemoryBackend;
@@ -0,0 +1,553 @@
+/**
+ * Memory Expression
+ * Parses and evaluates the DynamoDB expression subset used by the models
+ * (condition/filter/key condition expressions and update expressions)
+ */
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'BETWEEN', 'IN', 'SET', 'REMOVE', 'ADD', 'DELETE'];
+const COMPARATORS = ['=', '<>', '<', '<=', '>', '>='];
+
+class MemoryExpression {
+    /**
+     * DOCU: Split an expression into tokens <br>
+     * Triggered: MemoryExpression.createParser() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryExpression
+     * @param {string} expression - DynamoDB expression
+     * @returns {Array<Object>} Tokens {type, value}
+     * @throws {Error} On unexpected characters
+     * @author Vibe Team
+     */
+    static tokenize(expression){
+        const tokens = [];
+        const pattern = /\s*(<>|<=|>=|[=<>+\-(),.\[\]]|:[A-Za-z0-9_]+|#[A-Za-z0-9_]+|[A-Za-z_][A-Za-z0-9_]*|\d+)/y;
+        let index = 0;
+
+        while(index < expression.length){
+            if(/^\s+$/.test(expression.slice(index))){
+                break;
+            }
+
+            pattern.lastIndex = index;
+            const match = pattern.exec(expression);
+
+            if(!match){
+                throw new Error(`Invalid expression near: ${expression.slice(index)}`);
+            }
+
+            const value = match[1];
+            index = pattern.lastIndex;
+
+            if(value.startsWith(':')){
+                tokens.push({ type: 'value', value });
+            }
+            else if(value.startsWith('#')){
+                tokens.push({ type: 'name', value });
+            }
+            else if(/^\d+$/.test(value)){
+                tokens.push({ type: 'number', value: Number(value) });
+            }
+            else if(/^[A-Za-z_]/.test(value)){
+                const upper = value.toUpperCase();
+                tokens.push(KEYWORDS.includes(upper) ? { type: 'keyword', value: upper } : { type: 'identifier', value });
+            }
+            else{
+                tokens.push({ type: 'symbol', value });
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * DOCU: Create a token cursor with helpers shared by the parsers <br>
+     * Triggered: MemoryExpression.parseCondition(), MemoryExpression.parseUpdate() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryExpression
+     * @param {string} expression - DynamoDB expression
+     * @param {Object} names - ExpressionAttributeNames
+     * @param {Object} values - ExpressionAttributeValues
+     * @returns {Object} Parser state
+     * @author Vibe Team
+     */
+    static createParser(expression, names = {}, values = {}){
+        const tokens = MemoryExpression.tokenize(expression);
+        let position = 0;
+
+        const parser = {
+            peek: () => tokens[position],
+            next: () => tokens[position++],
+            done: () => position >= tokens.length,
+            isSymbol: (value) => tokens[position]?.type === 'symbol' && tokens[position].value === value,
+            isKeyword: (value) => tokens[position]?.type === 'keyword' && tokens[position].value === value,
+            expectSymbol: (value) => {
+                const token = tokens[position++];
+
+                if(token?.type !== 'symbol' || token.value !== value){
+                    throw new Error(`Expected "${value}" in expression: ${expression}`);
+                }
+            },
+            expectKeyword: (value) => {
+                const token = tokens[position++];
+
+                if(token?.type !== 'keyword' || token.value !== value){
+                    throw new Error(`Expected ${value} in expression: ${expression}`);
+                }
+            },
+            parsePath: () => {
+                const segments = [];
+                const first = tokens[position++];
+
+                segments.push(MemoryExpression.resolveName(first, names, expression));
+
+                while(parser.isSymbol('.') || parser.isSymbol('[')){
+                    if(parser.isSymbol('.')){
+                        position++;
+                        segments.push(MemoryExpression.resolveName(tokens[position++], names, expression));
+                    }
+                    else{
+                        position++;
+                        const index_token = tokens[position++];
+
+                        if(index_token?.type !== 'number'){
+                            throw new Error(`Expected list index in expression: ${expression}`);
+                        }
+
+                        segments.push(index_token.value);
+                        parser.expectSymbol(']');
+                    }
+                }
+
+                return { type: 'path', segments };
+            },
+            parseOperand: () => {
+                const token = parser.peek();
+
+                if(token?.type === 'value'){
+                    position++;
+
+                    if(!(token.value in values)){
+                        throw new Error(`Missing ExpressionAttributeValues entry: ${token.value}`);
+                    }
+
+                    return { type: 'literal', value: values[token.value] };
+                }
+
+                if(token?.type === 'identifier' && tokens[position + 1]?.type === 'symbol' && tokens[position + 1].value === '('){
+                    position += 2;
+                    const args = [parser.parseOperand()];
+
+                    while(parser.isSymbol(',')){
+                        position++;
+                        args.push(parser.parseOperand());
+                    }
+
+                    parser.expectSymbol(')');
+                    return { type: 'function', name: token.value, args };
+                }
+
+                return parser.parsePath();
+            }
+        };
+
+        return parser;
+    }
+
+    /**
+     * DOCU: Resolve a path segment token, substituting #name placeholders <br>
+     * Triggered: MemoryExpression.createParser() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryExpression
+     * @param {Object} token - Token
+     * @param {Object} names - ExpressionAttributeNames
+     * @param {string} expression - Expression (for error messages)
+     * @returns {string} Attribute name
+     * @author Vibe Team
+     */
+    static resolveName(token, names, expression){
+        if(token?.type === 'name'){
+            if(!(token.value in names)){
+                throw new Error(`Missing ExpressionAttributeNames entry: ${token.value}`);
+            }
+
+            return names[token.value];
+        }
+
+        if(token?.type === 'identifier'){
+            return token.value;
+        }
+
+        throw new Error(`Expected attribute name in expression: ${expression}`);
+    }
+
+    /**
+     * DOCU: Read a path from an item <br>
+     * Triggered: MemoryExpression.evaluateOperand() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryExpression
+     * @param {Object} item - Item
+     * @param {Array} segments - Path segments
+     * @returns {*} Value or undefined
+     * @author Vibe Team
+     */
+    static getPath(item, segments){
+        let value = item;
+
+        for(const segment of segments){
+            if(value === null || value === undefined || typeof value !== 'object'){
+                return undefined;
+            }
+
+            value = value[segment];
+        }
+
+        return value;
+    }
+
+    /**
+     * DOCU: Evaluate an operand (path, literal or function) against an item <br>
+     * Triggered: MemoryExpression.evaluateCondition(), MemoryExpression.applyUpdate() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryExpression
+     * @param {Object} operand - Parsed operand
+     * @param {Object} item - Item
+     * @returns {*} Operand value
+     * @author Vibe Team
+     */
+    static evaluateOperand(operand, item){
+        if(operand.type === 'literal'){
+            return operand.value;
+        }
+
+        if(operand.type === 'path'){
+            return MemoryExpression.getPath(item, operand.segments);
+        }
+
+        const args = operand.args;
+
+        if(operand.name === 'if_not_exists'){
+            const current = MemoryExpression.evaluateOperand(args[0], item);
+            return current === undefined ? MemoryExpression.evaluateOperand(args[1], item) : current;
+        }
+
+        if(operand.name === 'list_append'){
+            return [...(MemoryExpression.evaluateOperand(args[0], item) || []), ...(MemoryExpression.evaluateOperand(args[1], item) || [])];
+        }
+
+        if(operand.name === 'size'){
+            const value = MemoryExpression.evaluateOperand(args[0], item);
+            return typeof value === 'string' || Array.isArray(value) ? value.length : Object.keys(value || {}).length;
+        }
+
+        throw new Error(`Unsupported function in expression: ${operand.name}`);
+    }
+
+    /**
+     * DOCU: Compare two values the way DynamoDB does (same type only) <br>
+     * Triggered: MemoryExpression.evaluateCondition() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryExpression
+     * @param {*} left - Left value
+     * @param {string} comparator - Comparator
+     * @param {*} right - Right value
+     * @returns {boolean} Comparison result
+     * @author Vibe Team
+     */
+    static compare(left, comparator, right){
+        if(comparator === '='){
+            return left !== undefined && JSON.stringify(left) === JSON.stringify(right);
+        }
+
+        if(comparator === '<>'){
+            return JSON.stringify(left) !== JSON.stringify(right);
+        }
+
+        if(left === undefined || right === undefined || typeof left !== typeof right){
+            return false;
+        }
+
+        if(comparator === '<') return left < right;
+        if(comparator === '<=') return left <= right;
+        if(comparator === '>') return left > right;
+        return left >= right;
+    }
+
+    /**
+     * DOCU: Parse a condition, filter or key condition expression into a tree <br>
+     * Triggered: MemoryExpression.matches() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryExpression
+     * @param {string} expression - Expression
+     * @param {Object} names - ExpressionAttributeNames
+     * @param {Object} values - ExpressionAttributeValues
+     * @returns {Object} Condition tree
+     * @author Vibe Team
+     */
+    static parseCondition(expression, names, values){
+        const parser = MemoryExpression.createParser(expression, names, values);
+
+        const parseOr = () => {
+            let node = parseAnd();
+
+            while(parser.isKeyword('OR')){
+                parser.next();
+                node = { type: 'or', left: node, right: parseAnd() };
+            }
+
+            return node;
+        };
+
+        const parseAnd = () => {
+            let node = parseNot();
+
+            while(parser.isKeyword('AND')){
+                parser.next();
+                node = { type: 'and', left: node, right: parseNot() };
+            }
+
+            return node;
+        };
+
+        const parseNot = () => {
+            if(parser.isKeyword('NOT')){
+                parser.next();
+                return { type: 'not', node: parseNot() };
+            }
+
+            if(parser.isSymbol('(')){
+                parser.next();
+                const node = parseOr();
+                parser.expectSymbol(')');
+                return node;
+            }
+
+            const operand = parser.parseOperand();
+
+            if(operand.type === 'function' && ['attribute_exists', 'attribute_not_exists', 'begins_with', 'contains'].includes(operand.name)){
+                return { type: 'function', operand };
+            }
+
+            if(parser.isKeyword('BETWEEN')){
+                parser.next();
+                const low = parser.parseOperand();
+                parser.expectKeyword('AND');
+                return { type: 'between', operand, low, high: parser.parseOperand() };
+            }
+
+            if(parser.isKeyword('IN')){
+                parser.next();
+                parser.expectSymbol('(');
+                const options = [parser.parseOperand()];
+
+                while(parser.isSymbol(',')){
+                    parser.next();
+                    options.push(parser.parseOperand());
+                }
+
+                parser.expectSymbol(')');
+                return { type: 'in', operand, options };
+            }
+
+            const comparator = parser.next();
+
+            if(comparator?.type !== 'symbol' || !COMPARATORS.includes(comparator.value)){
+                throw new Error(`Expected comparator in expression: ${expression}`);
+            }
+
+            return { type: 'compare', left: operand, comparator: comparator.value, right: parser.parseOperand() };
+        };
+
+        const tree = parseOr();
+
+        if(!parser.done()){
+            throw new Error(`Unexpected token in expression: ${expression}`);
+        }
+
+        return tree;
+    }
+
+    /**
+     * DOCU: Evaluate a parsed condition tree against an item <br>
+     * Triggered: MemoryExpression.matches() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryExpression
+     * @param {Object} node - Condition tree
+     * @param {Object} item - Item (empty object when it does not exist)
+     * @returns {boolean} True if the item satisfies the condition
+     * @author Vibe Team
+     */
+    static evaluateCondition(node, item){
+        const value = (operand) => MemoryExpression.evaluateOperand(operand, item);
+
+        if(node.type === 'or') return MemoryExpression.evaluateCondition(node.left, item) || MemoryExpression.evaluateCondition(node.right, item);
+        if(node.type === 'and') return MemoryExpression.evaluateCondition(node.left, item) && MemoryExpression.evaluateCondition(node.right, item);
+        if(node.type === 'not') return !MemoryExpression.evaluateCondition(node.node, item);
+        if(node.type === 'compare') return MemoryExpression.compare(value(node.left), node.comparator, value(node.right));
+        if(node.type === 'between') return MemoryExpression.compare(value(node.operand), '>=', value(node.low)) && MemoryExpression.compare(value(node.operand), '<=', value(node.high));
+        if(node.type === 'in') return node.options.some(option => MemoryExpression.compare(value(node.operand), '=', value(option)));
+
+        const { name, args } = node.operand;
+
+        if(name === 'attribute_exists') return value(args[0]) !== undefined;
+        if(name === 'attribute_not_exists') return value(args[0]) === undefined;
+
+        const target = value(args[0]);
+        const search = value(args[1]);
+
+        if(name === 'begins_with') return typeof target === 'string' && target.startsWith(search);
+        return (typeof target === 'string' || Array.isArray(target)) && target.includes(search);
+    }
+
+    /**
+     * DOCU: Check whether an item satisfies an expression <br>
+     * Triggered: MemoryDocumentClient <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryExpression
+     * @param {string} expression - Condition expression (empty means always true)
+     * @param {Object|undefined} item - Item
+     * @param {Object} names - ExpressionAttributeNames
+     * @param {Object} values - ExpressionAttributeValues
+     * @returns {boolean} True if satisfied
+     * @author Vibe Team
+     */
+    static matches(expression, item, names, values){
+        if(!expression){
+            return true;
+        }
+
+        return MemoryExpression.evaluateCondition(MemoryExpression.parseCondition(expression, names, values), item || {});
+    }
+
+    /**
+     * DOCU: Write a value at a path, creating intermediate maps <br>
+     * Triggered: MemoryExpression.applyUpdate() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryExpression
+     * @param {Object} item - Item
+     * @param {Array} segments - Path segments
+     * @param {*} value - Value (undefined removes the attribute)
+     * @returns {void}
+     * @author Vibe Team
+     */
+    static setPath(item, segments, value){
+        let target = item;
+
+        for(const segment of segments.slice(0, -1)){
+            if(target[segment] === null || typeof target[segment] !== 'object'){
+                target[segment] = {};
+            }
+
+            target = target[segment];
+        }
+
+        const last = segments[segments.length - 1];
+
+        if(value === undefined){
+            Array.isArray(target) ? target.splice(last, 1) : delete target[last];
+        }
+        else{
+            target[last] = value;
+        }
+    }
+
+    /**
+     * DOCU: Apply an update expression (SET, REMOVE, ADD) to an item in place <br>
+     * Triggered: MemoryDocumentClient <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MemoryExpression
+     * @param {string} expression - Update expression
+     * @param {Object} item - Item to mutate
+     * @param {Object} names - ExpressionAttributeNames
+     * @param {Object} values - ExpressionAttributeValues
+     * @returns {Object} Mutated item
+     * @author Vibe Team
+     */
+    static applyUpdate(expression, item, names, values){
+        const parser = MemoryExpression.createParser(expression, names, values);
+        const clause_keywords = ['SET', 'REMOVE', 'ADD', 'DELETE'];
+        const actions = [];
+
+        while(!parser.done()){
+            const clause = parser.next();
+
+            if(clause.type !== 'keyword' || !clause_keywords.includes(clause.value)){
+                throw new Error(`Expected SET, REMOVE or ADD in update expression: ${expression}`);
+            }
+
+            do{
+                if(parser.isSymbol(',')){
+                    parser.next();
+                }
+
+                const path = parser.parsePath();
+
+                if(clause.value === 'SET'){
+                    parser.expectSymbol('=');
+                    const left = parser.parseOperand();
+
+                    if(parser.isSymbol('+') || parser.isSymbol('-')){
+                        const operator = parser.next().value;
+                        actions.push({ type: 'SET', path, left, operator, right: parser.parseOperand() });
+                    }
+                    else{
+                        actions.push({ type: 'SET', path, left });
+                    }
+                }
+                else if(clause.value === 'REMOVE'){
+                    actions.push({ type: 'REMOVE', path });
+                }
+                else{
+                    actions.push({ type: clause.value, path, operand: parser.parseOperand() });
+                }
+            } while(parser.isSymbol(','));
+        }
+
+        // Right-hand sides are evaluated against the item before any action is applied
+        const snapshot = structuredClone(item);
+
+        for(const action of actions){
+            if(action.type === 'SET'){
+                let value = MemoryExpression.evaluateOperand(action.left, snapshot);
+
+                if(action.operator){
+                    const right = MemoryExpression.evaluateOperand(action.right, snapshot);
+                    value = action.operator === '+' ? value + right : value - right;
+                }
+
+                MemoryExpression.setPath(item, action.path.segments, value);
+            }
+            else if(action.type === 'REMOVE'){
+                MemoryExpression.setPath(item, action.path.segments, undefined);
+            }
+            else if(action.type === 'ADD'){
+                const current = MemoryExpression.getPath(snapshot, action.path.segments);
+                const operand = MemoryExpression.evaluateOperand(action.operand, snapshot);
+                const value = current instanceof Set || operand instanceof Set
+                    ? new Set([...(current || []), ...operand])
+                    : (current || 0) + operand;
+
+                MemoryExpression.setPath(item, action.path.segments, value);
+            }
+            else{
+                const current = MemoryExpression.getPath(snapshot, action.path.segments);
+                const operand = MemoryExpression.evaluateOperand(action.operand, snapshot);
+                MemoryExpression.setPath(item, action.path.segments, new Set([...(current || [])].filter(entry => !operand.has(entry))));
+            }
+        }
+
+        return item;
+    }
+}
+
+module.exports = MemoryExpression;
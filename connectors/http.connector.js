@@ -0,0 +1,48 @@
+/**
+ * HTTP Connector
+ * Registers the generic http-request action for calling arbitrary REST services
+ */
+
+const HttpService = require('../services/http.service');
+
+const SCALAR_SCHEMA = { type: ['string', 'number', 'boolean'] };
+
+module.exports = {
+    app: 'http',
+    description: 'Generic HTTP requests to REST services',
+    actions: [
+        {
+            name: 'http-request',
+            description: 'Send an HTTP request; url, query, headers and body may reference {{params.<path>}}',
+            input_schema: {
+                type: 'object',
+                required: ['url'],
+                additionalProperties: false,
+                properties: {
+                    method: { type: 'string', description: 'HTTP method (default GET)', enum: HttpService.METHODS },
+                    url: { type: 'string', description: 'Absolute http(s) URL', minLength: 1, maxLength: 2048, pattern: '^(https?://|\\{\\{\\s*params\\.)', pattern_description: 'an absolute http(s) URL' },
+                    query: {
+                        type: 'object',
+                        description: 'Query string values (arrays repeat the name)',
+                        additionalProperties: { type: ['string', 'number', 'boolean', 'array'], items: SCALAR_SCHEMA, maxItems: 50 }
+                    },
+                    headers: { type: 'object', description: 'Request headers', additionalProperties: { type: 'string', maxLength: 4096 } },
+                    body: { description: 'Request body, not allowed with GET or HEAD' },
+                    body_type: { type: 'string', description: 'Body encoding (default json)', enum: HttpService.BODY_TYPES },
+                    params: { type: 'object', description: 'Values for {{params.<path>}} references' },
+                    timeout_ms: { type: 'integer', description: `Request timeout (100-${HttpService.MAX_TIMEOUT_MS}ms)`, minimum: 100, maximum: HttpService.MAX_TIMEOUT_MS },
+                    max_response_bytes: { type: 'integer', description: `Largest response body accepted (max ${HttpService.MAX_RESPONSE_BYTES})`, minimum: 1, maximum: HttpService.MAX_RESPONSE_BYTES },
+                    fail_on_error_status: { type: 'boolean', description: 'Fail on 4xx/5xx responses (default true)' }
+                }
+            },
+            metadata: {
+                service: 'HttpService.request',
+                retry_policy: { max_attempts: 3, base_delay_seconds: 5, max_delay_seconds: 120 },
+                // Leaves room for the longest request timeout_ms plus reading the response
+                timeout_ms: HttpService.MAX_TIMEOUT_MS + 5000
+            },
+            // No cache or format: requests may have side effects and the stored result is the response itself
+            handler: (input, context) => HttpService.request(input, context)
+        }
+    ]
+};
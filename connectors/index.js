@@ -0,0 +1,287 @@
+/**
+ * Connector Registry
+ * Central registry of connector apps and the actions and polling triggers they expose
+ */
+
+const PokemonConnector = require('./pokemon.connector');
+const HttpConnector = require('./http.connector');
+const SchemaService = require('../services/schema.service');
+const ProjectionService = require('../services/projection.service');
+const { NonRetryableError } = require('../services/errors');
+
+const MAX_RETRY_ATTEMPTS = 10;
+// An action has to finish well inside the function timeout (60s)
+const MAX_TIMEOUT_MS = 50000;
+// Results are stored on the execution (and step) record, which DynamoDB caps at 400KB
+const MAX_RESULT_BYTES = 350 * 1024;
+
+const actions = new Map();
+const triggers = new Map();
+const apps = new Map();
+
+class ConnectorRegistry {
+    /**
+     * DOCU: Register a connector app and all of its actions and triggers <br>
+     * Triggered: Module load (built-in connectors), custom integrations <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ConnectorRegistry
+     * @param {Object} connector - Connector definition {app, description, actions, triggers}
+     * @returns {void}
+     * @author Vibe Team
+     */
+    static registerConnector(connector){
+        if(!connector.app || !Array.isArray(connector.actions)){
+            throw new Error('Connector must define app and actions');
+        }
+
+        for(const key in connector.actions){
+            const action = connector.actions[key];
+
+            if(!action.name || typeof action.handler !== 'function'){
+                throw new Error(`Invalid action definition in connector: ${connector.app}`);
+            }
+
+            if(action.input_schema && action.input_schema.type !== 'object'){
+                throw new Error(`Invalid input_schema for action ${action.name}. Must be an object schema`);
+            }
+
+            if(action.format !== undefined && typeof action.format !== 'function'){
+                throw new Error(`Invalid format for action ${action.name}. Must be a function`);
+            }
+
+            if(actions.has(action.name)){
+                throw new Error(`Action already registered: ${action.name}`);
+            }
+
+            // Must stay within the main queue's maxReceiveCount so SQS redrive never preempts the policy
+            const max_attempts = action.metadata?.retry_policy?.max_attempts;
+
+            if(max_attempts !== undefined && (!Number.isInteger(max_attempts) || max_attempts < 1 || max_attempts > MAX_RETRY_ATTEMPTS)){
+                throw new Error(`Invalid retry_policy.max_attempts for action ${action.name}. Must be 1-${MAX_RETRY_ATTEMPTS}`);
+            }
+
+            const timeout_ms = action.metadata?.timeout_ms;
+
+            if(timeout_ms !== undefined && (!Number.isInteger(timeout_ms) || timeout_ms < 1 || timeout_ms > MAX_TIMEOUT_MS)){
+                throw new Error(`Invalid timeout_ms for action ${action.name}. Must be 1-${MAX_TIMEOUT_MS}`);
+            }
+
+            const cache_ttl = action.metadata?.cache?.ttl_seconds;
+
+            if(action.metadata?.cache && (!Number.isInteger(cache_ttl) || cache_ttl < 1)){
+                throw new Error(`Invalid cache.ttl_seconds for action ${action.name}. Must be a positive integer`);
+            }
+
+            actions.set(action.name, {
+                app: connector.app,
+                name: action.name,
+                description: action.description || '',
+                input_schema: action.input_schema || { type: 'object', required: [], properties: {} },
+                metadata: action.metadata || {},
+                handler: action.handler,
+                format: action.format || null
+            });
+        }
+
+        for(const trigger of connector.triggers || []){
+            if(!trigger.name || typeof trigger.poll !== 'function' || typeof trigger.item_key !== 'function'){
+                throw new Error(`Invalid trigger definition in connector: ${connector.app}`);
+            }
+
+            if(trigger.input_schema && trigger.input_schema.type !== 'object'){
+                throw new Error(`Invalid input_schema for trigger ${trigger.name}. Must be an object schema`);
+            }
+
+            if(triggers.has(trigger.name)){
+                throw new Error(`Trigger already registered: ${trigger.name}`);
+            }
+
+            triggers.set(trigger.name, {
+                app: connector.app,
+                name: trigger.name,
+                description: trigger.description || '',
+                input_schema: trigger.input_schema || { type: 'object', required: [], properties: {} },
+                metadata: trigger.metadata || {},
+                poll: trigger.poll,
+                item_key: trigger.item_key
+            });
+        }
+
+        apps.set(connector.app, {
+            app: connector.app,
+            description: connector.description || '',
+            actions: connector.actions.map(action => action.name),
+            triggers: (connector.triggers || []).map(trigger => trigger.name)
+        });
+    }
+
+    /**
+     * DOCU: Get a registered action definition by name <br>
+     * Triggered: ConsumerController.processMessage(), ConnectorRegistry.validateInput() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ConnectorRegistry
+     * @param {string} action_name - Action name (e.g. get-pokemon)
+     * @returns {Object|null} Action definition or null
+     * @author Vibe Team
+     */
+    static getAction(action_name){
+        return actions.get(action_name) || null;
+    }
+
+    /**
+     * DOCU: List names of all registered actions <br>
+     * Triggered: ProducerController.validateAction() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ConnectorRegistry
+     * @returns {Array<string>} Action names
+     * @author Vibe Team
+     */
+    static listActionNames(){
+        return Array.from(actions.keys());
+    }
+
+    /**
+     * DOCU: Get a registered polling trigger definition by name <br>
+     * Triggered: TriggerController.validateTrigger(), TriggerController.pollTrigger() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ConnectorRegistry
+     * @param {string} trigger_name - Trigger name (e.g. new-pokemon)
+     * @returns {Object|null} Trigger definition {name, input_schema, poll(input), item_key(item)} or null
+     * @author Vibe Team
+     */
+    static getTrigger(trigger_name){
+        return triggers.get(trigger_name) || null;
+    }
+
+    /**
+     * DOCU: List names of all registered polling triggers <br>
+     * Triggered: TriggerController.validateTrigger() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ConnectorRegistry
+     * @returns {Array<string>} Trigger names
+     * @author Vibe Team
+     */
+    static listTriggerNames(){
+        return Array.from(triggers.keys());
+    }
+
+    /**
+     * DOCU: List registered connector apps with their action and trigger names <br>
+     * Triggered: Connector discovery <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ConnectorRegistry
+     * @returns {Array<Object>} Connector apps
+     * @author Vibe Team
+     */
+    static listApps(){
+        return Array.from(apps.values());
+    }
+
+    /**
+     * DOCU: Validate an action's input (types, ranges, patterns and unknown fields) against its input schema <br>
+     * Triggered: ConsumerController.processMessage(), WorkflowController.runWorkflow() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ConnectorRegistry
+     * @param {string} action_name - Action name
+     * @param {Object} input - Action input fields
+     * @param {Object} options - SchemaService.validate() options {allow_templates, path}
+     * @returns {Object} Validation result {valid: boolean, error: string|null, errors: Array<{field, message}>}
+     * @author Vibe Team
+     */
+    static validateInput(action_name, input, options = {}){
+        const action = ConnectorRegistry.getAction(action_name);
+
+        if(!action){
+            const errors = [{ field: options.path ? `${options.path}.action` : 'action', message: `is not a registered action: ${action_name}` }];
+            return { valid: false, error: SchemaService.formatErrors(errors), errors };
+        }
+
+        const validation = SchemaService.validate(action.input_schema, input, options);
+
+        return {
+            valid: validation.valid,
+            error: validation.valid ? null : SchemaService.formatErrors(validation.errors),
+            errors: validation.errors
+        };
+    }
+
+    /**
+     * DOCU: Shape an action's raw response into its stored result <br>
+     * An output spec from the request is applied with ProjectionService; without one the action's
+     * default format is used (or the raw response when it has none). <br>
+     * Triggered: ConsumerController.processMessage(), WorkflowController.runWorkflow() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ConnectorRegistry
+     * @param {Object} action - Registered action definition
+     * @param {*} raw_output - Raw handler response
+     * @param {Object|null} output_spec - Validated output spec from the request
+     * @returns {*} Result to store on the execution
+     * @throws {NonRetryableError} When the response cannot be shaped or the result is too large to store
+     * @author Vibe Team
+     */
+    static formatOutput(action, raw_output, output_spec = null){
+        let result = raw_output;
+
+        try{
+            if(output_spec){
+                result = ProjectionService.project(raw_output, output_spec);
+            }
+            else if(action.format){
+                result = action.format(raw_output);
+            }
+        }
+        catch(error){
+            // The response is fixed (and cached), so shaping it again would fail the same way
+            throw new NonRetryableError(`Output formatting failed for ${action.name}: ${error.message}`);
+        }
+
+        const result_bytes = Buffer.byteLength(JSON.stringify(result ?? null));
+
+        if(result_bytes > MAX_RESULT_BYTES){
+            throw new NonRetryableError(`Result of ${action.name} is too large to store (${result_bytes} bytes, max ${MAX_RESULT_BYTES}). Select fewer fields with an output spec`);
+        }
+
+        return result;
+    }
+
+    /**
+     * DOCU: Pick only the fields declared in an action's input schema <br>
+     * Triggered: ProducerController.createAndQueueExecution() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ConnectorRegistry
+     * @param {string} action_name - Action name
+     * @param {Object} payload - Request payload
+     * @returns {Object} Action input
+     * @author Vibe Team
+     */
+    static extractInput(action_name, payload){
+        const action = ConnectorRegistry.getAction(action_name);
+        const input = {};
+
+        if(!action){
+            return input;
+        }
+
+        for(const field in action.input_schema.properties){
+            if(payload[field] !== undefined){
+                input[field] = payload[field];
+            }
+        }
+
+        return input;
+    }
+}
+
+ConnectorRegistry.registerConnector(PokemonConnector);
+ConnectorRegistry.registerConnector(HttpConnector);
+
+module.exports = ConnectorRegistry;
@@ -0,0 +1,94 @@
+/**
+ * Pokemon Connector
+ * Registers PokeAPI actions with the connector registry
+ */
+
+const PokemonService = require('../services/pokemon.service');
+
+module.exports = {
+    app: 'pokemon',
+    description: 'Pokemon data from PokeAPI',
+    actions: [
+        {
+            name: 'get-pokemon',
+            description: 'Get Pokemon details by name',
+            input_schema: {
+                type: 'object',
+                required: ['pokemon'],
+                additionalProperties: false,
+                properties: {
+                    pokemon: { type: 'string', description: 'Pokemon name or id', minLength: 1, maxLength: 100, pattern: '^\\s*[A-Za-z0-9-]+\\s*$', pattern_description: 'a Pokemon name or id (letters, digits and -)' }
+                }
+            },
+            metadata: {
+                service: 'PokemonService.getPokemon',
+                retry_policy: { max_attempts: 3, base_delay_seconds: 5, max_delay_seconds: 120 },
+                timeout_ms: 15000,
+                cache: { ttl_seconds: 7 * 24 * 60 * 60 }
+            },
+            handler: (input, context) => PokemonService.getPokemon(input.pokemon, context),
+            format: (data) => PokemonService.formatPokemon(data)
+        },
+        {
+            name: 'get-ability',
+            description: 'Get Pokemon ability details by name',
+            input_schema: {
+                type: 'object',
+                required: ['ability'],
+                additionalProperties: false,
+                properties: {
+                    ability: { type: 'string', description: 'Ability name or id', minLength: 1, maxLength: 100, pattern: '^\\s*[A-Za-z0-9-]+\\s*$', pattern_description: 'an ability name or id (letters, digits and -)' }
+                }
+            },
+            metadata: {
+                service: 'PokemonService.getPokemonAbility',
+                retry_policy: { max_attempts: 3, base_delay_seconds: 5, max_delay_seconds: 120 },
+                timeout_ms: 15000,
+                cache: { ttl_seconds: 7 * 24 * 60 * 60 }
+            },
+            handler: (input, context) => PokemonService.getPokemonAbility(input.ability, context),
+            format: (data) => PokemonService.formatPokemonAbility(data)
+        },
+        {
+            name: 'list-pokemon',
+            description: 'List Pokemon with pagination',
+            input_schema: {
+                type: 'object',
+                required: [],
+                additionalProperties: false,
+                properties: {
+                    limit: { type: 'integer', description: 'Number of results (1-100)', minimum: 1, maximum: 100 },
+                    offset: { type: 'integer', description: 'Pagination offset', minimum: 0 }
+                }
+            },
+            metadata: {
+                service: 'PokemonService.listPokemon',
+                retry_policy: { max_attempts: 3, base_delay_seconds: 5, max_delay_seconds: 120 },
+                timeout_ms: 15000,
+                // The listing grows when new Pokemon are added, so it is kept for a shorter time
+                cache: { ttl_seconds: 60 * 60, defaults: { limit: 20, offset: 0 } }
+            },
+            handler: (input, context) => PokemonService.listPokemon(input.limit ?? undefined, input.offset ?? undefined, context),
+            format: (data) => PokemonService.formatPokemonList(data)
+        }
+    ],
+    triggers: [
+        {
+            name: 'new-pokemon',
+            description: 'Fires once for each Pokemon added to the PokeAPI listing',
+            input_schema: {
+                type: 'object',
+                required: [],
+                additionalProperties: false,
+                properties: {
+                    page_size: { type: 'integer', description: 'Number of newest Pokemon checked per poll (1-100)', minimum: 1, maximum: 100 }
+                }
+            },
+            metadata: {
+                service: 'PokemonService.listNewestPokemon'
+            },
+            poll: (input) => PokemonService.listNewestPokemon(input.page_size ?? undefined),
+            item_key: (item) => item.url
+        }
+    ]
+};
@@ -1,53 +1,122 @@
 /**
  * Consumer Controller
- * Handles message processing and Pokemon API calls
+ * Handles message processing and connector action dispatch
  */
 
+const crypto = require('crypto');
 const ExecutionModel = require('../models/execution.model');
 const LogModel = require('../models/log.model');
-const PokemonService = require('../services/pokemon.service');
+const QueueModel = require('../models/queue.model');
+const ConnectorRegistry = require('../connectors');
+const WebhookService = require('../services/webhook.service');
+const RetryService = require('../services/retry.service');
+const CacheService = require('../services/cache.service');
+const SchemaService = require('../services/schema.service');
+const TimeoutService = require('../services/timeout.service');
+const { NonRetryableError, DeferredError, ActionTimeoutError } = require('../services/errors');
+const LoggerService = require('../services/logger.service');
+const MetricsService = require('../services/metrics.service');
+const WorkflowController = require('./workflow.controller');
 
-const MAX_RETRY_ATTEMPTS = 3;
+const WEBHOOK_MESSAGE_TYPE = 'webhook';
+
+const CONSUMER_REQUEST_SCHEMA = {
+    type: 'object',
+    required: ['execution_id'],
+    additionalProperties: false,
+    properties: {
+        execution_id: { type: 'string', minLength: 1, maxLength: 100 }
+    }
+};
 
 class ConsumerController {
+    static WEBHOOK_MESSAGE_TYPE = WEBHOOK_MESSAGE_TYPE;
+
     /**
-     * DOCU: Process message and call Pokemon API <br>
+     * DOCU: Process message by dispatching to the registered connector action or workflow runner <br>
+     * The attempt first takes the execution's processing lease, so only one worker runs it at a time;
+     * messages of executions that cannot be picked up are skipped without calling the service. The action
+     * (or each workflow step) runs under its timeout, cut short so it is aborted before the invocation
+     * deadline. Each attempt is recorded as processing metrics (duration, outcome, retry count and queue lag). <br>
      * Triggered: Lambda SQS trigger, ConsumerController.handleConsumer() <br>
-     * Last Updated Date: November 30, 2025
+     * Last Updated Date: October 19, 2026
      * @async
      * @function
      * @memberOf ConsumerController
-     * @param {Object} message - Message payload
+     * @param {Object} message - Message payload (tenant_id, execution_id, action and input)
+     * @param {Object} context - SQS delivery context {receipt_handle, deadline_at: invocation deadline (epoch ms)}
      * @returns {Promise<Object>} Processing result
      * @author Vibe Team
      */
-    static processMessage = async (message) => {
-        const { execution_id, action, pokemon, ability, limit, offset } = message;
+    static processMessage = async (message, context = {}) => {
+        const { tenant_id, execution_id, action, cache, output, ...input } = message;
+        const attempt = { started_at: Date.now(), lease_id: crypto.randomUUID(), acquired: false, retry_count: null, queue_lag_ms: null };
+
+        LoggerService.addContext({ tenant_id, execution_id });
 
         try{
-            // Update status to processing
-            await ExecutionModel.updateExecution(execution_id, 'processing');
-            await LogModel.writeLog(execution_id, 'info', `Processing ${action}`, { action });
+            // Move to processing under a new lease, unless the execution is cancelled, finished or leased
+            const execution = await ExecutionModel.startProcessing(tenant_id, execution_id, attempt.lease_id);
+
+            if(!execution){
+                return await ConsumerController.skipMessage(message, context, attempt);
+            }
+
+            attempt.acquired = true;
+            attempt.retry_count = execution.retry_count ?? null;
+            attempt.queue_lag_ms = ConsumerController.getQueueLagMs(execution, attempt.started_at);
+
+            await LogModel.writeLog(tenant_id, execution_id, 'info', `Processing ${action}`, { action });
 
             let api_result;
 
-            // Call appropriate Pokemon API
-            if(action === 'get-pokemon'){
-                api_result = await PokemonService.getPokemon(pokemon);
-            }
-            else if(action === 'get-ability'){
-                api_result = await PokemonService.getPokemonAbility(ability);
-            }
-            else if(action === 'list-pokemon'){
-                api_result = await PokemonService.listPokemon(limit, offset);
+            if(action === WorkflowController.WORKFLOW_ACTION){
+                // Run workflow steps, resuming from the first step not yet completed
+                api_result = await WorkflowController.runWorkflow(tenant_id, execution_id, input.steps, { cache, deadline_at: context.deadline_at });
             }
             else{
-                throw new Error(`Unknown action: ${action}`);
+                const connector_action = ConnectorRegistry.getAction(action);
+
+                if(!connector_action){
+                    throw new NonRetryableError(`Unknown action: ${action}`);
+                }
+
+                // Stored inputs predate the current schema when queued before it changed, or when replayed
+                const input_validation = ConnectorRegistry.validateInput(action, input);
+
+                if(!input_validation.valid){
+                    throw new NonRetryableError(input_validation.error);
+                }
+
+                // Call the connector action handler through the response cache, aborting it on timeout
+                const action_result = await TimeoutService.run(
+                    TimeoutService.getTimeoutMs(action, context.deadline_at),
+                    (signal) => CacheService.execute(connector_action, input, cache, { signal }),
+                    action
+                );
+
+                if(action_result.cache){
+                    await LogModel.writeLog(tenant_id, execution_id, 'info', `Cache ${action_result.cache.status} for ${action}`, { action, ...action_result.cache });
+                }
+
+                // Shape the raw response with the request's output spec or the action's default format
+                api_result = ConnectorRegistry.formatOutput(connector_action, action_result.output, output);
             }
 
-            // Update execution as completed
-            await ExecutionModel.updateExecution(execution_id, 'completed', api_result);
-            await LogModel.writeLog(execution_id, 'info', 'Processing completed successfully', { result: api_result });
+            // Complete the execution, unless this attempt's lease expired and was taken over
+            const processing_execution = await ExecutionModel.transitionExecution(tenant_id, execution_id, 'completed', {
+                lease_id: attempt.lease_id,
+                fields: { result: api_result },
+                reason: 'Processing completed'
+            });
+
+            if(!processing_execution){
+                return await ConsumerController.handleLostLease(message, attempt);
+            }
+
+            await LogModel.writeLog(tenant_id, execution_id, 'info', 'Processing completed successfully', { result: api_result });
+            await ConsumerController.notifyCompletion(tenant_id, execution_id);
+            ConsumerController.recordAttempt(action, 'succeeded', attempt);
 
             return {
                 status: true,
@@ -57,54 +126,453 @@ class ConsumerController {
 
         }
         catch(error){
-            console.error('Processing error:', error);
+            LoggerService.error('Processing error', { action, error });
+            return await ConsumerController.handleProcessingError(message, error, { ...context, attempt });
+        }
+    };
+
+    /**
+     * DOCU: Acknowledge a message whose execution could not be picked up <br>
+     * Cancelled and finished executions are skipped for good. When another worker holds the lease,
+     * an SQS delivery is sent again to arrive once that lease expires, so the execution is still
+     * processed if that worker dies; by then a finished execution makes it a no-op. <br>
+     * Triggered: ConsumerController.processMessage() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ConsumerController
+     * @param {Object} message - Message payload
+     * @param {Object} context - SQS delivery context {receipt_handle}
+     * @param {Object} attempt - {started_at, lease_id, retry_count, queue_lag_ms}
+     * @returns {Promise<Object>} Skipped processing result
+     * @author Vibe Team
+     */
+    static skipMessage = async (message, context, attempt) => {
+        const { tenant_id, execution_id, action, ...payload } = message;
+        const execution = await ExecutionModel.getExecution(tenant_id, execution_id);
+
+        ConsumerController.recordAttempt(action, 'skipped', attempt);
+
+        if(!execution){
+            LoggerService.warn('Message skipped: execution not found', { action });
 
-            // Get current execution to check retry count
-            const execution = await ExecutionModel.getExecution(execution_id);
-            const retry_count = (execution?.retry_count || 0) + 1;
+            return {
+                status: false,
+                result: { skipped: true },
+                error: 'Execution not found'
+            };
+        }
+
+        if(execution.status === 'processing'){
+            const result = { skipped: true };
+
+            if(context.receipt_handle){
+                const lease_expires_at = Date.parse(execution.lease_expires_at) || Date.now();
 
-            if(retry_count >= MAX_RETRY_ATTEMPTS){
-                // Max retries reached, mark as failed
-                await ExecutionModel.updateExecution(execution_id, 'failed', { error: error.message }, retry_count);
-                await LogModel.writeLog(execution_id, 'error', `Processing failed after ${retry_count} attempts`, { error: error.message });
+                result.delay_seconds = Math.min(Math.max(Math.ceil((lease_expires_at - Date.now()) / 1000), 0) + 1, QueueModel.MAX_DELAY_SECONDS);
+                await QueueModel.sendToQueue(tenant_id, execution_id, { action, ...payload }, result.delay_seconds);
             }
-            else{
-                // Will retry
-                await ExecutionModel.updateExecution(execution_id, 'queued', null, retry_count);
-                await LogModel.writeLog(execution_id, 'warning', `Processing failed, retry ${retry_count}/${MAX_RETRY_ATTEMPTS}`, { error: error.message });
+
+            await LogModel.writeLog(tenant_id, execution_id, 'info', `Skipped ${action}: execution is being processed by another worker`, { action, ...result });
+
+            return {
+                status: false,
+                result: result,
+                error: 'Execution is being processed by another worker'
+            };
+        }
+
+        await LogModel.writeLog(tenant_id, execution_id, 'info', `Skipped ${action}: execution is ${execution.status}`, { action });
+
+        return {
+            status: false,
+            result: { skipped: true },
+            error: `Execution is ${execution.status}`
+        };
+    };
+
+    /**
+     * DOCU: Discard the outcome of an attempt whose lease expired and was taken over by another worker <br>
+     * The other worker now owns the execution, so nothing is written to it and the message is acknowledged. <br>
+     * Triggered: ConsumerController.processMessage(), ConsumerController.handleProcessingError(),
+     * ConsumerController.deferMessage() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ConsumerController
+     * @param {Object} message - Message payload
+     * @param {Object} attempt - {started_at, lease_id, retry_count, queue_lag_ms}
+     * @returns {Promise<Object>} Skipped processing result
+     * @author Vibe Team
+     */
+    static handleLostLease = async (message, attempt) => {
+        const { tenant_id, execution_id, action } = message;
+
+        ConsumerController.recordAttempt(action, 'lease_lost', attempt);
+        await LogModel.writeLog(tenant_id, execution_id, 'warning', `Discarded ${action} attempt: its processing lease was lost`, {
+            action,
+            lease_id: attempt.lease_id
+        });
+
+        return {
+            status: false,
+            result: { skipped: true },
+            error: 'Processing lease was lost'
+        };
+    };
+
+    /**
+     * DOCU: Time an execution spent waiting in the queue before this attempt picked it up <br>
+     * Measured from when it was last queued (creation, replay or scheduled release), or its run_at
+     * when that is later. Retries are left out because their wait is the backoff. <br>
+     * Triggered: ConsumerController.processMessage() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ConsumerController
+     * @param {Object} execution - Execution record as it was before pickup
+     * @param {number} started_at - Pickup time (epoch ms)
+     * @returns {number|null} Queue lag in milliseconds, or null when it does not apply
+     * @author Vibe Team
+     */
+    static getQueueLagMs(execution, started_at){
+        if(execution.status !== 'queued' || execution.retry_count){
+            return null;
+        }
+
+        const queued_at = Math.max(Date.parse(execution.updated_at || execution.created_at), Date.parse(execution.run_at) || 0);
+
+        return Number.isFinite(queued_at) ? Math.max(0, started_at - queued_at) : null;
+    }
+
+    /**
+     * DOCU: Record the processing metrics of one attempt <br>
+     * Triggered: ConsumerController.processMessage(), ConsumerController.handleProcessingError() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ConsumerController
+     * @param {string} action - Action name
+     * @param {string} outcome - succeeded|failed|timed_out|retried|deferred|skipped|lease_lost
+     * @param {Object} attempt - {started_at, lease_id, retry_count, queue_lag_ms}
+     * @returns {void}
+     * @author Vibe Team
+     */
+    static recordAttempt(action, outcome, attempt = {}){
+        MetricsService.recordProcessing({
+            action,
+            outcome,
+            duration_ms: Date.now() - attempt.started_at,
+            retry_count: attempt.retry_count,
+            queue_lag_ms: attempt.queue_lag_ms
+        });
+    }
+
+    /**
+     * DOCU: Apply the action's retry policy to a processing failure <br>
+     * Deferred calls (circuit open, rate limit) are re-queued without spending an attempt.
+     * Non-retryable errors fail the execution immediately and acknowledge the message.
+     * Retryable errors are re-thrown with the message hidden for an exponential backoff,
+     * and SQS deliveries that exhaust max_attempts are moved to the DLQ for replay. Timed-out attempts are
+     * retried the same way, and an execution whose last attempt timed out ends as timed_out. Every status change
+     * requires the attempt's lease; errors before the lease was taken are re-thrown for redelivery. <br>
+     * Triggered: ConsumerController.processMessage() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ConsumerController
+     * @param {Object} message - Message payload
+     * @param {Error} error - Processing error
+     * @param {Object} context - SQS delivery context {receipt_handle, attempt}
+     * @returns {Promise<Object>} Failed processing result when the message should be acknowledged
+     * @throws {Error} The processing error when SQS should redeliver the message
+     * @author Vibe Team
+     */
+    static handleProcessingError = async (message, error, context = {}) => {
+        const { tenant_id, execution_id, action, ...payload } = message;
+        const policy = RetryService.getRetryPolicy(action);
+
+        // Nothing was picked up (e.g. the pickup write itself failed), so let SQS deliver it again
+        if(!context.attempt?.acquired){
+            throw error;
+        }
+
+        if(error instanceof DeferredError){
+            return await ConsumerController.deferMessage(message, error, context.attempt);
+        }
+
+        // Get current execution to check retry count
+        const execution = await ExecutionModel.getExecution(tenant_id, execution_id);
+        const retry_count = (execution?.retry_count || 0) + 1;
+        const timed_out = error instanceof ActionTimeoutError;
+        const error_details = {
+            error: error.message,
+            error_type: error.name,
+            status_code: error.status_code ?? null,
+            ...(timed_out ? { timeout_ms: error.timeout_ms } : {})
+        };
+
+        if(!RetryService.isRetryable(error)){
+            const processing_execution = await ExecutionModel.transitionExecution(tenant_id, execution_id, 'failed', {
+                lease_id: context.attempt.lease_id,
+                fields: { result: error_details, retry_count },
+                reason: 'Non-retryable error'
+            });
+
+            if(!processing_execution){
+                return await ConsumerController.handleLostLease(message, context.attempt);
+            }
+
+            ConsumerController.recordAttempt(action, 'failed', context.attempt);
+            await LogModel.writeLog(tenant_id, execution_id, 'error', 'Processing failed with non-retryable error', error_details);
+            await ConsumerController.notifyCompletion(tenant_id, execution_id);
+
+            return {
+                status: false,
+                result: null,
+                error: error.message
+            };
+        }
+
+        if(retry_count >= policy.max_attempts){
+            // Max retries reached, mark as failed (or timed_out when the last attempt timed out)
+            const final_status = timed_out ? 'timed_out' : 'failed';
+            const processing_execution = await ExecutionModel.transitionExecution(tenant_id, execution_id, final_status, {
+                lease_id: context.attempt.lease_id,
+                fields: { result: error_details, retry_count },
+                reason: `${timed_out ? 'Timed out' : 'Failed'} after ${retry_count} attempts`
+            });
+
+            if(!processing_execution){
+                return await ConsumerController.handleLostLease(message, context.attempt);
+            }
+
+            ConsumerController.recordAttempt(action, final_status, context.attempt);
+            await LogModel.writeLog(tenant_id, execution_id, 'error', `Processing ${timed_out ? 'timed out' : 'failed'} after ${retry_count} attempts`, error_details);
+            await ConsumerController.notifyCompletion(tenant_id, execution_id);
+
+            if(context.receipt_handle){
+                await QueueModel.sendToDLQ(tenant_id, execution_id, { action, ...payload });
+
+                return {
+                    status: false,
+                    result: null,
+                    error: error.message
+                };
+            }
+
+            throw error;
+        }
+
+        // Will retry after backoff
+        const backoff_seconds = RetryService.getBackoffSeconds(retry_count, policy);
+        const processing_execution = await ExecutionModel.transitionExecution(tenant_id, execution_id, 'queued', {
+            lease_id: context.attempt.lease_id,
+            fields: { retry_count },
+            reason: `${timed_out ? 'Timed out, retry' : 'Retry'} ${retry_count} in ${backoff_seconds}s`
+        });
+
+        if(!processing_execution){
+            return await ConsumerController.handleLostLease(message, context.attempt);
+        }
+
+        ConsumerController.recordAttempt(action, timed_out ? 'timed_out' : 'retried', context.attempt);
+        await LogModel.writeLog(tenant_id, execution_id, 'warning', `Processing ${timed_out ? 'timed out' : 'failed'}, retry ${retry_count}/${policy.max_attempts - 1} in ${backoff_seconds}s`, error_details);
+
+        if(context.receipt_handle){
+            await QueueModel.changeMessageVisibility(context.receipt_handle, backoff_seconds);
+        }
+
+        throw error; // Re-throw to trigger SQS retry
+    };
+
+    /**
+     * DOCU: Re-queue a message the outbound guard held back <br>
+     * It is sent as a new message (and the original acknowledged) so neither the retry count
+     * nor the SQS receive count grows while a circuit stays open. Jitter spreads the
+     * deferred messages out so they do not all hit the service when the circuit closes. <br>
+     * Triggered: ConsumerController.handleProcessingError() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ConsumerController
+     * @param {Object} message - Message payload
+     * @param {DeferredError} error - Deferral with retry_after_seconds
+     * @param {Object} attempt - {started_at, lease_id, retry_count, queue_lag_ms}
+     * @returns {Promise<Object>} Deferred processing result
+     * @author Vibe Team
+     */
+    static deferMessage = async (message, error, attempt) => {
+        const { tenant_id, execution_id, ...payload } = message;
+        const delay_seconds = Math.min(
+            error.retry_after_seconds + Math.ceil(Math.random() * error.retry_after_seconds),
+            QueueModel.MAX_DELAY_SECONDS
+        );
+
+        await QueueModel.sendToQueue(tenant_id, execution_id, payload, delay_seconds);
+
+        // A lost lease turns the message just sent into a duplicate, which is skipped on delivery
+        const processing_execution = await ExecutionModel.transitionExecution(tenant_id, execution_id, 'queued', {
+            lease_id: attempt.lease_id,
+            reason: `Deferred ${delay_seconds}s`
+        });
+
+        if(!processing_execution){
+            return await ConsumerController.handleLostLease(message, attempt);
+        }
+
+        ConsumerController.recordAttempt(payload.action, 'deferred', attempt);
+        await LogModel.writeLog(tenant_id, execution_id, 'warning', `Processing deferred ${delay_seconds}s: ${error.message}`, {
+            error: error.message,
+            delay_seconds
+        });
+
+        return {
+            status: false,
+            result: { deferred: true, delay_seconds },
+            error: error.message
+        };
+    };
+
+    /**
+     * DOCU: Queue the completion webhook if the execution has a callback_url <br>
+     * Delivery runs from its own queue message, so a slow callback never holds up the consumer.
+     * Queueing problems are logged but never fail the execution. <br>
+     * Triggered: ConsumerController.processMessage(), ProducerController.cancelExecution() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ConsumerController
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} execution_id - Execution identifier
+     * @returns {Promise<void>}
+     * @author Vibe Team
+     */
+    static notifyCompletion = async (tenant_id, execution_id) => {
+        try{
+            const execution = await ExecutionModel.getExecution(tenant_id, execution_id);
+
+            if(!execution?.callback_url){
+                return;
             }
 
-            throw error; // Re-throw to trigger SQS retry
+            await QueueModel.sendToQueue(tenant_id, execution_id, { type: WEBHOOK_MESSAGE_TYPE, status: execution.status, attempt: 1 });
+        }
+        catch(error){
+            LoggerService.error('Webhook queue error', { execution_id, error });
+        }
+    };
+
+    /**
+     * DOCU: Make one webhook delivery attempt for a queued webhook message <br>
+     * The retry state travels in the message: a retryable failure queues the next attempt with a
+     * backoff delay, and a message whose send fails is redelivered by SQS. An attempt that could not
+     * finish before the invocation deadline is queued again without being made, and an execution that
+     * has moved on (e.g. replayed) since the webhook was queued is not reported. <br>
+     * Triggered: handleSQSEvent() for messages of type webhook <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ConsumerController
+     * @param {Object} message - Webhook message {tenant_id, execution_id, type, status, attempt}
+     * @param {Object} context - SQS delivery context {deadline_at: invocation deadline (epoch ms)}
+     * @returns {Promise<Object>} Delivery result
+     * @author Vibe Team
+     */
+    static deliverWebhook = async (message, context = {}) => {
+        const { tenant_id, execution_id, status, attempt } = message;
+
+        if(!TimeoutService.hasTimeFor(context.deadline_at, WebhookService.TIMEOUT_MS)){
+            await QueueModel.sendToQueue(tenant_id, execution_id, { type: WEBHOOK_MESSAGE_TYPE, status, attempt });
+
+            return {
+                status: false,
+                result: { deferred: true },
+                error: 'Invocation deadline near'
+            };
+        }
+
+        const execution = await ExecutionModel.getExecution(tenant_id, execution_id);
+
+        if(!execution?.callback_url || execution.status !== status){
+            LoggerService.warn('Webhook skipped: execution changed since it was queued', { status, current_status: execution?.status ?? null });
+
+            return {
+                status: false,
+                result: { skipped: true },
+                error: 'Execution changed since the webhook was queued'
+            };
+        }
+
+        const payload = {
+            event: `execution.${execution.status}`,
+            execution_id: execution.execution_id,
+            status: execution.status,
+            action: execution.action,
+            result: execution.result || null,
+            retry_count: execution.retry_count,
+            created_at: execution.created_at,
+            updated_at: execution.updated_at
+        };
+        const delivery = await WebhookService.deliver(execution.callback_url, payload);
+        const outcome = delivery.delivered ? 'delivered' : `failed: ${delivery.error}`;
+
+        await LogModel.writeLog(tenant_id, execution_id, delivery.delivered ? 'info' : 'warning', `Webhook attempt ${attempt}/${WebhookService.MAX_ATTEMPTS} ${outcome}`, {
+            callback_url: execution.callback_url,
+            event: payload.event,
+            attempt,
+            max_attempts: WebhookService.MAX_ATTEMPTS,
+            ...delivery
+        });
+
+        if(delivery.retryable && attempt < WebhookService.MAX_ATTEMPTS){
+            await QueueModel.sendToQueue(tenant_id, execution_id, { type: WEBHOOK_MESSAGE_TYPE, status, attempt: attempt + 1 }, WebhookService.getBackoffSeconds(attempt));
         }
+        else if(!delivery.delivered){
+            await LogModel.writeLog(tenant_id, execution_id, 'error', `Webhook delivery failed after ${attempt} attempts`, {
+                callback_url: execution.callback_url,
+                status_code: delivery.status_code,
+                error: delivery.error
+            });
+        }
+
+        return {
+            status: delivery.delivered,
+            result: { attempt, status_code: delivery.status_code },
+            error: delivery.error
+        };
     };
 
     /**
      * DOCU: Handle manual consumer request <br>
      * Triggered: Routes.routeRequest() <br>
-     * Last Updated Date: November 30, 2025
+     * Last Updated Date: October 19, 2026
      * @async
      * @function
      * @memberOf ConsumerController
+     * @param {string} tenant_id - Authenticated tenant
      * @param {Object} body - Request body with execution_id
      * @returns {Promise<Object>} Response object
      * @author Vibe Team
      */
-    static handleConsumer = async (body) => {
+    static handleConsumer = async (tenant_id, body) => {
         try{
-            if(!body.execution_id){
+            const validation = SchemaService.validate(CONSUMER_REQUEST_SCHEMA, body);
+
+            if(!validation.valid){
                 return {
                     status: false,
-                    error: 'Missing required field: execution_id',
+                    error: SchemaService.formatErrors(validation.errors),
+                    errors: validation.errors,
                     result: null
                 };
             }
 
             // Get execution details
-            const execution = await ExecutionModel.getExecution(body.execution_id);
+            const execution = await ExecutionModel.getExecution(tenant_id, body.execution_id);
 
             if(!execution){
                 return {
                     status: false,
+                    status_code: 404,
                     error: 'Execution not found',
                     result: null
                 };
@@ -112,21 +580,24 @@ class ConsumerController {
 
             // Process the message
             const result = await ConsumerController.processMessage({
+                tenant_id: tenant_id,
                 execution_id: execution.execution_id,
-                action: execution.action,
-                pokemon: execution.pokemon,
-                ability: execution.ability,
-                limit: execution.limit,
-                offset: execution.offset
+                ...ExecutionModel.getExecutionPayload(execution)
             });
 
+            // The request itself was valid, so a failed run is reported as an upstream failure
+            if(!result.status){
+                return { ...result, status_code: result.result?.skipped ? 409 : 502 };
+            }
+
             return result;
 
         }
         catch(error){
-            console.error('Consumer error:', error);
+            LoggerService.error('Consumer error', { error });
             return {
                 status: false,
+                status_code: 500,
                 error: error.message,
                 result: null
             };
@@ -0,0 +1,162 @@
+/**
+ * Execution Controller
+ * Handles execution listing, search and lookup requests
+ */
+
+const ExecutionModel = require('../models/execution.model');
+const LoggerService = require('../services/logger.service');
+const ProducerController = require('./producer.controller');
+
+const DEFAULT_LIST_LIMIT = 25;
+const MAX_LIST_LIMIT = 100;
+
+class ExecutionController {
+    /**
+     * DOCU: Validate and normalize execution list filters <br>
+     * Triggered: ExecutionController.handleListExecutions() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ExecutionController
+     * @param {Object} params - Query string / body parameters
+     * @returns {Object} {valid: boolean, error: string|null, filters: Object|null}
+     * @author Vibe Team
+     */
+    static validateListFilters(params){
+        if(!params.status){
+            return { valid: false, error: 'Missing required field: status', filters: null };
+        }
+
+        if(!ExecutionModel.STATUSES.includes(params.status)){
+            return { valid: false, error: `Invalid status. Must be one of: ${ExecutionModel.STATUSES.join(', ')}`, filters: null };
+        }
+
+        const order = params.order || 'desc';
+
+        if(!['asc', 'desc'].includes(order)){
+            return { valid: false, error: 'Invalid order. Must be one of: asc, desc', filters: null };
+        }
+
+        const limit = params.limit === undefined ? DEFAULT_LIST_LIMIT : Number(params.limit);
+
+        if(!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT){
+            return { valid: false, error: `Invalid limit. Must be an integer between 1 and ${MAX_LIST_LIMIT}`, filters: null };
+        }
+
+        const filters = {
+            status: params.status,
+            action: params.action || null,
+            order: order,
+            limit: limit,
+            cursor: params.cursor || null
+        };
+
+        // Normalize time bounds to the ISO format stored in GSI1SK
+        for(const field of ['from', 'to']){
+            if(params[field]){
+                const date = new Date(params[field]);
+
+                if(isNaN(date.getTime())){
+                    return { valid: false, error: `Invalid ${field}. Must be an ISO 8601 date`, filters: null };
+                }
+
+                filters[field] = date.toISOString();
+            }
+        }
+
+        if(filters.from && filters.to && filters.from > filters.to){
+            return { valid: false, error: 'Invalid time range: from must be before to', filters: null };
+        }
+
+        return { valid: true, error: null, filters };
+    }
+
+    /**
+     * DOCU: List executions by status with time range, action filter, sort order and cursor pagination <br>
+     * Triggered: Routes.routeRequest() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ExecutionController
+     * @param {string} tenant_id - Authenticated tenant
+     * @param {Object} params - Filters {status, from, to, action, order, limit, cursor}
+     * @returns {Promise<Object>} Response object
+     * @author Vibe Team
+     */
+    static handleListExecutions = async (tenant_id, params) => {
+        try{
+            const validation = ExecutionController.validateListFilters(params);
+
+            if(!validation.valid){
+                return {
+                    status: false,
+                    error: validation.error,
+                    result: null
+                };
+            }
+
+            const { items, next_cursor } = await ExecutionModel.listExecutionsByStatus({ tenant_id, ...validation.filters });
+
+            return {
+                status: true,
+                result: {
+                    executions: items.map(execution => ({
+                        execution_id: execution.execution_id,
+                        status: execution.status,
+                        action: execution.action,
+                        created_at: execution.created_at,
+                        updated_at: execution.updated_at,
+                        retry_count: execution.retry_count,
+                        error: execution.result?.error || null
+                    })),
+                    count: items.length,
+                    next_cursor: next_cursor
+                },
+                error: null
+            };
+
+        }
+        catch(error){
+            LoggerService.error('List executions error', { error });
+            return {
+                status: false,
+                status_code: 500,
+                error: error.message,
+                result: null
+            };
+        }
+    };
+
+    /**
+     * DOCU: Get one execution by ID (same details as the producer's get-status action) <br>
+     * Triggered: Routes.routeRequest() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ExecutionController
+     * @param {string} tenant_id - Authenticated tenant
+     * @param {Object} params - Path and query parameters {execution_id, include_logs, log_level, log_limit, include_metadata, include_transitions}
+     * @returns {Promise<Object>} Response object
+     * @author Vibe Team
+     */
+    static handleGetExecution = async (tenant_id, params) => {
+        try{
+            return await ProducerController.getExecutionStatus(tenant_id, params.execution_id, {
+                ...params,
+                include_logs: params.include_logs === true || params.include_logs === 'true',
+                include_transitions: params.include_transitions === true || params.include_transitions === 'true'
+            });
+
+        }
+        catch(error){
+            LoggerService.error('Get execution error', { error });
+            return {
+                status: false,
+                status_code: 500,
+                error: error.message,
+                result: null
+            };
+        }
+    };
+}
+
+module.exports = ExecutionController;
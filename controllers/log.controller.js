@@ -0,0 +1,157 @@
+/**
+ * Log Controller
+ * Handles execution log timeline requests
+ */
+
+const ExecutionModel = require('../models/execution.model');
+const LogModel = require('../models/log.model');
+const LoggerService = require('../services/logger.service');
+
+const LOG_LEVELS = ['info', 'warning', 'error'];
+const DEFAULT_LOG_LIMIT = 50;
+const MAX_LOG_LIMIT = 100;
+
+class LogController {
+    /**
+     * DOCU: Validate and normalize log timeline filters <br>
+     * Triggered: LogController.handleGetLogs(), ProducerController.getExecutionStatus() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf LogController
+     * @param {Object} params - Filters {level, order, limit, cursor, include_metadata}
+     * @returns {Object} {valid: boolean, error: string|null, filters: Object|null}
+     * @author Vibe Team
+     */
+    static validateLogFilters(params){
+        // Accept level as an array or a comma-separated string (query strings)
+        const levels = Array.isArray(params.level)
+            ? params.level
+            : String(params.level || '').split(',').map(level => level.trim()).filter(level => level);
+
+        const invalid_level = levels.find(level => !LOG_LEVELS.includes(level));
+
+        if(invalid_level){
+            return { valid: false, error: `Invalid level: ${invalid_level}. Must be one of: ${LOG_LEVELS.join(', ')}`, filters: null };
+        }
+
+        const order = params.order || 'asc';
+
+        if(!['asc', 'desc'].includes(order)){
+            return { valid: false, error: 'Invalid order. Must be one of: asc, desc', filters: null };
+        }
+
+        const limit = params.limit === undefined ? DEFAULT_LOG_LIMIT : Number(params.limit);
+
+        if(!Number.isInteger(limit) || limit < 1 || limit > MAX_LOG_LIMIT){
+            return { valid: false, error: `Invalid limit. Must be an integer between 1 and ${MAX_LOG_LIMIT}`, filters: null };
+        }
+
+        return {
+            valid: true,
+            error: null,
+            filters: {
+                levels: levels,
+                order: order,
+                limit: limit,
+                cursor: params.cursor || null,
+                include_metadata: params.include_metadata === true || params.include_metadata === 'true'
+            }
+        };
+    }
+
+    /**
+     * DOCU: Get one page of an execution's log timeline <br>
+     * Triggered: LogController.handleGetLogs(), ProducerController.getExecutionStatus() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf LogController
+     * @param {string} tenant_id - Authenticated tenant
+     * @param {string} execution_id - Execution identifier
+     * @param {Object} filters - Normalized filters from validateLogFilters()
+     * @returns {Promise<Object>} {logs: Array, count: number, next_cursor: string|null}
+     * @author Vibe Team
+     */
+    static getExecutionLogs = async (tenant_id, execution_id, filters) => {
+        const { items, next_cursor } = await LogModel.getLogs(tenant_id, execution_id, filters);
+
+        return {
+            logs: items.map(log => ({
+                timestamp: log.timestamp,
+                level: log.level,
+                message: log.message,
+                ...(filters.include_metadata ? { metadata: log.metadata || {} } : {})
+            })),
+            count: items.length,
+            next_cursor: next_cursor
+        };
+    };
+
+    /**
+     * DOCU: Handle execution log timeline request <br>
+     * Triggered: Routes.routeRequest() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf LogController
+     * @param {string} tenant_id - Authenticated tenant
+     * @param {Object} params - Request params {execution_id, level, order, limit, cursor, include_metadata}
+     * @returns {Promise<Object>} Response object
+     * @author Vibe Team
+     */
+    static handleGetLogs = async (tenant_id, params) => {
+        try{
+            if(!params.execution_id){
+                return {
+                    status: false,
+                    error: 'Missing required field: execution_id',
+                    result: null
+                };
+            }
+
+            const validation = LogController.validateLogFilters(params);
+
+            if(!validation.valid){
+                return {
+                    status: false,
+                    error: validation.error,
+                    result: null
+                };
+            }
+
+            const execution = await ExecutionModel.getExecution(tenant_id, params.execution_id);
+
+            if(!execution){
+                return {
+                    status: false,
+                    status_code: 404,
+                    error: 'Execution not found',
+                    result: null
+                };
+            }
+
+            const logs = await LogController.getExecutionLogs(tenant_id, params.execution_id, validation.filters);
+
+            return {
+                status: true,
+                result: {
+                    execution_id: params.execution_id,
+                    ...logs
+                },
+                error: null
+            };
+
+        }
+        catch(error){
+            LoggerService.error('Get logs error', { error });
+            return {
+                status: false,
+                status_code: 500,
+                error: error.message,
+                result: null
+            };
+        }
+    };
+}
+
+module.exports = LogController;
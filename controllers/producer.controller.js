@@ -7,110 +7,825 @@ const { v4: uuidv4 } = require('uuid');
 const ExecutionModel = require('../models/execution.model');
 const QueueModel = require('../models/queue.model');
 const LogModel = require('../models/log.model');
+const IdempotencyModel = require('../models/idempotency.model');
+const StepModel = require('../models/step.model');
+const BatchModel = require('../models/batch.model');
+const ConnectorRegistry = require('../connectors');
+const LoggerService = require('../services/logger.service');
+const MetricsService = require('../services/metrics.service');
+const WorkflowController = require('./workflow.controller');
+const ConsumerController = require('./consumer.controller');
+const LogController = require('./log.controller');
+const CacheService = require('../services/cache.service');
+const SchemaService = require('../services/schema.service');
+const ProjectionService = require('../services/projection.service');
+const WebhookService = require('../services/webhook.service');
 
-const VALID_ACTIONS = ['get-pokemon', 'get-ability', 'list-pokemon', 'get-status'];
+const CONTROL_ACTIONS = ['get-status', 'get-batch', 'cancel'];
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_\-:.]{1,255}$/;
+const MAX_DEFER_SECONDS = 365 * 24 * 60 * 60;
+const MAX_BATCH_ITEMS = 500;
+const MAX_CANCEL_REASON_LENGTH = 500;
+const EXECUTION_ID_SCHEMA = { type: 'string', minLength: 1, maxLength: 100 };
+
+// Fields accepted by every queued action besides its connector input
+const ENVELOPE_PROPERTIES = {
+    action: { type: 'string' },
+    callback_url: { type: 'string', format: 'http-url', maxLength: 2048 },
+    cache: { type: 'string', enum: CacheService.MODES },
+    output: { type: 'object' },
+    run_at: { type: 'string', format: 'date-time' },
+    delay_seconds: { type: 'integer', minimum: 0, maximum: MAX_DEFER_SECONDS },
+    idempotency_key: { type: 'string', pattern: IDEMPOTENCY_KEY_PATTERN.source, pattern_description: '1-255 letters, digits, or _ - : . characters' }
+};
+
+const CONTROL_ACTION_SCHEMAS = {
+    'get-status': {
+        type: 'object',
+        required: ['execution_id'],
+        additionalProperties: false,
+        properties: {
+            action: { type: 'string' },
+            execution_id: EXECUTION_ID_SCHEMA,
+            include_logs: { type: 'boolean' },
+            log_level: { type: ['string', 'array'], items: { type: 'string' } },
+            log_limit: { type: 'integer' },
+            include_metadata: { type: 'boolean' },
+            include_transitions: { type: 'boolean' }
+        }
+    },
+    'get-batch': {
+        type: 'object',
+        required: ['batch_id'],
+        additionalProperties: false,
+        properties: {
+            action: { type: 'string' },
+            batch_id: { type: 'string', minLength: 1, maxLength: 100 },
+            include_executions: { type: 'boolean' }
+        }
+    },
+    'cancel': {
+        type: 'object',
+        required: ['execution_id'],
+        additionalProperties: false,
+        properties: {
+            action: { type: 'string' },
+            execution_id: EXECUTION_ID_SCHEMA,
+            reason: { type: 'string', maxLength: MAX_CANCEL_REASON_LENGTH },
+            cancelled_by: { type: 'string', maxLength: MAX_CANCEL_REASON_LENGTH }
+        }
+    }
+};
 
 class ProducerController {
+    static CONTROL_ACTIONS = CONTROL_ACTIONS;
+
     /**
-     * DOCU: Validate action request payload <br>
-     * Triggered: ProducerController.handleProducer() <br>
-     * Last Updated Date: November 30, 2025
+     * DOCU: Get the request schema of an action: control actions have their own schema, queued
+     * actions accept the envelope fields plus their connector input <br>
+     * Triggered: ProducerController.validateAction() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ProducerController
+     * @param {string} action_name - Registered, workflow or control action
+     * @returns {Object} Request schema
+     * @author Vibe Team
+     */
+    static getRequestSchema(action_name){
+        if(CONTROL_ACTION_SCHEMAS[action_name]){
+            return CONTROL_ACTION_SCHEMAS[action_name];
+        }
+
+        // Workflow steps (and their output specs) are validated per step by WorkflowController.validateWorkflow()
+        if(action_name === WorkflowController.WORKFLOW_ACTION){
+            const { output, ...workflow_properties } = ENVELOPE_PROPERTIES;
+
+            return {
+                type: 'object',
+                required: ['steps'],
+                additionalProperties: false,
+                properties: { ...workflow_properties, steps: { type: 'array' } }
+            };
+        }
+
+        const input_schema = ConnectorRegistry.getAction(action_name).input_schema;
+
+        return {
+            type: 'object',
+            required: input_schema.required || [],
+            additionalProperties: false,
+            properties: { ...ENVELOPE_PROPERTIES, ...input_schema.properties }
+        };
+    }
+
+    /**
+     * DOCU: Validate action request payload against its request schema, reporting every error with its field path <br>
+     * Triggered: ProducerController.handleProducer(), ProducerController.submitBatch(), SchedulerController.validateSchedule(),
+     * ReplayController.replayExecution(), TriggerController.validateTrigger(), TriggerController.pollTrigger() <br>
+     * Last Updated Date: October 19, 2026
      * @function
      * @memberOf ProducerController
      * @param {Object} payload - Request payload
-     * @returns {Object} Validation result {valid: boolean, error: string|null}
+     * @param {Object} options - {allow_templates: skip checks on {{references}} rendered later (trigger payloads)}
+     * @returns {Object} Validation result {valid: boolean, error: string|null, errors: Array<{field, message}>}
      * @author Vibe Team
      */
-    static validateAction(payload){
-        if(!payload.action){
-            return { valid: false, error: 'Missing required field: action' };
+    static validateAction(payload, options = {}){
+        const valid_actions = [...ConnectorRegistry.listActionNames(), WorkflowController.WORKFLOW_ACTION, ...CONTROL_ACTIONS];
+        const errors = [];
+
+        if(payload.action === undefined || payload.action === null || payload.action === ''){
+            errors.push({ field: 'action', message: 'is required' });
+        }
+        else if(!valid_actions.includes(payload.action)){
+            errors.push({ field: 'action', message: `must be one of: ${valid_actions.join(', ')}` });
         }
+        else{
+            errors.push(...SchemaService.validate(ProducerController.getRequestSchema(payload.action), payload, { allow_templates: options.allow_templates }).errors);
+
+            if(!CONTROL_ACTIONS.includes(payload.action)){
+                errors.push(...ProducerController.validateRunTime(payload));
+            }
+
+            if(payload.callback_url !== undefined && payload.callback_url !== null && !WebhookService.isEnabled()){
+                errors.push({ field: 'callback_url', message: 'requires WEBHOOK_SECRET to be configured' });
+            }
+
+            if(SchemaService.isType('object', payload.output) && payload.action !== WorkflowController.WORKFLOW_ACTION){
+                errors.push(...ProjectionService.validateSpec(payload.output, 'output'));
+            }
+
+            if(payload.action === WorkflowController.WORKFLOW_ACTION && payload.steps !== undefined){
+                errors.push(...WorkflowController.validateWorkflow(payload).errors);
+            }
+        }
+
+        return {
+            valid: errors.length === 0,
+            error: errors.length ? SchemaService.formatErrors(errors) : null,
+            errors: errors
+        };
+    }
 
-        if(!VALID_ACTIONS.includes(payload.action)){
-            return { valid: false, error: `Invalid action. Must be one of: ${VALID_ACTIONS.join(', ')}` };
+    /**
+     * DOCU: Check the run_at / delay_seconds rules the schema cannot express <br>
+     * Triggered: ProducerController.validateAction() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ProducerController
+     * @param {Object} payload - Request payload
+     * @returns {Array<Object>} Field errors {field, message}
+     * @author Vibe Team
+     */
+    static validateRunTime(payload){
+        if(payload.run_at !== undefined && payload.delay_seconds !== undefined){
+            return [{ field: 'run_at', message: 'cannot be combined with delay_seconds' }];
         }
 
-        // Validate action-specific fields
-        if(payload.action === 'get-pokemon' && !payload.pokemon){
-            return { valid: false, error: 'Missing required field: pokemon (for get-pokemon action)' };
+        const run_at = new Date(payload.run_at);
+
+        if(typeof payload.run_at === 'string' && run_at.getTime() - Date.now() > MAX_DEFER_SECONDS * 1000){
+            return [{ field: 'run_at', message: 'must be within one year' }];
         }
 
-        if(payload.action === 'get-ability' && !payload.ability){
-            return { valid: false, error: 'Missing required field: ability (for get-ability action)' };
+        return [];
+    }
+
+    /**
+     * DOCU: Resolve the requested run time from run_at or delay_seconds <br>
+     * Triggered: ProducerController.createAndQueueExecution() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ProducerController
+     * @param {Object} payload - Validated request payload
+     * @returns {Date|null} Run time, or null to run immediately
+     * @author Vibe Team
+     */
+    static getRunAt(payload){
+        if(payload.run_at !== undefined){
+            return new Date(payload.run_at);
         }
 
-        if(payload.action === 'get-status' && !payload.execution_id){
-            return { valid: false, error: 'Missing required field: execution_id (for get-status action)' };
+        if(payload.delay_seconds){
+            return new Date(Date.now() + (payload.delay_seconds * 1000));
         }
 
-        return { valid: true, error: null };
+        return null;
     }
 
     /**
-     * DOCU: Get execution status from database <br>
+     * DOCU: Get execution status from database, including step progress for workflows
+     * and optionally the first page of the execution's log timeline and its status transitions <br>
      * Triggered: ProducerController.handleProducer() <br>
-     * Last Updated Date: November 30, 2025
+     * Last Updated Date: October 19, 2026
      * @async
      * @function
      * @memberOf ProducerController
+     * @param {string} tenant_id - Authenticated tenant
      * @param {string} execution_id - Execution identifier
+     * @param {Object} options - {include_logs, log_level, log_limit, include_metadata, include_transitions}
      * @returns {Promise<Object>} Response with execution details
      * @author Vibe Team
      */
-    static getExecutionStatus = async (execution_id) => {
-        const execution = await ExecutionModel.getExecution(execution_id);
+    static getExecutionStatus = async (tenant_id, execution_id, options = {}) => {
+        let log_filters = null;
+
+        if(options.include_logs){
+            const log_validation = LogController.validateLogFilters({
+                level: options.log_level,
+                limit: options.log_limit,
+                include_metadata: options.include_metadata
+            });
+
+            if(!log_validation.valid){
+                return {
+                    status: false,
+                    error: log_validation.error,
+                    result: null
+                };
+            }
+
+            log_filters = log_validation.filters;
+        }
+
+        const execution = await ExecutionModel.getExecution(tenant_id, execution_id);
 
         if(!execution){
             return {
                 status: false,
+                status_code: 404,
                 error: 'Execution not found',
                 result: null
             };
         }
 
+        const execution_status = {
+            execution_id: execution.execution_id,
+            status: execution.status,
+            action: execution.action,
+            created_at: execution.created_at,
+            updated_at: execution.updated_at,
+            retry_count: execution.retry_count,
+            run_at: execution.run_at || null,
+            batch_id: execution.batch_id || null,
+            result: execution.result || null
+        };
+
+        if(execution.status === 'cancelled'){
+            execution_status.cancellation = execution.cancellation || null;
+        }
+
+        if(execution.action === WorkflowController.WORKFLOW_ACTION){
+            const steps = await StepModel.getSteps(tenant_id, execution_id);
+
+            execution_status.steps = steps.map(step => ({
+                step_index: step.step_index,
+                name: step.name,
+                action: step.action,
+                status: step.status,
+                output: step.output,
+                error: step.error,
+                updated_at: step.updated_at
+            }));
+        }
+
+        if(log_filters){
+            execution_status.logs = await LogController.getExecutionLogs(tenant_id, execution_id, log_filters);
+        }
+
+        if(options.include_transitions){
+            const transitions = await ExecutionModel.getTransitions(tenant_id, execution_id);
+
+            execution_status.transitions = transitions.map(transition => ({
+                from_status: transition.from_status,
+                to_status: transition.to_status,
+                reason: transition.reason,
+                transitioned_at: transition.transitioned_at
+            }));
+        }
+
+        return {
+            status: true,
+            result: execution_status,
+            error: null
+        };
+    };
+
+    /**
+     * DOCU: Build the response for a repeated submission under an existing idempotency key <br>
+     * Triggered: ProducerController.createAndQueueExecution() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ProducerController
+     * @param {string} tenant_id - Authenticated tenant
+     * @param {string} idempotency_key - Client supplied idempotency key
+     * @param {string} request_hash - Hash of the repeated request payload
+     * @returns {Promise<Object>} Response with the original execution_id and status
+     * @author Vibe Team
+     */
+    static getIdempotentResponse = async (tenant_id, idempotency_key, request_hash) => {
+        const idempotency_record = await IdempotencyModel.getKey(tenant_id, idempotency_key);
+
+        // The key expired or was released between the claim attempt and this read
+        if(!idempotency_record){
+            return {
+                status: false,
+                status_code: 409,
+                error: 'Idempotency key is being processed, please retry',
+                result: null
+            };
+        }
+
+        if(idempotency_record.request_hash !== request_hash){
+            return {
+                status: false,
+                status_code: 409,
+                error: 'Idempotency key has already been used with a different payload',
+                result: null
+            };
+        }
+
+        const execution = await ExecutionModel.getExecution(tenant_id, idempotency_record.execution_id);
+
         return {
             status: true,
             result: {
-                execution_id: execution.execution_id,
-                status: execution.status,
-                action: execution.action,
-                created_at: execution.created_at,
-                updated_at: execution.updated_at,
-                retry_count: execution.retry_count,
-                result: execution.result || null
+                execution_id: idempotency_record.execution_id,
+                execution_status: execution?.status || 'queued',
+                message: 'Duplicate request, returning original execution',
+                idempotent_replay: true
             },
             error: null
         };
     };
 
+    /**
+     * DOCU: Build the stored payload, run time and execution options for a validated request <br>
+     * Triggered: ProducerController.createAndQueueExecution(), ProducerController.submitBatch() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ProducerController
+     * @param {Object} payload - Validated request payload
+     * @returns {Object} {execution_id, is_workflow, action_payload, delay_seconds, is_deferred, execution_options}
+     * @author Vibe Team
+     */
+    static prepareExecution(payload){
+        const is_workflow = payload.action === WorkflowController.WORKFLOW_ACTION;
+        const action_payload = is_workflow
+            ? { action: payload.action, steps: WorkflowController.normalizeSteps(payload.steps) }
+            : { action: payload.action, ...ConnectorRegistry.extractInput(payload.action, payload) };
+
+        // Carried with the message (and stored input) so retries and replays honor them
+        if(payload.cache && payload.cache !== 'default'){
+            action_payload.cache = payload.cache;
+        }
+
+        if(payload.output && !is_workflow){
+            action_payload.output = payload.output;
+        }
+
+        const run_at = ProducerController.getRunAt(payload);
+        const delay_seconds = run_at ? Math.max(0, (run_at.getTime() - Date.now()) / 1000) : 0;
+        const is_deferred = delay_seconds > QueueModel.MAX_DELAY_SECONDS;
+
+        return {
+            execution_id: `exec_${uuidv4()}`,
+            is_workflow: is_workflow,
+            action_payload: action_payload,
+            delay_seconds: delay_seconds,
+            is_deferred: is_deferred,
+            execution_options: {
+                callback_url: payload.callback_url || null,
+                status: is_deferred ? 'scheduled' : 'queued',
+                run_at: run_at ? run_at.toISOString() : null
+            }
+        };
+    }
+
     /**
      * DOCU: Create new execution record and queue it for processing <br>
-     * Triggered: ProducerController.handleProducer() <br>
-     * Last Updated Date: November 30, 2025
+     * With an idempotency key, repeated submissions inside the window return the original execution.
+     * Runs deferred beyond the SQS delay limit are stored as scheduled and released by the scheduler tick.
+     * Each submission is recorded as a SubmissionCount metric. <br>
+     * Triggered: ProducerController.handleProducer(), SchedulerController.runDueSchedules(), TriggerController.createItemExecution() <br>
+     * Last Updated Date: October 19, 2026
      * @async
      * @function
      * @memberOf ProducerController
+     * @param {string} tenant_id - Owning tenant
      * @param {Object} payload - Request payload
+     * @param {string|null} idempotency_key - Optional client supplied idempotency key
      * @returns {Promise<Object>} Response with execution_id
      * @author Vibe Team
      */
-    static createAndQueueExecution = async (payload) => {
-        const execution_id = `exec_${uuidv4()}`;
+    static createAndQueueExecution = async (tenant_id, payload, idempotency_key = null) => {
+        const started_at = Date.now();
+        const { execution_id, is_workflow, action_payload, delay_seconds, is_deferred, execution_options } = ProducerController.prepareExecution(payload);
+
+        if(idempotency_key){
+            const request_hash = IdempotencyModel.hashPayload({
+                ...action_payload,
+                callback_url: execution_options.callback_url,
+                run_at: payload.run_at,
+                delay_seconds: payload.delay_seconds
+            });
+            const claimed = await IdempotencyModel.claimKey(tenant_id, idempotency_key, execution_id, request_hash);
+
+            if(!claimed){
+                MetricsService.recordSubmission({ action: action_payload.action, outcome: 'idempotent_replay', duration_ms: Date.now() - started_at });
+                return await ProducerController.getIdempotentResponse(tenant_id, idempotency_key, request_hash);
+            }
+        }
+
+        let is_created = false;
+
+        try{
+            // Create execution record (and workflow steps) before sending, so the consumer finds it queued
+            await Promise.all([
+                ExecutionModel.createExecution(tenant_id, execution_id, action_payload, execution_options),
+                is_workflow ? StepModel.createSteps(tenant_id, execution_id, action_payload.steps) : null
+            ]);
+            is_created = true;
+
+            if(!is_deferred){
+                await QueueModel.sendToQueue(tenant_id, execution_id, action_payload, delay_seconds);
+            }
+        }
+        catch(error){
+            // A queued record without a message would never run
+            if(is_created){
+                await ExecutionModel.transitionExecution(tenant_id, execution_id, 'failed', {
+                    from: ['queued'],
+                    fields: { result: { error: `Failed to queue: ${error.message}`, error_type: 'QueueError', status_code: null } },
+                    reason: 'Queue send failed'
+                }).catch(transition_error => LoggerService.error('Execution status update error', { execution_id, error: transition_error }));
+            }
+
+            // Free the key so the client's retry can queue the execution
+            if(idempotency_key){
+                await IdempotencyModel.releaseKey(tenant_id, idempotency_key, execution_id).catch(release_error => LoggerService.error('Idempotency key release error', { execution_id, error: release_error }));
+            }
+
+            throw error;
+        }
+
+        // Log asynchronously (don't wait)
+        LogModel.writeLog(tenant_id, execution_id, 'info', is_deferred ? 'Execution scheduled' : 'Execution queued', {
+            action: payload.action,
+            idempotency_key,
+            run_at: execution_options.run_at
+        }).catch(error => LoggerService.error('Execution log write error', { execution_id, error }));
+
+        MetricsService.recordSubmission({ action: action_payload.action, outcome: is_deferred ? 'scheduled' : 'queued', duration_ms: Date.now() - started_at });
+
+        return {
+            status: true,
+            result: {
+                execution_id: execution_id,
+                run_at: execution_options.run_at,
+                message: is_deferred ? 'Request scheduled successfully' : 'Request queued successfully'
+            },
+            error: null
+        };
+    };
+
+    /**
+     * DOCU: Validate, create and queue a bulk submission of up to MAX_BATCH_ITEMS actions <br>
+     * Invalid items are reported individually and do not stop the valid ones. Execution records are
+     * written with batch writes before their messages are sent with batched queue sends; executions
+     * whose records, steps or message could not be written are closed and reported with the error,
+     * and every response carries the per-item results. <br>
+     * Triggered: ProducerController.handleProducer() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ProducerController
+     * @param {string} tenant_id - Authenticated tenant
+     * @param {Array<Object>} items - Action payloads, each shaped like a single /producer request
+     * @returns {Promise<Object>} Response with batch_id and per-item results {index, status, execution_id, error}
+     * @author Vibe Team
+     */
+    static submitBatch = async (tenant_id, items) => {
+        if(!Array.isArray(items) || items.length === 0 || items.length > MAX_BATCH_ITEMS){
+            return {
+                status: false,
+                error: `Invalid items. Must be an array of 1-${MAX_BATCH_ITEMS} action payloads`,
+                result: null
+            };
+        }
+
+        const batch_id = `batch_${uuidv4()}`;
+        const item_results = [];
+        const executions = [];
+
+        for(let index = 0; index < items.length; index++){
+            const item = items[index];
+            let validation;
+
+            if(!item || typeof item !== 'object' || Array.isArray(item)){
+                validation = { valid: false, error: 'Item must be an object', errors: [{ field: 'body', message: 'must be an object' }] };
+            }
+            else if(CONTROL_ACTIONS.includes(item.action)){
+                validation = { valid: false, error: `Invalid action for a batch item: ${item.action}`, errors: [{ field: 'action', message: 'must not be a control action' }] };
+            }
+            else{
+                validation = ProducerController.validateAction(item);
+            }
+
+            if(!validation.valid){
+                item_results.push({ index, status: false, execution_id: null, error: validation.error, errors: validation.errors });
+                continue;
+            }
+
+            const execution = ProducerController.prepareExecution(item);
+
+            execution.execution_options.batch_id = batch_id;
+            executions.push(execution);
+            item_results.push({ index, status: true, execution_id: execution.execution_id, run_at: execution.execution_options.run_at, error: null });
+        }
+
+        const rejected_count = items.length - executions.length;
+
+        if(!executions.length){
+            return {
+                status: false,
+                error: 'No valid items in batch',
+                result: { batch_id: null, total: items.length, accepted: 0, rejected: rejected_count, items: item_results }
+            };
+        }
+
+        // The batch record goes first so every queued execution can be traced back to it
+        try{
+            await BatchModel.createBatch(tenant_id, batch_id, {
+                total: items.length,
+                rejected: rejected_count,
+                execution_ids: executions.map(execution => execution.execution_id)
+            });
+        }
+        catch(error){
+            LoggerService.error('Batch create error', { batch_id, error });
+            await ProducerController.failBatchExecutions(tenant_id, executions, item_results, `Failed to create: ${error.message}`, false);
+
+            return {
+                status: false,
+                status_code: 500,
+                error: `Failed to create batch: ${error.message}`,
+                result: { batch_id: null, total: items.length, accepted: 0, rejected: items.length, items: item_results }
+            };
+        }
+
+        try{
+            await ExecutionModel.createExecutions(tenant_id, executions.map(execution => ({
+                execution_id: execution.execution_id,
+                payload: execution.action_payload,
+                options: execution.execution_options
+            })));
+        }
+        catch(error){
+            // Some chunks may have been written; without a message those executions would never run
+            LoggerService.error('Batch executions create error', { batch_id, error });
+            await ProducerController.failBatchExecutions(tenant_id, executions, item_results, `Failed to create: ${error.message}`, true);
+
+            return {
+                status: false,
+                status_code: 500,
+                error: `Failed to create batch executions: ${error.message}`,
+                result: { batch_id: batch_id, total: items.length, accepted: 0, rejected: items.length, items: item_results }
+            };
+        }
+
+        const failed_executions = [];
+
+        for(const execution of executions){
+            if(!execution.is_workflow){
+                continue;
+            }
+
+            try{
+                await StepModel.createSteps(tenant_id, execution.execution_id, execution.action_payload.steps);
+            }
+            catch(error){
+                LoggerService.error('Batch steps create error', { batch_id, execution_id: execution.execution_id, error });
+                await ProducerController.failBatchExecutions(tenant_id, [execution], item_results, `Failed to create steps: ${error.message}`, true);
+                failed_executions.push(execution);
+            }
+        }
+
+        const failed_sends = await QueueModel.sendBatchToQueue(tenant_id, executions
+            .filter(execution => !execution.is_deferred && !failed_executions.includes(execution))
+            .map(execution => ({
+                execution_id: execution.execution_id,
+                payload: execution.action_payload,
+                delay_seconds: execution.delay_seconds
+            })));
+
+        for(const failed_send of failed_sends){
+            const execution = executions.find(candidate => candidate.execution_id === failed_send.execution_id);
+
+            await ProducerController.failBatchExecutions(tenant_id, [execution], item_results, `Failed to queue: ${failed_send.error}`, true);
+            failed_executions.push(execution);
+        }
 
-        // Create execution record and send to queue in parallel
-        await Promise.all([
-            ExecutionModel.createExecution(execution_id, payload),
-            QueueModel.sendToQueue(execution_id, payload)
-        ]);
+        const accepted_executions = executions.filter(execution => !failed_executions.includes(execution));
 
         // Log asynchronously (don't wait)
-        LogModel.writeLog(execution_id, 'info', 'Execution queued', { action: payload.action }).catch(console.error);
+        LogModel.writeLogs(tenant_id, accepted_executions.map(execution => ({
+            execution_id: execution.execution_id,
+            level: 'info',
+            message: execution.is_deferred ? 'Execution scheduled' : 'Execution queued',
+            metadata: { action: execution.action_payload.action, batch_id, run_at: execution.execution_options.run_at }
+        }))).catch(error => LoggerService.error('Execution log write error', { batch_id, error }));
+
+        ProducerController.recordBatchMetrics(accepted_executions);
+
+        return {
+            status: true,
+            result: {
+                batch_id: batch_id,
+                total: items.length,
+                accepted: accepted_executions.length,
+                rejected: items.length - accepted_executions.length,
+                items: item_results
+            },
+            error: null
+        };
+    };
+
+    /**
+     * DOCU: Report batch executions as failed and close any records already written <br>
+     * Queued records are marked failed and scheduled ones cancelled, so none waits for a message that
+     * was never sent. Records that were never written are skipped, and a failed status write is only
+     * logged so the remaining executions are still reported. <br>
+     * Triggered: ProducerController.submitBatch() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ProducerController
+     * @param {string} tenant_id - Authenticated tenant
+     * @param {Array<Object>} executions - Executions from prepareExecution()
+     * @param {Array<Object>} item_results - Per-item results, updated in place
+     * @param {string} error_message - Error reported for each execution
+     * @param {boolean} is_written - True if the execution records may exist
+     * @returns {Promise<void>}
+     * @author Vibe Team
+     */
+    static failBatchExecutions = async (tenant_id, executions, item_results, error_message, is_written) => {
+        for(const execution of executions){
+            const item_result = item_results.find(result => result.execution_id === execution.execution_id);
+
+            item_result.status = false;
+            item_result.error = error_message;
+
+            if(!is_written){
+                continue;
+            }
+
+            try{
+                if(execution.is_deferred){
+                    await ExecutionModel.cancelExecution(tenant_id, execution.execution_id, { reason: error_message, cancelled_by: 'Batch submission', api_key_prefix: null });
+                }
+                else{
+                    await ExecutionModel.transitionExecution(tenant_id, execution.execution_id, 'failed', {
+                        from: ['queued'],
+                        fields: { result: { error: error_message, error_type: 'QueueError', status_code: null } },
+                        reason: 'Batch submission failed'
+                    });
+                }
+            }
+            catch(error){
+                LoggerService.error('Execution status update error', { execution_id: execution.execution_id, error });
+            }
+        }
+    };
+
+    /**
+     * DOCU: Record the submission metrics of a bulk submission, one record per action and outcome <br>
+     * Triggered: ProducerController.submitBatch() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ProducerController
+     * @param {Array<Object>} executions - Accepted executions from prepareExecution()
+     * @returns {void}
+     * @author Vibe Team
+     */
+    static recordBatchMetrics(executions){
+        const counts = new Map();
+
+        for(const execution of executions){
+            const key = `${execution.action_payload.action}|${execution.is_deferred ? 'scheduled' : 'queued'}`;
+            counts.set(key, (counts.get(key) || 0) + 1);
+        }
+
+        for(const [key, count] of counts){
+            const [action, outcome] = key.split('|');
+            MetricsService.recordSubmission({ action, outcome, count });
+        }
+    }
+
+    /**
+     * DOCU: Get aggregate progress of a bulk submission from its executions' statuses <br>
+     * Triggered: ProducerController.handleProducer() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ProducerController
+     * @param {string} tenant_id - Authenticated tenant
+     * @param {string} batch_id - Batch identifier
+     * @param {Object} options - {include_executions}
+     * @returns {Promise<Object>} Response with status counts and progress
+     * @author Vibe Team
+     */
+    static getBatchStatus = async (tenant_id, batch_id, options = {}) => {
+        const batch = await BatchModel.getBatch(tenant_id, batch_id);
+
+        if(!batch){
+            return {
+                status: false,
+                status_code: 404,
+                error: 'Batch not found',
+                result: null
+            };
+        }
+
+        const executions = await ExecutionModel.getExecutions(tenant_id, batch.execution_ids);
+        const status_counts = Object.fromEntries(ExecutionModel.STATUSES.map(status => [status, 0]));
+
+        for(const execution of executions){
+            status_counts[execution.status] = (status_counts[execution.status] || 0) + 1;
+        }
+
+        const finished_count = status_counts.completed + status_counts.failed + status_counts.timed_out + status_counts.cancelled;
+        const batch_status = {
+            batch_id: batch.batch_id,
+            created_at: batch.created_at,
+            total: batch.total,
+            submitted: batch.submitted,
+            rejected: batch.rejected,
+            status_counts: status_counts,
+            finished: finished_count,
+            progress: Math.floor((finished_count / batch.submitted) * 100),
+            is_finished: finished_count === batch.submitted
+        };
+
+        if(options.include_executions){
+            batch_status.executions = executions;
+        }
+
+        return {
+            status: true,
+            result: batch_status,
+            error: null
+        };
+    };
+
+    /**
+     * DOCU: Cancel a queued or scheduled execution <br>
+     * Its queued message is acknowledged without calling the service when it is delivered, the
+     * scheduler tick no longer releases it, and replay skips it unless forced. The caller's API key
+     * prefix is recorded alongside the optional cancelled_by and reason. <br>
+     * Triggered: ProducerController.handleProducer() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ProducerController
+     * @param {string} tenant_id - Authenticated tenant
+     * @param {string} execution_id - Execution identifier
+     * @param {Object} cancellation - {reason, cancelled_by, api_key_prefix}
+     * @returns {Promise<Object>} Response with the cancelled execution's previous status
+     * @author Vibe Team
+     */
+    static cancelExecution = async (tenant_id, execution_id, cancellation) => {
+        const cancelled_execution = await ExecutionModel.cancelExecution(tenant_id, execution_id, cancellation);
+
+        if(!cancelled_execution){
+            const execution = await ExecutionModel.getExecution(tenant_id, execution_id);
+
+            return {
+                status: false,
+                status_code: execution ? 409 : 404,
+                error: execution
+                    ? `Execution cannot be cancelled in status ${execution.status}. Only ${ExecutionModel.CANCELLABLE_STATUSES.join(' or ')} executions can be cancelled`
+                    : 'Execution not found',
+                result: null
+            };
+        }
+
+        const requested_by = cancellation.cancelled_by || `API key ${cancellation.api_key_prefix}`;
+
+        await LogModel.writeLog(tenant_id, execution_id, 'warning', `Execution cancelled by ${requested_by}${cancellation.reason ? `: ${cancellation.reason}` : ''}`, {
+            ...cancellation,
+            previous_status: cancelled_execution.status
+        });
+        await ConsumerController.notifyCompletion(tenant_id, execution_id);
 
         return {
             status: true,
             result: {
                 execution_id: execution_id,
-                message: 'Request queued successfully'
+                status: 'cancelled',
+                previous_status: cancelled_execution.status,
+                message: 'Execution cancelled'
             },
             error: null
         };
@@ -119,39 +834,79 @@ class ProducerController {
     /**
      * DOCU: Main producer handler - validates and routes requests <br>
      * Triggered: Routes.routeRequest() <br>
-     * Last Updated Date: November 30, 2025
+     * Last Updated Date: October 19, 2026
      * @async
      * @function
      * @memberOf ProducerController
+     * @param {string} tenant_id - Authenticated tenant
      * @param {Object} body - Request body
+     * @param {Object} headers - Request headers (lowercased names)
+     * @param {Object} caller - Authenticated caller {tenant_id, key_prefix}
      * @returns {Promise<Object>} Response object
      * @author Vibe Team
      */
-    static handleProducer = async (body) => {
+    static handleProducer = async (tenant_id, body, headers = {}, caller = {}) => {
         try{
+            const idempotency_key = headers['idempotency-key'] || body.idempotency_key || null;
+
+            // Bulk submission
+            if(body.items !== undefined){
+                if(idempotency_key){
+                    return {
+                        status: false,
+                        error: 'Idempotency keys are not supported for batch submissions',
+                        result: null
+                    };
+                }
+
+                return await ProducerController.submitBatch(tenant_id, body.items);
+            }
+
             // Validate request
             const validation = ProducerController.validateAction(body);
             if(!validation.valid){
                 return {
                     status: false,
                     error: validation.error,
+                    errors: validation.errors,
                     result: null
                 };
             }
 
             // Handle get-status separately
             if(body.action === 'get-status'){
-                return await ProducerController.getExecutionStatus(body.execution_id);
+                return await ProducerController.getExecutionStatus(tenant_id, body.execution_id, body);
+            }
+
+            if(body.action === 'get-batch'){
+                return await ProducerController.getBatchStatus(tenant_id, body.batch_id, body);
+            }
+
+            if(body.action === 'cancel'){
+                return await ProducerController.cancelExecution(tenant_id, body.execution_id, {
+                    reason: body.reason || null,
+                    cancelled_by: body.cancelled_by || null,
+                    api_key_prefix: caller.key_prefix || null
+                });
+            }
+
+            if(idempotency_key && !IDEMPOTENCY_KEY_PATTERN.test(idempotency_key)){
+                return {
+                    status: false,
+                    error: 'Invalid idempotency key. Use 1-255 letters, digits, or _ - : . characters',
+                    result: null
+                };
             }
 
             // Create and queue new execution
-            return await ProducerController.createAndQueueExecution(body);
+            return await ProducerController.createAndQueueExecution(tenant_id, body, idempotency_key);
 
         }
         catch(error){
-            console.error('Producer error:', error);
+            LoggerService.error('Producer error', { error });
             return {
                 status: false,
+                status_code: 500,
                 error: error.message,
                 result: null
             };
@@ -1,30 +1,355 @@
 /**
  * Replay Controller
- * Handles DLQ message replay functionality
+ * Handles DLQ inspection and message replay functionality
  */
 
 const ExecutionModel = require('../models/execution.model');
 const QueueModel = require('../models/queue.model');
 const LogModel = require('../models/log.model');
+const SchemaService = require('../services/schema.service');
+const LoggerService = require('../services/logger.service');
+const MetricsService = require('../services/metrics.service');
+const ProducerController = require('./producer.controller');
+const ConsumerController = require('./consumer.controller');
+
+// Longer than the Lambda timeout, so a scan never receives the same message twice
+const DLQ_SCAN_VISIBILITY_SECONDS = 120;
+const MAX_SCAN_RECEIVES = 100;
+// Cancelled executions are replayed only with force
+const REPLAYABLE_STATUSES = ['failed', 'timed_out'];
+const MAX_FILTER_EXECUTION_IDS = 100;
+const DEFAULT_BROWSE_LIMIT = 10;
+const MAX_BROWSE_LIMIT = 100;
+const DEFAULT_REPLAY_LIMIT = 10;
+const DEFAULT_DRAIN_LIMIT = 100;
+const MAX_REPLAY_LIMIT = 500;
+
+const DLQ_FILTER_PROPERTIES = {
+    execution_ids: { type: 'array', maxItems: MAX_FILTER_EXECUTION_IDS, items: { type: 'string', minLength: 1, maxLength: 100 } },
+    action: { type: 'string', maxLength: 100 },
+    error: { type: 'string', maxLength: 500 },
+    from: { type: 'string', format: 'date-time' },
+    to: { type: 'string', format: 'date-time' }
+};
+
+const REPLAY_OPTION_PROPERTIES = {
+    dry_run: { type: 'boolean' },
+    drain: { type: 'boolean' },
+    replay_all: { type: 'boolean' },
+    force: { type: 'boolean' }
+};
 
 class ReplayController {
     /**
-     * DOCU: Replay single execution from DLQ <br>
-     * Triggered: ReplayController.handleReplay(), ReplayController.replayAllFromDLQ() <br>
-     * Last Updated Date: November 30, 2025
+     * DOCU: Validate and normalize DLQ filters <br>
+     * Triggered: ReplayController.handleBrowseDLQ(), ReplayController.handleReplay() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ReplayController
+     * @param {Object} params - Filters {execution_ids, action, error, from, to, limit} and the endpoint's options
+     * @param {number} default_limit - Limit when none is given
+     * @param {number} max_limit - Largest accepted limit
+     * @param {Object} options - {coerce: parse query string values, properties: schemas of the endpoint's other fields}
+     * @returns {Object} {valid: boolean, error: string|null, errors: Array<{field, message}>, filters: Object|null}
+     * @author Vibe Team
+     */
+    static validateDLQFilters(params, default_limit, max_limit, options = {}){
+        const validation = SchemaService.validate({
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                ...DLQ_FILTER_PROPERTIES,
+                limit: { type: 'integer', minimum: 1, maximum: max_limit },
+                ...options.properties
+            }
+        }, params, { coerce: options.coerce });
+        const values = validation.value;
+
+        if(validation.valid && values.from && values.to && new Date(values.from) > new Date(values.to)){
+            validation.errors.push({ field: 'from', message: 'must be before to' });
+        }
+
+        if(validation.errors.length){
+            return { valid: false, error: SchemaService.formatErrors(validation.errors), errors: validation.errors, filters: null };
+        }
+
+        return {
+            valid: true,
+            error: null,
+            errors: [],
+            filters: {
+                execution_ids: values.execution_ids?.length ? values.execution_ids : null,
+                action: values.action || null,
+                error: values.error ? values.error.toLowerCase() : null,
+                from: values.from ? new Date(values.from).toISOString() : null,
+                to: values.to ? new Date(values.to).toISOString() : null,
+                limit: values.limit ?? default_limit
+            }
+        };
+    }
+
+    /**
+     * DOCU: Describe a DLQ message (or a failed execution without one) with its execution details <br>
+     * Triggered: ReplayController.scanDLQ(), ReplayController.findFailedExecutions() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ReplayController
+     * @param {Object|null} message - SQS message, or null for an execution that is not in the DLQ
+     * @param {Object} execution - Execution record, if it still exists
+     * @param {Object} body - Parsed message body (or the execution payload)
+     * @returns {Object} DLQ entry; receipt_handle is internal and stripped from responses
+     * @author Vibe Team
+     */
+    static buildDLQEntry(message, execution, body){
+        const { execution_id, tenant_id, action, ...input } = body;
+
+        return {
+            source: message ? 'dlq' : 'execution',
+            receipt_handle: message?.ReceiptHandle || null,
+            message_id: message?.MessageId || null,
+            execution_id: execution_id,
+            action: action,
+            input: input,
+            // Messages moved by the consumer are sent when their last attempt fails
+            failed_at: message
+                ? new Date(Number(message.Attributes?.SentTimestamp || Date.now())).toISOString()
+                : execution.updated_at,
+            last_error: execution?.result?.error || null,
+            execution: execution
+                ? {
+                    status: execution.status,
+                    retry_count: execution.retry_count,
+                    created_at: execution.created_at,
+                    updated_at: execution.updated_at
+                }
+                : null
+        };
+    }
+
+    /**
+     * DOCU: Check a DLQ entry against the filters <br>
+     * Triggered: ReplayController.scanDLQ(), ReplayController.findFailedExecutions() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ReplayController
+     * @param {Object} entry - Entry from buildDLQEntry()
+     * @param {Object} filters - Normalized filters from validateDLQFilters()
+     * @returns {boolean} True if the entry matches every given filter
+     * @author Vibe Team
+     */
+    static matchesDLQFilters(entry, filters){
+        if(filters.execution_ids && !filters.execution_ids.includes(entry.execution_id)){
+            return false;
+        }
+
+        if(filters.action && entry.action !== filters.action){
+            return false;
+        }
+
+        if(filters.error && !String(entry.last_error || '').toLowerCase().includes(filters.error)){
+            return false;
+        }
+
+        if(filters.from && entry.failed_at < filters.from){
+            return false;
+        }
+
+        if(filters.to && entry.failed_at > filters.to){
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * DOCU: Receive the tenant's DLQ messages matching the filters <br>
+     * The DLQ is shared, so messages of other tenants (and unreadable ones, and webhook deliveries SQS moved
+     * there, which have nothing to replay) are made visible again as soon
+     * as they are received; the scan skips them when they come back and stops once a receive brings no new
+     * message. The caller's own messages stay hidden until they are deleted or released, and non-matching
+     * ones are returned as skipped so the caller can release them. <br>
+     * Triggered: ReplayController.handleBrowseDLQ(), ReplayController.replayFromDLQ() <br>
+     * Last Updated Date: October 19, 2026
      * @async
      * @function
      * @memberOf ReplayController
+     * @param {string} tenant_id - Authenticated tenant
+     * @param {Object} filters - Normalized filters from validateDLQFilters()
+     * @param {number} max_receives - Maximum receive calls (10 messages each)
+     * @returns {Promise<Object>} {matches: Array, skipped_handles: Array<string>, scanned: number}
+     * @author Vibe Team
+     */
+    static scanDLQ = async (tenant_id, filters, max_receives) => {
+        const matches = [];
+        const skipped_handles = [];
+        const seen_message_ids = new Set();
+        const match_target = filters.execution_ids ? Math.min(filters.limit, filters.execution_ids.length) : filters.limit;
+        let scanned = 0;
+
+        for(let receive = 0; receive < max_receives && matches.length < match_target; receive++){
+            const received = await QueueModel.fetchDLQMessages(10, DLQ_SCAN_VISIBILITY_SECONDS);
+            const messages = received.filter(message => !seen_message_ids.has(message.MessageId));
+            // Released messages received again are hidden again, so they are released with the other tenants' ones
+            const foreign_handles = received
+                .filter(message => seen_message_ids.has(message.MessageId))
+                .map(message => message.ReceiptHandle);
+
+            if(!messages.length){
+                await ReplayController.releaseMessages(foreign_handles);
+                break;
+            }
+
+            for(const message of messages){
+                let body = null;
+
+                seen_message_ids.add(message.MessageId);
+
+                try{
+                    body = JSON.parse(message.Body);
+                }
+                catch(error){
+                    body = null;
+                }
+
+                if(!body || body.tenant_id !== tenant_id || body.type === ConsumerController.WEBHOOK_MESSAGE_TYPE){
+                    foreign_handles.push(message.ReceiptHandle);
+                    continue;
+                }
+
+                if(matches.length >= match_target){
+                    skipped_handles.push(message.ReceiptHandle);
+                    continue;
+                }
+
+                scanned++;
+
+                // Cheap check first, so looking for listed executions does not read every record
+                if(filters.execution_ids && !filters.execution_ids.includes(body.execution_id)){
+                    skipped_handles.push(message.ReceiptHandle);
+                    continue;
+                }
+
+                const execution = await ExecutionModel.getExecution(tenant_id, body.execution_id);
+                const entry = ReplayController.buildDLQEntry(message, execution, body);
+
+                if(ReplayController.matchesDLQFilters(entry, filters)){
+                    matches.push(entry);
+                }
+                else{
+                    skipped_handles.push(message.ReceiptHandle);
+                }
+            }
+
+            await ReplayController.releaseMessages(foreign_handles);
+        }
+
+        return { matches, skipped_handles, scanned };
+    };
+
+    /**
+     * DOCU: Find listed executions that failed or timed out without reaching the DLQ (e.g. non-retryable errors) <br>
+     * Cancelled executions are included only for a forced replay. <br>
+     * Triggered: ReplayController.replayFromDLQ() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ReplayController
+     * @param {string} tenant_id - Authenticated tenant
+     * @param {Object} filters - Normalized filters with execution_ids
+     * @param {Array<Object>} matches - Entries already found in the DLQ
+     * @param {boolean} force - Include cancelled executions
+     * @returns {Promise<Array>} Entries for failed executions that have no DLQ message
+     * @author Vibe Team
+     */
+    static findFailedExecutions = async (tenant_id, filters, matches, force = false) => {
+        const entries = [];
+        const found_ids = new Set(matches.map(match => match.execution_id));
+        const replayable_statuses = force ? [...REPLAYABLE_STATUSES, 'cancelled'] : REPLAYABLE_STATUSES;
+
+        for(const execution_id of filters.execution_ids){
+            if(found_ids.has(execution_id) || matches.length + entries.length >= filters.limit){
+                continue;
+            }
+
+            const execution = await ExecutionModel.getExecution(tenant_id, execution_id);
+
+            if(!replayable_statuses.includes(execution?.status)){
+                continue;
+            }
+
+            const entry = ReplayController.buildDLQEntry(null, execution, {
+                execution_id: execution_id,
+                ...ExecutionModel.getExecutionPayload(execution)
+            });
+
+            if(ReplayController.matchesDLQFilters(entry, filters)){
+                entries.push(entry);
+                found_ids.add(execution_id);
+            }
+        }
+
+        return entries;
+    };
+
+    /**
+     * DOCU: Make received DLQ messages visible again <br>
+     * Triggered: ReplayController.scanDLQ(), ReplayController.handleBrowseDLQ(), ReplayController.replayFromDLQ() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ReplayController
+     * @param {Array<string>} receipt_handles - Receipt handles to release
+     * @returns {Promise<void>}
+     * @author Vibe Team
+     */
+    static releaseMessages = async (receipt_handles) => {
+        await Promise.all(receipt_handles.map(receipt_handle => QueueModel.releaseDLQMessage(receipt_handle).catch(error => {
+            // The message simply reappears once its visibility timeout expires
+            LoggerService.error('DLQ release error', { error });
+        })));
+    };
+
+    /**
+     * DOCU: Format a DLQ entry for API responses <br>
+     * Triggered: ReplayController.handleBrowseDLQ(), ReplayController.replayFromDLQ() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ReplayController
+     * @param {Object} entry - Entry from buildDLQEntry()
+     * @returns {Object} Entry without its receipt handle
+     * @author Vibe Team
+     */
+    static formatDLQEntry(entry){
+        const { receipt_handle, ...fields } = entry;
+        return fields;
+    }
+
+    /**
+     * DOCU: Replay single execution from DLQ (workflows resume from their failed step) <br>
+     * Only failed and timed out executions are replayed, and cancelled ones when the replay is forced.
+     * Queued, processing and completed executions are refused with status_code 409, so an execution that is
+     * still pending or running never gets a second message. Inputs the action's current schema rejects are not requeued. The
+     * execution is moved to queued before its message is sent. Each replay is recorded as a ReplayCount metric. <br>
+     * Triggered: ReplayController.replayFromDLQ() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ReplayController
+     * @param {string} tenant_id - Authenticated tenant
      * @param {string} execution_id - Execution identifier
-     * @returns {Promise<Object>} Replay result
+     * @param {Object} options - {force}
+     * @returns {Promise<Object>} Replay result {execution_id, success, error, status_code (409 for a refused status)}
      * @author Vibe Team
      */
-    static replayExecution = async (execution_id) => {
+    static replayExecution = async (tenant_id, execution_id, options = {}) => {
+        let action = null;
+
         try{
             // Get execution details
-            const execution = await ExecutionModel.getExecution(execution_id);
+            const execution = await ExecutionModel.getExecution(tenant_id, execution_id);
 
             if(!execution){
+                MetricsService.recordReplay({ action, outcome: 'rejected' });
                 return {
                     execution_id: execution_id,
                     success: false,
@@ -32,21 +357,84 @@ class ReplayController {
                 };
             }
 
+            const is_cancelled = execution.status === 'cancelled';
+
+            action = execution.action;
+
+            if(is_cancelled && !options.force){
+                MetricsService.recordReplay({ action, outcome: 'rejected' });
+                return {
+                    execution_id: execution_id,
+                    success: false,
+                    error: 'Execution is cancelled (set force to replay it)'
+                };
+            }
+
+            // A second message for a queued or running execution could run it twice
+            if(!REPLAYABLE_STATUSES.includes(execution.status) && !is_cancelled){
+                MetricsService.recordReplay({ action, outcome: 'rejected' });
+                return {
+                    execution_id: execution_id,
+                    success: false,
+                    status_code: 409,
+                    error: `Execution cannot be replayed in status ${execution.status}`
+                };
+            }
+
             // Prepare message payload
-            const payload = {
-                action: execution.action,
-                pokemon: execution.pokemon,
-                ability: execution.ability,
-                limit: execution.limit,
-                offset: execution.offset
-            };
+            const payload = ExecutionModel.getExecutionPayload(execution);
+
+            // Replaying an input the current schema rejects would only fail again
+            const payload_validation = ProducerController.validateAction(payload);
+
+            if(!payload_validation.valid){
+                MetricsService.recordReplay({ action, outcome: 'rejected' });
+                return {
+                    execution_id: execution_id,
+                    success: false,
+                    error: payload_validation.error
+                };
+            }
+
+            // Reset execution status first, so the consumer finds it queued when the message arrives
+            const replayed_execution = await ExecutionModel.transitionExecution(tenant_id, execution_id, 'queued', {
+                from: is_cancelled ? ['cancelled'] : REPLAYABLE_STATUSES,
+                fields: { retry_count: 0 },
+                reason: is_cancelled ? 'Replayed from DLQ (forced)' : 'Replayed from DLQ'
+            });
+
+            if(!replayed_execution){
+                const current_execution = await ExecutionModel.getExecution(tenant_id, execution_id);
+
+                MetricsService.recordReplay({ action, outcome: 'rejected' });
+                return {
+                    execution_id: execution_id,
+                    success: false,
+                    status_code: 409,
+                    error: `Execution cannot be replayed in status ${current_execution?.status}`
+                };
+            }
 
             // Send back to main queue
-            await QueueModel.sendToQueue(execution_id, payload);
+            try{
+                await QueueModel.sendToQueue(tenant_id, execution_id, payload);
+            }
+            catch(error){
+                await ExecutionModel.transitionExecution(tenant_id, execution_id, 'failed', {
+                    from: ['queued'],
+                    fields: { result: { error: `Failed to queue: ${error.message}`, error_type: 'QueueError', status_code: null } },
+                    reason: 'Replay send failed'
+                });
+
+                throw error;
+            }
 
-            // Reset execution status
-            await ExecutionModel.updateExecution(execution_id, 'queued', null, 0);
-            await LogModel.writeLog(execution_id, 'info', 'Execution replayed from DLQ', { payload });
+            await LogModel.writeLog(tenant_id, execution_id, 'info', is_cancelled ? 'Cancelled execution replayed from DLQ (forced)' : 'Execution replayed from DLQ', {
+                payload,
+                ...(is_cancelled ? { cancellation: execution.cancellation || null } : {})
+            });
+
+            MetricsService.recordReplay({ action, outcome: 'replayed' });
 
             return {
                 execution_id: execution_id,
@@ -56,7 +444,8 @@ class ReplayController {
 
         }
         catch(error){
-            console.error('Replay error:', error);
+            LoggerService.error('Replay error', { execution_id, error });
+            MetricsService.recordReplay({ action, outcome: 'failed' });
             return {
                 execution_id: execution_id,
                 success: false,
@@ -66,108 +455,186 @@ class ReplayController {
     };
 
     /**
-     * DOCU: Replay all messages from DLQ <br>
+     * DOCU: Replay the tenant's DLQ messages matching the filters <br>
+     * Without drain a single receive (up to 10 messages) is scanned; with drain receives continue until
+     * the DLQ has no more visible messages or the limit is reached. Listed execution_ids that failed
+     * without reaching the DLQ are replayed from their execution record. A dry run reports the matches
+     * and releases every message untouched. When every replay was refused for its status the response is a 409. <br>
      * Triggered: ReplayController.handleReplay() <br>
-     * Last Updated Date: November 30, 2025
+     * Last Updated Date: October 19, 2026
      * @async
      * @function
      * @memberOf ReplayController
+     * @param {string} tenant_id - Authenticated tenant
+     * @param {Object} filters - Normalized filters from validateDLQFilters()
+     * @param {Object} options - {dry_run, drain, force}
      * @returns {Promise<Object>} Batch replay result
      * @author Vibe Team
      */
-    static replayAllFromDLQ = async () => {
-        const messages = await QueueModel.fetchDLQMessages(10);
+    static replayFromDLQ = async (tenant_id, filters, options = {}) => {
+        // Listed executions may sit anywhere in the DLQ, so they are looked for like a drain
+        const max_receives = options.drain || filters.execution_ids ? MAX_SCAN_RECEIVES : 1;
+        const { matches, skipped_handles, scanned } = await ReplayController.scanDLQ(tenant_id, filters, max_receives);
+
+        if(filters.execution_ids){
+            matches.push(...await ReplayController.findFailedExecutions(tenant_id, filters, matches, options.force));
+        }
+
+        if(options.dry_run){
+            await ReplayController.releaseMessages([...skipped_handles, ...matches.map(match => match.receipt_handle).filter(Boolean)]);
 
-        if(messages.length === 0){
             return {
                 status: true,
                 result: {
-                    total: 0,
-                    replayed: 0,
-                    failed: 0,
-                    message: 'No messages in DLQ'
+                    dry_run: true,
+                    total: matches.length,
+                    scanned: scanned,
+                    details: matches.map(ReplayController.formatDLQEntry)
                 },
                 error: null
             };
         }
 
+        await ReplayController.releaseMessages(skipped_handles);
+
         const results = [];
+        const replayed_ids = new Set();
+
+        for(const match of matches){
+            // A second DLQ message for an execution that was just replayed is only removed
+            if(replayed_ids.has(match.execution_id)){
+                await QueueModel.deleteFromDLQ(match.receipt_handle);
+                continue;
+            }
 
-        for(const key in messages){
-            const message = messages[key];
-            const body = JSON.parse(message.Body);
-            const execution_id = body.execution_id;
+            const result = await ReplayController.replayExecution(tenant_id, match.execution_id, { force: options.force });
+            results.push({ ...result, source: match.source });
 
-            const result = await ReplayController.replayExecution(execution_id);
-            results.push(result);
+            if(!match.receipt_handle){
+                continue;
+            }
 
             // Delete from DLQ if replay successful
             if(result.success){
-                await QueueModel.deleteFromDLQ(message.ReceiptHandle);
+                replayed_ids.add(match.execution_id);
+                await QueueModel.deleteFromDLQ(match.receipt_handle);
+            }
+            else{
+                await ReplayController.releaseMessages([match.receipt_handle]);
             }
         }
 
         const replayed_count = results.filter(r => r.success).length;
         const failed_count = results.filter(r => !r.success).length;
+        const is_conflict = results.length > 0 && results.every(r => r.status_code === 409);
 
         return {
-            status: true,
+            status: !is_conflict,
+            ...(is_conflict ? { status_code: 409, error: 'No execution could be replayed in its current status' } : { error: null }),
             result: {
-                total: messages.length,
+                dry_run: false,
+                total: results.length,
                 replayed: replayed_count,
                 failed: failed_count,
+                scanned: scanned,
+                message: results.length ? null : 'No matching messages in DLQ',
                 details: results
-            },
-            error: null
+            }
         };
     };
 
     /**
-     * DOCU: Main replay handler - replay specific or all DLQ messages <br>
+     * DOCU: Browse the tenant's DLQ messages with their execution details and last error <br>
+     * Messages are received and released again immediately, so browsing does not consume them. <br>
      * Triggered: Routes.routeRequest() <br>
-     * Last Updated Date: November 30, 2025
+     * Last Updated Date: October 19, 2026
      * @async
      * @function
      * @memberOf ReplayController
-     * @param {Object} body - Request body with optional execution_ids array
+     * @param {string} tenant_id - Authenticated tenant
+     * @param {Object} params - Filters {execution_ids, action, error, from, to, limit}
      * @returns {Promise<Object>} Response object
      * @author Vibe Team
      */
-    static handleReplay = async (body) => {
+    static handleBrowseDLQ = async (tenant_id, params) => {
         try{
-            // If specific execution_ids provided
-            if(body.execution_ids && Array.isArray(body.execution_ids)){
-                const results = [];
-
-                for(const key in body.execution_ids){
-                    const execution_id = body.execution_ids[key];
-                    const result = await ReplayController.replayExecution(execution_id);
-                    results.push(result);
-                }
+            const validation = ReplayController.validateDLQFilters(params, DEFAULT_BROWSE_LIMIT, MAX_BROWSE_LIMIT, { coerce: true });
+
+            if(!validation.valid){
+                return {
+                    status: false,
+                    error: validation.error,
+                    errors: validation.errors,
+                    result: null
+                };
+            }
+
+            const { matches, skipped_handles, scanned } = await ReplayController.scanDLQ(tenant_id, validation.filters, MAX_SCAN_RECEIVES);
+
+            await ReplayController.releaseMessages([...skipped_handles, ...matches.map(match => match.receipt_handle)]);
+
+            return {
+                status: true,
+                result: {
+                    messages: matches.map(ReplayController.formatDLQEntry),
+                    count: matches.length,
+                    scanned: scanned
+                },
+                error: null
+            };
 
-                const replayed_count = results.filter(r => r.success).length;
-                const failed_count = results.filter(r => !r.success).length;
+        }
+        catch(error){
+            LoggerService.error('DLQ browse error', { error });
+            return {
+                status: false,
+                status_code: 500,
+                error: error.message,
+                result: null
+            };
+        }
+    };
+
+    /**
+     * DOCU: Main replay handler - replay DLQ messages matching the filters <br>
+     * Triggered: Routes.routeRequest() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ReplayController
+     * @param {string} tenant_id - Authenticated tenant
+     * @param {Object} body - Request body {execution_ids, action, error, from, to, limit, dry_run, drain, force}
+     * @returns {Promise<Object>} Response object
+     * @author Vibe Team
+     */
+    static handleReplay = async (tenant_id, body) => {
+        try{
+            const drain = body.drain === true || body.replay_all === true;
+            const validation = ReplayController.validateDLQFilters(body, drain ? DEFAULT_DRAIN_LIMIT : DEFAULT_REPLAY_LIMIT, MAX_REPLAY_LIMIT, {
+                properties: REPLAY_OPTION_PROPERTIES
+            });
 
+            if(!validation.valid){
                 return {
-                    status: true,
-                    result: {
-                        total: body.execution_ids.length,
-                        replayed: replayed_count,
-                        failed: failed_count,
-                        details: results
-                    },
-                    error: null
+                    status: false,
+                    error: validation.error,
+                    errors: validation.errors,
+                    result: null
                 };
             }
 
-            // Otherwise, replay all from DLQ
-            return await ReplayController.replayAllFromDLQ();
+            return await ReplayController.replayFromDLQ(tenant_id, validation.filters, {
+                dry_run: body.dry_run === true,
+                drain: drain,
+                force: body.force === true
+            });
 
         }
         catch(error){
-            console.error('Replay error:', error);
+            LoggerService.error('Replay error', { error });
             return {
                 status: false,
+                status_code: 500,
                 error: error.message,
                 result: null
             };
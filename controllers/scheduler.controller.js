@@ -0,0 +1,418 @@
+/**
+ * Scheduler Controller
+ * Handles deferred executions, recurring cron schedules and the scheduler tick (which also polls due triggers)
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const ExecutionModel = require('../models/execution.model');
+const ScheduleModel = require('../models/schedule.model');
+const QueueModel = require('../models/queue.model');
+const LogModel = require('../models/log.model');
+const CronService = require('../services/cron.service');
+const WebhookService = require('../services/webhook.service');
+const SchemaService = require('../services/schema.service');
+const LoggerService = require('../services/logger.service');
+const ProducerController = require('./producer.controller');
+const TriggerController = require('./trigger.controller');
+
+const SCHEDULE_OPERATIONS = ['create', 'list', 'get', 'pause', 'resume', 'delete'];
+const TICK_PAGE_SIZE = 100;
+const MAX_TICK_PAGES = 10;
+
+class SchedulerController {
+    /**
+     * DOCU: Validate a recurring schedule definition <br>
+     * Triggered: SchedulerController.createSchedule() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf SchedulerController
+     * @param {Object} body - Request body {cron, payload, name, callback_url}
+     * @returns {Object} Validation result {valid: boolean, error: string|null, errors: Array|undefined (payload field errors)}
+     * @author Vibe Team
+     */
+    static validateSchedule(body){
+        if(!body.cron){
+            return { valid: false, error: 'Missing required field: cron' };
+        }
+
+        try{
+            CronService.parse(body.cron);
+        }
+        catch(error){
+            return { valid: false, error: error.message };
+        }
+
+        if(!body.payload || typeof body.payload !== 'object'){
+            return { valid: false, error: 'Missing required field: payload' };
+        }
+
+        if(ProducerController.CONTROL_ACTIONS.includes(body.payload.action)){
+            return { valid: false, error: `Invalid payload action for a schedule: ${body.payload.action}` };
+        }
+
+        if(body.payload.run_at !== undefined || body.payload.delay_seconds !== undefined){
+            return { valid: false, error: 'Schedule payload cannot contain run_at or delay_seconds' };
+        }
+
+        if(body.callback_url !== undefined && !WebhookService.isValidCallbackUrl(body.callback_url)){
+            return { valid: false, error: 'Invalid callback_url. Must be an absolute http(s) URL' };
+        }
+
+        if(body.callback_url !== undefined && !WebhookService.isEnabled()){
+            return { valid: false, error: 'callback_url requires WEBHOOK_SECRET to be configured' };
+        }
+
+        const payload_validation = ProducerController.validateAction(body.payload);
+
+        if(!payload_validation.valid){
+            const errors = payload_validation.errors.map(error => ({ ...error, field: `payload.${error.field}` }));
+            return { valid: false, error: SchemaService.formatErrors(errors), errors };
+        }
+
+        return payload_validation;
+    }
+
+    /**
+     * DOCU: Format a schedule record for API responses <br>
+     * Triggered: SchedulerController.handleSchedules() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf SchedulerController
+     * @param {Object} schedule - Schedule record
+     * @returns {Object} Schedule without key attributes
+     * @author Vibe Team
+     */
+    static formatSchedule(schedule){
+        const { PK, SK, GSI1PK, GSI1SK, ...fields } = schedule;
+        return fields;
+    }
+
+    /**
+     * DOCU: Create a recurring schedule that spawns executions on its cron expression <br>
+     * Triggered: SchedulerController.handleSchedules() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf SchedulerController
+     * @param {string} tenant_id - Authenticated tenant
+     * @param {Object} body - Request body {cron, payload, name, callback_url}
+     * @returns {Promise<Object>} Response object
+     * @author Vibe Team
+     */
+    static createSchedule = async (tenant_id, body) => {
+        const validation = SchedulerController.validateSchedule(body);
+
+        if(!validation.valid){
+            return {
+                status: false,
+                error: validation.error,
+                ...(validation.errors ? { errors: validation.errors } : {}),
+                result: null
+            };
+        }
+
+        const schedule = await ScheduleModel.createSchedule(tenant_id, `sched_${uuidv4()}`, {
+            name: body.name,
+            cron: body.cron,
+            payload: body.payload,
+            callback_url: body.callback_url,
+            next_run_at: CronService.getNextRun(body.cron).toISOString()
+        });
+
+        return {
+            status: true,
+            result: SchedulerController.formatSchedule(schedule),
+            error: null
+        };
+    };
+
+    /**
+     * DOCU: Handle schedule management requests (create, list, get, pause, resume, delete) <br>
+     * Triggered: Routes.routeRequest() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf SchedulerController
+     * @param {string} tenant_id - Authenticated tenant
+     * @param {Object} body - Request body with operation field
+     * @returns {Promise<Object>} Response object
+     * @author Vibe Team
+     */
+    static handleSchedules = async (tenant_id, body) => {
+        try{
+            if(!SCHEDULE_OPERATIONS.includes(body.operation)){
+                return {
+                    status: false,
+                    error: `Invalid operation. Must be one of: ${SCHEDULE_OPERATIONS.join(', ')}`,
+                    result: null
+                };
+            }
+
+            if(body.operation === 'create'){
+                return await SchedulerController.createSchedule(tenant_id, body);
+            }
+
+            if(body.operation === 'list'){
+                const status = body.status || 'active';
+
+                if(!['active', 'paused'].includes(status)){
+                    return {
+                        status: false,
+                        error: 'Invalid status. Must be one of: active, paused',
+                        result: null
+                    };
+                }
+
+                const { items, next_cursor } = await ScheduleModel.listSchedules({
+                    tenant_id: tenant_id,
+                    status: status,
+                    limit: Math.min(Math.max(1, Number(body.limit) || 50), 100),
+                    cursor: body.cursor
+                });
+
+                return {
+                    status: true,
+                    result: {
+                        schedules: items.map(SchedulerController.formatSchedule),
+                        count: items.length,
+                        next_cursor: next_cursor
+                    },
+                    error: null
+                };
+            }
+
+            if(!body.schedule_id){
+                return {
+                    status: false,
+                    error: `Missing required field: schedule_id (for ${body.operation} operation)`,
+                    result: null
+                };
+            }
+
+            const schedule = await ScheduleModel.getSchedule(tenant_id, body.schedule_id);
+
+            if(!schedule){
+                return {
+                    status: false,
+                    status_code: 404,
+                    error: 'Schedule not found',
+                    result: null
+                };
+            }
+
+            let result = schedule;
+
+            if(body.operation === 'pause'){
+                result = await ScheduleModel.updateScheduleStatus(tenant_id, body.schedule_id, 'paused', schedule.next_run_at);
+            }
+            else if(body.operation === 'resume'){
+                // Skip runs missed while paused
+                result = await ScheduleModel.updateScheduleStatus(tenant_id, body.schedule_id, 'active', CronService.getNextRun(schedule.cron).toISOString());
+            }
+            else if(body.operation === 'delete'){
+                await ScheduleModel.deleteSchedule(tenant_id, body.schedule_id);
+                result = { ...schedule, status: 'deleted' };
+            }
+
+            return {
+                status: true,
+                result: SchedulerController.formatSchedule(result),
+                error: null
+            };
+
+        }
+        catch(error){
+            LoggerService.error('Schedule error', { error });
+            return {
+                status: false,
+                status_code: 500,
+                error: error.message,
+                result: null
+            };
+        }
+    };
+
+    /**
+     * DOCU: Enqueue scheduled executions whose run time falls within the SQS delay window <br>
+     * Triggered: SchedulerController.handleTick() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf SchedulerController
+     * @returns {Promise<number>} Number of executions released to the queue
+     * @author Vibe Team
+     */
+    static releaseDueExecutions = async () => {
+        const now = Date.now();
+        const due_before = new Date(now + (QueueModel.MAX_DELAY_SECONDS * 1000)).toISOString();
+        let released_count = 0;
+        let cursor = null;
+        let page_count = 0;
+
+        do{
+            const page = await ExecutionModel.listExecutionsByStatus({
+                status: 'scheduled',
+                to: due_before,
+                order: 'asc',
+                limit: TICK_PAGE_SIZE,
+                cursor: cursor
+            });
+
+            for(const key in page.items){
+                const execution = page.items[key];
+
+                // Records written before tenant isolation have no owner to queue them under
+                if(!execution.tenant_id){
+                    continue;
+                }
+
+                if(!await ExecutionModel.releaseScheduledExecution(execution.tenant_id, execution.execution_id)){
+                    continue;
+                }
+
+                const delay_seconds = (new Date(execution.run_at).getTime() - now) / 1000;
+
+                try{
+                    await QueueModel.sendToQueue(execution.tenant_id, execution.execution_id, ExecutionModel.getExecutionPayload(execution), delay_seconds);
+                    await LogModel.writeLog(execution.tenant_id, execution.execution_id, 'info', 'Scheduled execution queued', { run_at: execution.run_at });
+                    released_count++;
+                }
+                catch(error){
+                    LoggerService.error('Scheduled execution release error', { tenant_id: execution.tenant_id, execution_id: execution.execution_id, error });
+                    await ExecutionModel.rescheduleExecution(execution.tenant_id, execution.execution_id, execution.run_at);
+                }
+            }
+
+            cursor = page.next_cursor;
+            page_count++;
+        } while(cursor && page_count < MAX_TICK_PAGES);
+
+        return released_count;
+    };
+
+    /**
+     * DOCU: Spawn executions for active schedules that are due and advance their next run <br>
+     * A run is only claimed (its next_run_at advanced) once its execution exists, so a run whose create
+     * fails is retried by the next tick. <br>
+     * Triggered: SchedulerController.handleTick() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf SchedulerController
+     * @returns {Promise<number>} Number of executions created
+     * @author Vibe Team
+     */
+    static runDueSchedules = async () => {
+        const now = new Date();
+        let created_count = 0;
+        let cursor = null;
+        let page_count = 0;
+
+        do{
+            const page = await ScheduleModel.listSchedules({
+                status: 'active',
+                due_before: now.toISOString(),
+                limit: TICK_PAGE_SIZE,
+                cursor: cursor
+            });
+
+            for(const key in page.items){
+                const schedule = page.items[key];
+
+                if(!schedule.tenant_id){
+                    continue;
+                }
+
+                try{
+                    const next_run_at = CronService.getNextRun(schedule.cron, now).toISOString();
+
+                    // Created before the run is claimed, so a failed create leaves the run due for the next tick.
+                    // Keyed by run time so overlapping or retried ticks share one execution per run.
+                    // '#' is outside the client key pattern, so a client key can never claim a run's key first.
+                    const response = await ProducerController.createAndQueueExecution(
+                        schedule.tenant_id,
+                        { ...schedule.payload, callback_url: schedule.callback_url || undefined },
+                        `schedule#${schedule.schedule_id}#${schedule.next_run_at}`
+                    );
+
+                    if(!response.status){
+                        throw new Error(response.error);
+                    }
+
+                    // Another tick already claimed this run (with the same execution)
+                    if(!await ScheduleModel.claimScheduleRun(schedule, next_run_at)){
+                        continue;
+                    }
+
+                    await ScheduleModel.setLastExecution(schedule.tenant_id, schedule.schedule_id, response.result.execution_id);
+                    await LogModel.writeLog(schedule.tenant_id, response.result.execution_id, 'info', 'Execution created by schedule', {
+                        schedule_id: schedule.schedule_id,
+                        scheduled_for: schedule.next_run_at
+                    });
+                    created_count++;
+                }
+                catch(error){
+                    LoggerService.error('Schedule run error', { tenant_id: schedule.tenant_id, schedule_id: schedule.schedule_id, error });
+                }
+            }
+
+            cursor = page.next_cursor;
+            page_count++;
+        } while(cursor && page_count < MAX_TICK_PAGES);
+
+        return created_count;
+    };
+
+    /**
+     * DOCU: Run one tick phase, logging its failure so the remaining phases still run <br>
+     * Triggered: SchedulerController.handleTick() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf SchedulerController
+     * @param {string} phase_name - Phase name for the log
+     * @param {Function} phase - Async function returning the phase count
+     * @returns {Promise<number|null>} Phase count, or null when the phase failed
+     * @author Vibe Team
+     */
+    static runTickPhase = async (phase_name, phase) => {
+        try{
+            return await phase();
+        }
+        catch(error){
+            LoggerService.error('Scheduler tick phase error', { phase: phase_name, error });
+
+            return null;
+        }
+    };
+
+    /**
+     * DOCU: Handle a scheduler invocation (EventBridge rule) <br>
+     * Each phase runs on its own, so a failure releasing deferred executions does not hold back
+     * schedules or triggers; a failed phase reports null and is retried by the next tick. <br>
+     * Triggered: exports.handler() when a scheduled event is received <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf SchedulerController
+     * @returns {Promise<Object>} Tick summary
+     * @author Vibe Team
+     */
+    static handleTick = async () => {
+        const released = await SchedulerController.runTickPhase('release', SchedulerController.releaseDueExecutions);
+        const spawned = await SchedulerController.runTickPhase('schedules', SchedulerController.runDueSchedules);
+        const polled = await SchedulerController.runTickPhase('triggers', TriggerController.runDueTriggers);
+
+        return {
+            status: true,
+            result: {
+                released_executions: released,
+                schedule_runs: spawned,
+                trigger_polls: polled
+            },
+            error: null
+        };
+    };
+}
+
+module.exports = SchedulerController;
@@ -0,0 +1,177 @@
+/**
+ * Stats Controller
+ * Handles aggregate execution counts by status and action over a time window
+ */
+
+const ExecutionModel = require('../models/execution.model');
+const SchemaService = require('../services/schema.service');
+const LoggerService = require('../services/logger.service');
+
+const DEFAULT_WINDOW_HOURS = 24;
+// Per status, so a window cannot turn into an unbounded read
+const MAX_COUNTED_EXECUTIONS = 10000;
+
+const STATS_REQUEST_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        from: { type: 'string', format: 'date-time' },
+        to: { type: 'string', format: 'date-time' },
+        action: { type: 'string', minLength: 1, maxLength: 100 }
+    }
+};
+
+class StatsController {
+    /**
+     * DOCU: Validate stats filters and resolve the time window (default: the last 24 hours) <br>
+     * Triggered: StatsController.handleGetStats() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf StatsController
+     * @param {Object} params - Query string / body parameters {from, to, action}
+     * @returns {Object} {valid: boolean, error: string|null, errors: Array<{field, message}>, filters: Object|null}
+     * @author Vibe Team
+     */
+    static validateStatsFilters(params){
+        const validation = SchemaService.validate(STATS_REQUEST_SCHEMA, params);
+
+        if(!validation.valid){
+            return { valid: false, error: SchemaService.formatErrors(validation.errors), errors: validation.errors, filters: null };
+        }
+
+        // Normalize time bounds to the ISO format stored in GSI1SK
+        const to = params.to ? new Date(params.to) : new Date();
+        const from = params.from ? new Date(params.from) : new Date(to.getTime() - (DEFAULT_WINDOW_HOURS * 60 * 60 * 1000));
+
+        if(from > to){
+            const errors = [{ field: 'from', message: 'must be before to' }];
+            return { valid: false, error: SchemaService.formatErrors(errors), errors, filters: null };
+        }
+
+        return {
+            valid: true,
+            error: null,
+            errors: [],
+            filters: {
+                from: from.toISOString(),
+                to: to.toISOString(),
+                action: params.action || null
+            }
+        };
+    }
+
+    /**
+     * DOCU: Failed (or timed out) share of finished (completed, failed or timed out) executions <br>
+     * Triggered: StatsController.getStats() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf StatsController
+     * @param {Object} by_status - Counts per status
+     * @returns {number|null} Failure rate between 0 and 1, or null when nothing finished
+     * @author Vibe Team
+     */
+    static getFailureRate(by_status){
+        const unsuccessful = (by_status.failed || 0) + (by_status.timed_out || 0);
+        const finished = (by_status.completed || 0) + unsuccessful;
+
+        return finished ? Number((unsuccessful / finished).toFixed(4)) : null;
+    }
+
+    /**
+     * DOCU: Count a tenant's executions per status and action over a time window <br>
+     * An execution is counted under its current status when its last status change falls in the
+     * window (scheduled executions by their run time). <br>
+     * Triggered: StatsController.handleGetStats() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf StatsController
+     * @param {string} tenant_id - Authenticated tenant
+     * @param {Object} filters - Normalized filters from validateStatsFilters()
+     * @returns {Promise<Object>} {from, to, total, by_status, by_action, failure_rate, truncated}
+     * @author Vibe Team
+     */
+    static getStats = async (tenant_id, filters) => {
+        const counts = await Promise.all(ExecutionModel.STATUSES.map(status => ExecutionModel.countExecutionsByStatus({
+            tenant_id,
+            status,
+            from: filters.from,
+            to: filters.to,
+            action: filters.action,
+            max_items: MAX_COUNTED_EXECUTIONS
+        })));
+
+        const by_status = {};
+        const by_action = {};
+
+        ExecutionModel.STATUSES.forEach((status, index) => {
+            by_status[status] = counts[index].total;
+
+            for(const action in counts[index].by_action){
+                by_action[action] = by_action[action] || { total: 0, by_status: {} };
+                by_action[action].total += counts[index].by_action[action];
+                by_action[action].by_status[status] = counts[index].by_action[action];
+            }
+        });
+
+        for(const action in by_action){
+            by_action[action].failure_rate = StatsController.getFailureRate(by_action[action].by_status);
+        }
+
+        return {
+            from: filters.from,
+            to: filters.to,
+            total: counts.reduce((total, count) => total + count.total, 0),
+            by_status: by_status,
+            by_action: by_action,
+            failure_rate: StatsController.getFailureRate(by_status),
+            // Counts are lower bounds when a status hit MAX_COUNTED_EXECUTIONS
+            truncated: counts.some(count => count.truncated)
+        };
+    };
+
+    /**
+     * DOCU: Get execution counts by status and action <br>
+     * Triggered: Routes.routeRequest() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf StatsController
+     * @param {string} tenant_id - Authenticated tenant
+     * @param {Object} params - Filters {from, to, action}
+     * @returns {Promise<Object>} Response object
+     * @author Vibe Team
+     */
+    static handleGetStats = async (tenant_id, params) => {
+        try{
+            const validation = StatsController.validateStatsFilters(params);
+
+            if(!validation.valid){
+                return {
+                    status: false,
+                    error: validation.error,
+                    errors: validation.errors,
+                    result: null
+                };
+            }
+
+            return {
+                status: true,
+                result: await StatsController.getStats(tenant_id, validation.filters),
+                error: null
+            };
+
+        }
+        catch(error){
+            LoggerService.error('Get stats error', { error });
+            return {
+                status: false,
+                status_code: 500,
+                error: error.message,
+                result: null
+            };
+        }
+    };
+}
+
+module.exports = StatsController;
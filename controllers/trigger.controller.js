@@ -0,0 +1,515 @@
+/**
+ * Trigger Controller
+ * Handles polling triggers that create an execution for each new item their source returns
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const TriggerModel = require('../models/trigger.model');
+const LogModel = require('../models/log.model');
+const ConnectorRegistry = require('../connectors');
+const TemplateService = require('../services/template.service');
+const SchemaService = require('../services/schema.service');
+const WebhookService = require('../services/webhook.service');
+const LoggerService = require('../services/logger.service');
+const { DeferredError } = require('../services/errors');
+const ProducerController = require('./producer.controller');
+const LogController = require('./log.controller');
+
+const TRIGGER_OPERATIONS = ['create', 'list', 'get', 'pause', 'resume', 'delete', 'poll', 'history'];
+const MIN_INTERVAL_SECONDS = 60;
+const MAX_INTERVAL_SECONDS = 24 * 60 * 60;
+const DEFAULT_INTERVAL_SECONDS = 5 * 60;
+const MAX_ITEMS_PER_POLL = 100;
+const MAX_POLLS_PER_TICK = 25;
+// Payload references rendered per item; others (e.g. workflow {{steps...}}) are kept for the run
+const ITEM_TEMPLATE_ROOTS = ['item', 'trigger'];
+
+const TRIGGER_SCHEMA = {
+    type: 'object',
+    required: ['source', 'payload'],
+    additionalProperties: false,
+    properties: {
+        operation: { type: 'string' },
+        name: { type: 'string', maxLength: 100 },
+        source: { type: 'string' },
+        input: { type: 'object' },
+        payload: { type: 'object' },
+        callback_url: { type: 'string', format: 'http-url', maxLength: 2048 },
+        interval_seconds: { type: 'integer', minimum: MIN_INTERVAL_SECONDS, maximum: MAX_INTERVAL_SECONDS },
+        backfill: { type: 'boolean' }
+    }
+};
+
+class TriggerController {
+    /**
+     * DOCU: Validate a trigger definition: its source and source input, and the payload queued for each new item <br>
+     * Payload values may reference the item with {{item.<path>}} and the trigger with {{trigger.trigger_id}} or
+     * {{trigger.name}}; they are checked again once rendered for an item. <br>
+     * Triggered: TriggerController.createTrigger() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf TriggerController
+     * @param {Object} body - Request body {source, input, payload, name, callback_url, interval_seconds, backfill}
+     * @returns {Object} Validation result {valid: boolean, error: string|null, errors: Array<{field, message}>}
+     * @author Vibe Team
+     */
+    static validateTrigger(body){
+        const errors = SchemaService.validate(TRIGGER_SCHEMA, body).errors;
+
+        if(body.callback_url !== undefined && body.callback_url !== null && !WebhookService.isEnabled()){
+            errors.push({ field: 'callback_url', message: 'requires WEBHOOK_SECRET to be configured' });
+        }
+
+        if(typeof body.source === 'string' && body.source){
+            const source = ConnectorRegistry.getTrigger(body.source);
+
+            if(!source){
+                errors.push({ field: 'source', message: `must be one of: ${ConnectorRegistry.listTriggerNames().join(', ')}` });
+            }
+            else if(body.input === undefined || SchemaService.isType('object', body.input)){
+                errors.push(...SchemaService.validate(source.input_schema, body.input || {}, { path: 'input' }).errors);
+            }
+        }
+
+        if(SchemaService.isType('object', body.payload)){
+            const payload = body.payload;
+
+            if(ProducerController.CONTROL_ACTIONS.includes(payload.action)){
+                errors.push({ field: 'payload.action', message: `must not be a control action: ${payload.action}` });
+            }
+            else if(payload.run_at !== undefined || payload.delay_seconds !== undefined){
+                errors.push({ field: 'payload', message: 'must not contain run_at or delay_seconds' });
+            }
+            else{
+                const payload_validation = ProducerController.validateAction(payload, { allow_templates: true });
+                errors.push(...payload_validation.errors.map(error => ({ ...error, field: `payload.${error.field}` })));
+            }
+        }
+
+        return {
+            valid: errors.length === 0,
+            error: errors.length ? SchemaService.formatErrors(errors) : null,
+            errors: errors
+        };
+    }
+
+    /**
+     * DOCU: Format a trigger record for API responses <br>
+     * Triggered: TriggerController.handleTriggers() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf TriggerController
+     * @param {Object} trigger - Trigger record
+     * @returns {Object} Trigger without key attributes
+     * @author Vibe Team
+     */
+    static formatTrigger(trigger){
+        const { PK, SK, GSI1PK, GSI1SK, ...fields } = trigger;
+        return fields;
+    }
+
+    /**
+     * DOCU: Create a polling trigger; its first poll runs on the next scheduler tick <br>
+     * Triggered: TriggerController.handleTriggers() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf TriggerController
+     * @param {string} tenant_id - Authenticated tenant
+     * @param {Object} body - Request body {source, input, payload, name, callback_url, interval_seconds, backfill}
+     * @returns {Promise<Object>} Response object
+     * @author Vibe Team
+     */
+    static createTrigger = async (tenant_id, body) => {
+        const validation = TriggerController.validateTrigger(body);
+
+        if(!validation.valid){
+            return {
+                status: false,
+                error: validation.error,
+                errors: validation.errors,
+                result: null
+            };
+        }
+
+        const trigger = await TriggerModel.createTrigger(tenant_id, `trig_${uuidv4()}`, {
+            name: body.name,
+            source: body.source,
+            input: body.input,
+            payload: body.payload,
+            callback_url: body.callback_url,
+            interval_seconds: body.interval_seconds || DEFAULT_INTERVAL_SECONDS,
+            backfill: body.backfill,
+            next_poll_at: new Date().toISOString()
+        });
+
+        return {
+            status: true,
+            result: TriggerController.formatTrigger(trigger),
+            error: null
+        };
+    };
+
+    /**
+     * DOCU: Render the trigger payload for a new item and queue it as an execution <br>
+     * The idempotency key is derived from the item, so a poll retried after a failure
+     * cannot queue the same item twice; its '#' separators are outside the client key pattern,
+     * so no client request can take the key first. <br>
+     * Triggered: TriggerController.pollTrigger() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf TriggerController
+     * @param {Object} trigger - Trigger record
+     * @param {Object} new_item - New item {item, item_key, item_hash}
+     * @returns {Promise<Object>} {execution_id} when queued, or {error} when the rendered payload is invalid
+     * @throws {Error} When the execution could not be queued (the item is retried on the next poll)
+     * @author Vibe Team
+     */
+    static createItemExecution = async (trigger, new_item) => {
+        let payload;
+
+        try{
+            payload = TemplateService.render(trigger.payload, {
+                item: new_item.item,
+                trigger: { trigger_id: trigger.trigger_id, name: trigger.name, source: trigger.source }
+            }, { roots: ITEM_TEMPLATE_ROOTS });
+        }
+        catch(error){
+            return { error: error.message };
+        }
+
+        const validation = ProducerController.validateAction(payload);
+
+        if(!validation.valid){
+            return { error: validation.error };
+        }
+
+        const response = await ProducerController.createAndQueueExecution(
+            trigger.tenant_id,
+            { ...payload, callback_url: trigger.callback_url || undefined },
+            `trigger#${trigger.trigger_id}#${new_item.item_hash.slice(0, 32)}`
+        );
+
+        if(!response.status){
+            throw new Error(response.error);
+        }
+
+        await LogModel.writeLog(trigger.tenant_id, response.result.execution_id, 'info', 'Execution created by trigger', {
+            trigger_id: trigger.trigger_id,
+            item_key: new_item.item_key
+        });
+
+        return { execution_id: response.result.execution_id };
+    };
+
+    /**
+     * DOCU: Poll a trigger's source, skip items it has seen before and queue an execution for each new one <br>
+     * The first poll of a trigger without backfill only records the existing items. Items whose rendered
+     * payload is invalid are recorded as seen and reported; items that could not be queued are retried on
+     * the next poll. Every poll is logged under the trigger_id (see the history operation). <br>
+     * Triggered: TriggerController.runDueTriggers(), TriggerController.handleTriggers() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf TriggerController
+     * @param {Object} trigger - Trigger record
+     * @returns {Promise<Object>} Poll summary {items, new_items, executions_created, execution_ids, rejected, failed, baseline_recorded, deferred, error}
+     * @author Vibe Team
+     */
+    static pollTrigger = async (trigger) => {
+        const { tenant_id, trigger_id } = trigger;
+        const polled_at = new Date().toISOString();
+        const summary = {
+            items: 0,
+            new_items: 0,
+            executions_created: 0,
+            execution_ids: [],
+            rejected: [],
+            failed: [],
+            baseline_recorded: false,
+            deferred: false,
+            error: null
+        };
+
+        try{
+            const source = ConnectorRegistry.getTrigger(trigger.source);
+
+            if(!source){
+                throw new Error(`Unknown trigger source: ${trigger.source}`);
+            }
+
+            const items = (await source.poll(trigger.input || {})).slice(0, MAX_ITEMS_PER_POLL);
+            const candidates = new Map();
+
+            for(const item of items){
+                const item_key = String(source.item_key(item));
+                candidates.set(TriggerModel.hashItemKey(item_key), { item, item_key });
+            }
+
+            const seen = await TriggerModel.getSeenItemKeys(tenant_id, trigger_id, [...candidates.keys()]);
+            const new_items = [...candidates]
+                .filter(([item_hash]) => !seen.has(item_hash))
+                .map(([item_hash, candidate]) => ({ item_hash, ...candidate }));
+            const seen_items = [];
+
+            summary.items = candidates.size;
+
+            if(trigger.baseline_pending){
+                seen_items.push(...new_items);
+                summary.baseline_recorded = true;
+            }
+            else{
+                for(const new_item of new_items){
+                    try{
+                        const outcome = await TriggerController.createItemExecution(trigger, new_item);
+
+                        if(outcome.error){
+                            summary.rejected.push({ item_key: new_item.item_key, error: outcome.error });
+                        }
+                        else{
+                            summary.execution_ids.push(outcome.execution_id);
+                        }
+
+                        seen_items.push({ ...new_item, ...outcome });
+                    }
+                    catch(error){
+                        LoggerService.error('Trigger item error', { item_key: new_item.item_key, error });
+                        summary.failed.push({ item_key: new_item.item_key, error: error.message });
+                    }
+                }
+            }
+
+            await TriggerModel.markItemsSeen(tenant_id, trigger_id, seen_items);
+
+            summary.new_items = seen_items.length;
+            summary.executions_created = summary.execution_ids.length;
+
+            const message = summary.baseline_recorded
+                ? `Baseline recorded: ${summary.new_items} existing items (no executions created)`
+                : `Poll completed: ${summary.new_items} new of ${summary.items} items, ${summary.executions_created} executions created`;
+
+            await LogModel.writeLog(tenant_id, trigger_id, summary.rejected.length || summary.failed.length ? 'warning' : 'info', message, {
+                source: trigger.source,
+                ...summary
+            });
+        }
+        catch(error){
+            LoggerService.error('Trigger poll error', { error });
+            summary.deferred = error instanceof DeferredError;
+            summary.error = error.message;
+
+            await LogModel.writeLog(tenant_id, trigger_id, summary.deferred ? 'warning' : 'error', `Poll ${summary.deferred ? 'deferred' : 'failed'}: ${error.message}`, {
+                source: trigger.source,
+                error: error.message,
+                error_type: error.name
+            });
+        }
+
+        await TriggerModel.recordPoll(tenant_id, trigger_id, {
+            polled_at: polled_at,
+            items: summary.items,
+            new_items: summary.new_items,
+            executions_created: summary.executions_created,
+            last_execution_id: summary.execution_ids[summary.execution_ids.length - 1],
+            baseline_recorded: summary.baseline_recorded,
+            error: summary.error
+        });
+
+        return summary;
+    };
+
+    /**
+     * DOCU: Handle trigger management requests (create, list, get, pause, resume, delete, poll, history) <br>
+     * Triggered: Routes.routeRequest() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf TriggerController
+     * @param {string} tenant_id - Authenticated tenant
+     * @param {Object} body - Request body with operation field
+     * @returns {Promise<Object>} Response object
+     * @author Vibe Team
+     */
+    static handleTriggers = async (tenant_id, body) => {
+        try{
+            if(!TRIGGER_OPERATIONS.includes(body.operation)){
+                return {
+                    status: false,
+                    error: `Invalid operation. Must be one of: ${TRIGGER_OPERATIONS.join(', ')}`,
+                    result: null
+                };
+            }
+
+            if(body.operation === 'create'){
+                return await TriggerController.createTrigger(tenant_id, body);
+            }
+
+            if(body.operation === 'list'){
+                const status = body.status || 'active';
+
+                if(!['active', 'paused'].includes(status)){
+                    return {
+                        status: false,
+                        error: 'Invalid status. Must be one of: active, paused',
+                        result: null
+                    };
+                }
+
+                const { items, next_cursor } = await TriggerModel.listTriggers({
+                    tenant_id: tenant_id,
+                    status: status,
+                    limit: Math.min(Math.max(1, Number(body.limit) || 50), 100),
+                    cursor: body.cursor
+                });
+
+                return {
+                    status: true,
+                    result: {
+                        triggers: items.map(TriggerController.formatTrigger),
+                        count: items.length,
+                        next_cursor: next_cursor
+                    },
+                    error: null
+                };
+            }
+
+            if(!body.trigger_id){
+                return {
+                    status: false,
+                    error: `Missing required field: trigger_id (for ${body.operation} operation)`,
+                    result: null
+                };
+            }
+
+            const trigger = await TriggerModel.getTrigger(tenant_id, body.trigger_id);
+
+            if(!trigger){
+                return {
+                    status: false,
+                    status_code: 404,
+                    error: 'Trigger not found',
+                    result: null
+                };
+            }
+
+            if(body.operation === 'history'){
+                // Newest polls first unless the caller asks otherwise
+                const validation = LogController.validateLogFilters({ order: 'desc', ...body });
+
+                if(!validation.valid){
+                    return {
+                        status: false,
+                        error: validation.error,
+                        result: null
+                    };
+                }
+
+                return {
+                    status: true,
+                    result: {
+                        trigger_id: trigger.trigger_id,
+                        ...await LogController.getExecutionLogs(tenant_id, trigger.trigger_id, validation.filters)
+                    },
+                    error: null
+                };
+            }
+
+            if(body.operation === 'poll'){
+                const summary = await LoggerService.runWithContext({ trigger_id: trigger.trigger_id }, () => TriggerController.pollTrigger(trigger));
+
+                if(summary.error){
+                    return {
+                        status: false,
+                        status_code: summary.deferred ? 503 : 502,
+                        error: summary.error,
+                        result: summary
+                    };
+                }
+
+                return {
+                    status: true,
+                    result: { trigger_id: trigger.trigger_id, ...summary },
+                    error: null
+                };
+            }
+
+            let result = trigger;
+
+            if(body.operation === 'pause'){
+                result = await TriggerModel.updateTriggerStatus(tenant_id, body.trigger_id, 'paused', trigger.next_poll_at);
+            }
+            else if(body.operation === 'resume'){
+                result = await TriggerModel.updateTriggerStatus(tenant_id, body.trigger_id, 'active', new Date().toISOString());
+            }
+            else if(body.operation === 'delete'){
+                await TriggerModel.deleteTrigger(tenant_id, body.trigger_id);
+                result = { ...trigger, status: 'deleted' };
+            }
+
+            return {
+                status: true,
+                result: TriggerController.formatTrigger(result),
+                error: null
+            };
+
+        }
+        catch(error){
+            LoggerService.error('Trigger error', { error });
+            return {
+                status: false,
+                status_code: 500,
+                error: error.message,
+                result: null
+            };
+        }
+    };
+
+    /**
+     * DOCU: Poll active triggers that are due, up to MAX_POLLS_PER_TICK per tick <br>
+     * Triggers left over stay due and are polled on the next tick. <br>
+     * Triggered: SchedulerController.handleTick() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf TriggerController
+     * @returns {Promise<number>} Number of triggers polled
+     * @author Vibe Team
+     */
+    static runDueTriggers = async () => {
+        const now = new Date();
+        let polled_count = 0;
+
+        const page = await TriggerModel.listTriggers({
+            status: 'active',
+            due_before: now.toISOString(),
+            limit: MAX_POLLS_PER_TICK
+        });
+
+        for(const key in page.items){
+            const trigger = page.items[key];
+
+            if(!trigger.tenant_id){
+                continue;
+            }
+
+            try{
+                const next_poll_at = new Date(now.getTime() + (trigger.interval_seconds * 1000)).toISOString();
+
+                if(!await TriggerModel.claimTriggerPoll(trigger, next_poll_at)){
+                    continue;
+                }
+
+                await LoggerService.runWithContext({ tenant_id: trigger.tenant_id, trigger_id: trigger.trigger_id }, () => TriggerController.pollTrigger(trigger));
+                polled_count++;
+            }
+            catch(error){
+                LoggerService.error('Trigger run error', { tenant_id: trigger.tenant_id, trigger_id: trigger.trigger_id, error });
+            }
+        }
+
+        return polled_count;
+    };
+}
+
+module.exports = TriggerController;
@@ -0,0 +1,239 @@
+/**
+ * Workflow Controller
+ * Validates and runs multi-step workflows ("Zaps") whose steps can reference earlier step outputs
+ */
+
+const StepModel = require('../models/step.model');
+const LogModel = require('../models/log.model');
+const ConnectorRegistry = require('../connectors');
+const TemplateService = require('../services/template.service');
+const SchemaService = require('../services/schema.service');
+const CacheService = require('../services/cache.service');
+const TimeoutService = require('../services/timeout.service');
+const ProjectionService = require('../services/projection.service');
+const { NonRetryableError, DeferredError } = require('../services/errors');
+
+const MAX_WORKFLOW_STEPS = 20;
+const STEP_PROPERTIES = {
+    action: { type: 'string' },
+    name: { type: 'string', maxLength: 100 },
+    output: { type: 'object' }
+};
+
+class WorkflowController {
+    static WORKFLOW_ACTION = 'run-workflow';
+
+    /**
+     * DOCU: Validate workflow definition and each of its steps <br>
+     * Each step is checked against its action's input schema; {{references}} to earlier step
+     * outputs are only checked once they are resolved at run time. <br>
+     * Triggered: ProducerController.validateAction() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf WorkflowController
+     * @param {Object} payload - Request payload with steps array
+     * @returns {Object} Validation result {valid: boolean, error: string|null, errors: Array<{field, message}>}
+     * @author Vibe Team
+     */
+    static validateWorkflow(payload){
+        const errors = [];
+        const steps_validation = SchemaService.validate({
+            type: 'array',
+            minItems: 1,
+            maxItems: MAX_WORKFLOW_STEPS,
+            items: { type: 'object', required: ['action'], properties: { action: { type: 'string' } } }
+        }, payload.steps, { path: 'steps' });
+
+        errors.push(...steps_validation.errors);
+
+        if(Array.isArray(payload.steps) && payload.steps.length <= MAX_WORKFLOW_STEPS){
+            const step_names = new Set();
+
+            payload.steps.forEach((step, index) => {
+                const step_label = `steps[${index}]`;
+
+                if(!step || typeof step !== 'object' || typeof step.action !== 'string' || !step.action){
+                    return;
+                }
+
+                if(typeof step.name === 'string' && step.name){
+                    if(/^\d+$/.test(step.name) || step_names.has(step.name)){
+                        errors.push({ field: `${step_label}.name`, message: `must be a unique, non-numeric name: ${step.name}` });
+                    }
+
+                    step_names.add(step.name);
+                }
+
+                const action = ConnectorRegistry.getAction(step.action);
+
+                if(!action){
+                    errors.push({ field: `${step_label}.action`, message: `must be one of: ${ConnectorRegistry.listActionNames().join(', ')}` });
+                    return;
+                }
+
+                errors.push(...SchemaService.validate({
+                    ...action.input_schema,
+                    properties: { ...STEP_PROPERTIES, ...action.input_schema.properties }
+                }, step, { path: step_label, allow_templates: true }).errors);
+
+                if(SchemaService.isType('object', step.output)){
+                    errors.push(...ProjectionService.validateSpec(step.output, `${step_label}.output`));
+                }
+            });
+        }
+
+        return {
+            valid: errors.length === 0,
+            error: errors.length ? SchemaService.formatErrors(errors) : null,
+            errors: errors
+        };
+    }
+
+    /**
+     * DOCU: Normalize workflow steps to their action, optional name and output spec, and schema input fields <br>
+     * Triggered: ProducerController.createAndQueueExecution() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf WorkflowController
+     * @param {Array<Object>} steps - Raw step definitions
+     * @returns {Array<Object>} Normalized steps
+     * @author Vibe Team
+     */
+    static normalizeSteps(steps){
+        return steps.map(step => ({
+            action: step.action,
+            ...(step.name ? { name: step.name } : {}),
+            ...(step.output ? { output: step.output } : {}),
+            ...ConnectorRegistry.extractInput(step.action, step)
+        }));
+    }
+
+    /**
+     * DOCU: Run workflow steps in order, resuming after the last completed step <br>
+     * Each step's input templates are resolved against earlier outputs, e.g.
+     * {{steps.0.results.0.name}} or {{steps.<name>.abilities.0}} (other references, such as an
+     * http-request step's {{params.*}}, are left for the action). A step's output is shaped by
+     * its output spec (or the action's default format) before later steps see it. <br>
+     * Triggered: ConsumerController.processMessage() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf WorkflowController
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} execution_id - Parent execution identifier
+     * @param {Array<Object>} steps - Normalized workflow steps
+     * @param {Object} options - {cache: default|bypass, deadline_at: invocation deadline (epoch ms)}
+     * @returns {Promise<Object>} Workflow result {output, steps_completed, total_steps}
+     * @throws {Error} When a step fails (step is marked failed so a retry resumes from it)
+     * @author Vibe Team
+     */
+    static runWorkflow = async (tenant_id, execution_id, steps, options = {}) => {
+        let step_records = await StepModel.getSteps(tenant_id, execution_id);
+
+        // Step records may be missing for messages queued before they were created
+        if(step_records.length !== steps.length){
+            step_records = await StepModel.createSteps(tenant_id, execution_id, steps);
+        }
+
+        const context = { steps: {} };
+        let last_output = null;
+
+        for(const key in step_records){
+            const step_record = step_records[key];
+            const step_index = step_record.step_index;
+
+            if(step_record.status === 'completed'){
+                last_output = step_record.output;
+                WorkflowController.addStepOutput(context, step_record, last_output);
+                continue;
+            }
+
+            const step_label = `Step ${step_index + 1}/${step_records.length} (${step_record.action})`;
+
+            try{
+                const connector_action = ConnectorRegistry.getAction(step_record.action);
+
+                if(!connector_action){
+                    throw new NonRetryableError(`Unknown action: ${step_record.action}`);
+                }
+
+                let resolved_input;
+
+                try{
+                    resolved_input = TemplateService.render(step_record.input, context, { roots: ['steps'] });
+                }
+                catch(error){
+                    // Earlier outputs are fixed once completed, so a missing reference never resolves
+                    throw new NonRetryableError(error.message);
+                }
+
+                const input_validation = ConnectorRegistry.validateInput(step_record.action, resolved_input);
+
+                if(!input_validation.valid){
+                    throw new NonRetryableError(input_validation.error);
+                }
+
+                await StepModel.updateStep(tenant_id, execution_id, step_index, 'processing', { resolved_input, error: null });
+                await LogModel.writeLog(tenant_id, execution_id, 'info', `${step_label} started`, { step_index, action: step_record.action, input: resolved_input });
+
+                // Each step gets its own action's timeout, cut short near the invocation deadline
+                const action_result = await TimeoutService.run(
+                    TimeoutService.getTimeoutMs(step_record.action, options.deadline_at),
+                    (signal) => CacheService.execute(connector_action, resolved_input, options.cache, { signal }),
+                    step_label
+                );
+
+                last_output = ConnectorRegistry.formatOutput(connector_action, action_result.output, step_record.output_spec);
+
+                if(action_result.cache){
+                    await LogModel.writeLog(tenant_id, execution_id, 'info', `${step_label} cache ${action_result.cache.status}`, { step_index, action: step_record.action, ...action_result.cache });
+                }
+
+                await StepModel.updateStep(tenant_id, execution_id, step_index, 'completed', { output: last_output });
+                await LogModel.writeLog(tenant_id, execution_id, 'info', `${step_label} completed`, { step_index, action: step_record.action });
+
+                WorkflowController.addStepOutput(context, step_record, last_output);
+            }
+            catch(error){
+                // A deferred step was never attempted, so it waits as pending instead of failing
+                if(error instanceof DeferredError){
+                    await StepModel.updateStep(tenant_id, execution_id, step_index, 'pending', { error: null });
+                    throw error;
+                }
+
+                await StepModel.updateStep(tenant_id, execution_id, step_index, 'failed', { error: error.message });
+                await LogModel.writeLog(tenant_id, execution_id, 'error', `${step_label} failed`, { step_index, action: step_record.action, error: error.message });
+
+                throw error;
+            }
+        }
+
+        return {
+            output: last_output,
+            steps_completed: step_records.length,
+            total_steps: step_records.length
+        };
+    };
+
+    /**
+     * DOCU: Expose a step's output to later steps by index and optional name <br>
+     * Triggered: WorkflowController.runWorkflow() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf WorkflowController
+     * @param {Object} context - Template context
+     * @param {Object} step_record - Step record
+     * @param {*} output - Step output
+     * @returns {void}
+     * @author Vibe Team
+     */
+    static addStepOutput(context, step_record, output){
+        context.steps[step_record.step_index] = output;
+
+        if(step_record.name){
+            context.steps[step_record.name] = output;
+        }
+    }
+}
+
+module.exports = WorkflowController;
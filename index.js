@@ -4,85 +4,213 @@
  */
 
 const ConsumerController = require('./controllers/consumer.controller');
+const SchedulerController = require('./controllers/scheduler.controller');
+const QueueModel = require('./models/queue.model');
+const LoggerService = require('./services/logger.service');
+const TimeoutService = require('./services/timeout.service');
 const { routeRequest } = require('./routes');
 
+const CORS_ALLOWED_ORIGINS = (process.env.CORS_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean);
+
 /**
  * DOCU: Create HTTP response for API Gateway <br>
+ * The request origin is echoed back only when it is listed in CORS_ALLOWED_ORIGINS. <br>
  * Triggered: handleAPIGatewayEvent() <br>
- * Last Updated Date: November 30, 2025
+ * Last Updated Date: October 19, 2026
  * @function
  * @param {number} status_code - HTTP status code
- * @param {Object} body - Response body
+ * @param {Object|null} body - Response body (null sends an empty body)
+ * @param {string} origin - Request Origin header, if any
+ * @param {Object} extra_headers - Route specific headers (e.g. Allow)
  * @returns {Object} API Gateway response
  * @author Vibe Team
  */
-function createResponse(status_code, body){
+function createResponse(status_code, body, origin = null, extra_headers = {}){
+    const headers = {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, Idempotency-Key, X-Api-Key',
+        'Vary': 'Origin',
+        ...extra_headers
+    };
+
+    if(origin && (CORS_ALLOWED_ORIGINS.includes(origin) || CORS_ALLOWED_ORIGINS.includes('*'))){
+        headers['Access-Control-Allow-Origin'] = origin;
+    }
+
     return {
         statusCode: status_code,
-        headers: {
-            'Content-Type': 'application/json',
-            'Access-Control-Allow-Origin': '*',
-            'Access-Control-Allow-Methods': 'POST, GET, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type'
-        },
-        body: JSON.stringify(body)
+        headers: headers,
+        body: body === null ? '' : JSON.stringify(body)
     };
 }
 
 /**
- * DOCU: Detect event source type (SQS or API Gateway) <br>
+ * DOCU: Detect event source type (SQS, EventBridge scheduler or API Gateway) <br>
  * Triggered: exports.handler() <br>
- * Last Updated Date: November 30, 2025
+ * Last Updated Date: October 19, 2026
  * @function
  * @param {Object} event - Lambda event
- * @returns {string} Event source type ('sqs' or 'apigateway')
+ * @returns {string} Event source type ('sqs', 'schedule' or 'apigateway')
  * @author Vibe Team
  */
 function detectEventSource(event){
     if(event.Records && event.Records[0]?.eventSource === 'aws:sqs'){
         return 'sqs';
     }
+    if(event.source === 'aws.events' || event['detail-type'] === 'Scheduled Event'){
+        return 'schedule';
+    }
     if(event.requestContext || event.httpMethod || event.path || event.rawPath){
         return 'apigateway';
     }
     return 'unknown';
 }
 
+/**
+ * DOCU: Summarize an event for logging without its request or message bodies <br>
+ * Triggered: exports.handler() <br>
+ * Last Updated Date: October 19, 2026
+ * @function
+ * @param {Object} event - Lambda event
+ * @param {string} event_source - Detected event source
+ * @returns {Object} Event summary
+ * @author Vibe Team
+ */
+function summarizeEvent(event, event_source){
+    if(event_source === 'sqs'){
+        return { event_source, record_count: event.Records.length };
+    }
+
+    if(event_source === 'apigateway'){
+        return {
+            event_source,
+            method: event.httpMethod || event.requestContext?.http?.method,
+            path: event.path || event.rawPath,
+            source_ip: event.requestContext?.identity?.sourceIp || event.requestContext?.http?.sourceIp
+        };
+    }
+
+    return { event_source };
+}
+
+/**
+ * DOCU: Parse SQS record body, returning null for poison messages <br>
+ * Triggered: handleSQSEvent() <br>
+ * Last Updated Date: October 19, 2026
+ * @function
+ * @param {Object} record - SQS record
+ * @returns {Object|null} Parsed message or null when body is malformed
+ * @author Vibe Team
+ */
+function parseSQSMessage(record){
+    try{
+        const message = JSON.parse(record.body);
+
+        return message && typeof message === 'object' && message.execution_id ? message : null;
+    }
+    catch(error){
+        return null;
+    }
+}
+
+/**
+ * DOCU: Hand SQS records that were not started back to the queue <br>
+ * They are made visible again right away and reported as failures so SQS does not delete them. <br>
+ * Triggered: handleSQSEvent() <br>
+ * Last Updated Date: October 19, 2026
+ * @async
+ * @function
+ * @param {Array<Object>} records - SQS records
+ * @returns {Promise<Array>} Batch item failures for the records
+ * @author Vibe Team
+ */
+async function handBackRecords(records){
+    await Promise.all(records.map(record => QueueModel.changeMessageVisibility(record.receiptHandle, 0).catch(error => {
+        // The record still reappears once its visibility timeout runs out
+        LoggerService.error('SQS hand back error', { sqs_message_id: record.messageId, error });
+    })));
+
+    return records.map(record => ({ itemIdentifier: record.messageId }));
+}
+
 /**
  * DOCU: Handle SQS events (automatic processing) <br>
+ * Each record is processed independently; only failed records are reported back
+ * so SQS redelivers those instead of the whole batch. When the invocation is close to its
+ * deadline, the records not started yet are handed back to the queue instead of being cut off. <br>
  * Triggered: exports.handler() when SQS trigger fires <br>
- * Last Updated Date: November 30, 2025
+ * Last Updated Date: October 19, 2026
  * @async
  * @function
  * @param {Object} event - SQS event
- * @returns {Promise<Object>} Processing result
+ * @param {number|null} deadline_at - Invocation deadline (epoch ms), or null when unknown
+ * @returns {Promise<Object>} Partial batch response {batchItemFailures}
  * @author Vibe Team
  */
-async function handleSQSEvent(event){
-    const results = [];
+async function handleSQSEvent(event, deadline_at = null){
+    const batch_item_failures = [];
 
-    for(const key in event.Records){
-        const record = event.Records[key];
-        const message = JSON.parse(record.body);
+    for(let index = 0; index < event.Records.length; index++){
+        if(TimeoutService.isNearDeadline(deadline_at)){
+            const remaining_records = event.Records.slice(index);
 
-        try{
-            const result = await ConsumerController.processMessage(message);
-            results.push({ execution_id: message.execution_id, success: true, result });
-        }
-        catch(error){
-            console.error('SQS processing error:', error);
-            results.push({ execution_id: message.execution_id, success: false, error: error.message });
-            throw error; // Re-throw to trigger SQS retry mechanism
+            LoggerService.warn('Invocation deadline near, handing records back to the queue', {
+                record_count: remaining_records.length,
+                remaining_ms: deadline_at - Date.now()
+            });
+            batch_item_failures.push(...await handBackRecords(remaining_records));
+            break;
         }
+
+        const record = event.Records[index];
+        const message = parseSQSMessage(record);
+
+        await LoggerService.runWithContext({
+            sqs_message_id: record.messageId,
+            tenant_id: message?.tenant_id,
+            execution_id: message?.execution_id
+        }, async () => {
+            // Poison messages can never succeed, so acknowledge them instead of retrying
+            if(!message){
+                LoggerService.error('Discarding malformed SQS message', { body_preview: String(record.body).slice(0, 200) });
+                return;
+            }
+
+            try{
+                // Messages queued before tenant isolation cannot be attributed to an owner; keep them in the DLQ for an operator
+                if(!message.tenant_id){
+                    LoggerService.warn('Moving SQS message without a tenant to the DLQ');
+                    await QueueModel.sendToDLQ(null, message.execution_id, message);
+                    return;
+                }
+
+                if(message.type === ConsumerController.WEBHOOK_MESSAGE_TYPE){
+                    await ConsumerController.deliverWebhook(message, { deadline_at });
+                    return;
+                }
+
+                await ConsumerController.processMessage(message, { receipt_handle: record.receiptHandle, deadline_at });
+            }
+            catch(error){
+                LoggerService.error('SQS processing error', { error });
+                batch_item_failures.push({ itemIdentifier: record.messageId });
+            }
+        });
     }
 
-    return { batchItemFailures: [] };
+    return { batchItemFailures: batch_item_failures };
 }
 
 /**
  * DOCU: Handle API Gateway events (manual routes) <br>
+ * Successful responses default to 200 and failures to 422 (a request that failed validation)
+ * unless the route sets a status_code. <br>
  * Triggered: exports.handler() when API Gateway request received <br>
- * Last Updated Date: November 30, 2025
+ * Last Updated Date: October 19, 2026
  * @async
  * @function
  * @param {Object} event - API Gateway event
@@ -90,47 +218,69 @@ async function handleSQSEvent(event){
  * @author Vibe Team
  */
 async function handleAPIGatewayEvent(event){
+    const headers = event.headers || {};
+    const origin = headers.origin || headers.Origin || null;
+
     try{
-        const result = await routeRequest(event);
-        const status_code = result.status ? 200 : 400;
-        return createResponse(status_code, result);
+        const { status_code, headers: route_headers, ...result } = await routeRequest(event);
+        const response_code = status_code || (result.status ? 200 : 422);
+
+        return createResponse(response_code, response_code === 204 ? null : result, origin, route_headers);
     }
     catch(error){
-        console.error('API Gateway error:', error);
+        LoggerService.error('API Gateway error', { error });
         return createResponse(500, {
             status: false,
             error: error.message,
             result: null
-        });
+        }, origin);
     }
 }
 
 /**
  * DOCU: Main Lambda handler - entry point for all events <br>
+ * Everything logged during the invocation carries the Lambda request id (and, for API Gateway,
+ * the API request id). The full event is only logged at LOG_LEVEL debug, with secrets redacted.
+ * The invocation deadline is taken from the Lambda context for SQS processing. <br>
  * Triggered: AWS Lambda runtime <br>
- * Last Updated Date: November 30, 2025
+ * Last Updated Date: October 19, 2026
  * @async
  * @function
- * @param {Object} event - Lambda event (SQS or API Gateway)
+ * @param {Object} event - Lambda event (SQS, EventBridge schedule or API Gateway)
+ * @param {Object} lambda_context - Lambda context {awsRequestId, getRemainingTimeInMillis}
  * @returns {Promise<Object>} Response
  * @author Vibe Team
  */
-exports.handler = async (event) => {
-    console.log('Event received:', JSON.stringify(event, null, 2));
-
+exports.handler = async (event, lambda_context = {}) => {
     const event_source = detectEventSource(event);
 
-    if(event_source === 'sqs'){
-        return await handleSQSEvent(event);
-    }
+    return await LoggerService.runWithContext({
+        aws_request_id: lambda_context.awsRequestId,
+        api_request_id: event_source === 'apigateway' ? event.requestContext?.requestId : null
+    }, async () => {
+        LoggerService.info('Event received', summarizeEvent(event, event_source));
+        LoggerService.debug('Event payload', { event });
 
-    if(event_source === 'apigateway'){
-        return await handleAPIGatewayEvent(event);
-    }
+        if(event_source === 'sqs'){
+            const deadline_at = typeof lambda_context.getRemainingTimeInMillis === 'function'
+                ? Date.now() + lambda_context.getRemainingTimeInMillis()
+                : null;
+
+            return await handleSQSEvent(event, deadline_at);
+        }
+
+        if(event_source === 'schedule'){
+            return await SchedulerController.handleTick();
+        }
+
+        if(event_source === 'apigateway'){
+            return await handleAPIGatewayEvent(event);
+        }
 
-    return createResponse(400, {
-        status: false,
-        error: 'Unknown event source',
-        result: null
+        return createResponse(400, {
+            status: false,
+            error: 'Unknown event source',
+            result: null
+        });
     });
 };
@@ -0,0 +1,200 @@
+/**
+ * Local Runner
+ * Drives exports.handler with simulated API Gateway and SQS events against the
+ * in-memory backend, so the producer -> queue -> consumer -> replay loop runs locally.
+ *
+ * Usage: node local/run.js ['<producer payload JSON>'] [--replay] [--verbose]
+ */
+
+process.env.STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'memory';
+process.env.QUEUE_URL = process.env.QUEUE_URL || 'memory://sqs-main-queue';
+process.env.DLQ_URL = process.env.DLQ_URL || 'memory://sqs-dlq';
+
+const { ReceiveMessageCommand, DeleteMessageCommand } = require('@aws-sdk/client-sqs');
+const Backend = require('../backends');
+const MemoryBackend = require('../backends/memory.backend');
+const AuthService = require('../services/auth.service');
+
+const DEFAULT_PAYLOAD = { action: 'get-pokemon', pokemon: 'pikachu' };
+const VISIBILITY_TIMEOUT = 60;
+const MAX_QUEUE_CYCLES = 100;
+const LOCAL_TENANT_ID = 'local';
+
+const args = process.argv.slice(2);
+const options = {
+    replay: args.includes('--replay'),
+    verbose: args.includes('--verbose'),
+    payload: args.find(arg => !arg.startsWith('--'))
+};
+
+// The handler writes a structured log line per step; keep only errors unless asked (an explicit LOG_LEVEL wins)
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || (options.verbose ? 'debug' : 'error');
+
+const { handler } = require('../index');
+
+let api_key = null;
+
+/**
+ * DOCU: Print a labelled value to stdout <br>
+ * Triggered: Local runner steps <br>
+ * Last Updated Date: October 19, 2026
+ * @function
+ * @param {string} label - Step label
+ * @param {*} value - Value to print
+ * @returns {void}
+ * @author Vibe Team
+ */
+function print(label, value){
+    process.stdout.write(`\n=== ${label}\n${value === undefined ? '' : JSON.stringify(value, null, 2)}\n`);
+}
+
+/**
+ * DOCU: Invoke the handler with a simulated API Gateway (REST) event <br>
+ * Triggered: Local runner steps <br>
+ * Last Updated Date: October 19, 2026
+ * @async
+ * @function
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @param {Object} body - JSON body
+ * @returns {Promise<Object>} {status_code, body}
+ * @author Vibe Team
+ */
+async function apiRequest(method, path, body = {}){
+    const response = await handler({
+        httpMethod: method,
+        path: path,
+        headers: { 'Content-Type': 'application/json', 'X-Api-Key': api_key },
+        queryStringParameters: null,
+        requestContext: { stage: 'local', httpMethod: method, path: path },
+        body: JSON.stringify(body)
+    });
+
+    return { status_code: response.statusCode, body: JSON.parse(response.body) };
+}
+
+/**
+ * DOCU: Poll the main queue like the SQS event source mapping: deliver batches to the handler,
+ * delete acknowledged records and fast-forward the queue clock through delays and backoffs <br>
+ * Triggered: Local runner steps <br>
+ * Last Updated Date: October 19, 2026
+ * @async
+ * @function
+ * @returns {Promise<number>} Number of SQS invocations
+ * @author Vibe Team
+ */
+async function drainQueue(){
+    const sqs = Backend.getQueueClient();
+    let invocations = 0;
+
+    for(let cycle = 0; cycle < MAX_QUEUE_CYCLES; cycle++){
+        const { Messages: messages = [] } = await sqs.send(new ReceiveMessageCommand({
+            QueueUrl: process.env.QUEUE_URL,
+            MaxNumberOfMessages: 10,
+            VisibilityTimeout: VISIBILITY_TIMEOUT
+        }));
+
+        if(!messages.length){
+            const stats = MemoryBackend.getQueueStats(process.env.QUEUE_URL);
+
+            if(!stats.total){
+                break;
+            }
+
+            process.stdout.write(`... ${stats.total} message(s) waiting, fast-forwarding ${stats.next_visible_in_seconds}s\n`);
+            MemoryBackend.advanceTime(stats.next_visible_in_seconds);
+            continue;
+        }
+
+        const { batchItemFailures: failures = [] } = await handler({
+            Records: messages.map(message => ({
+                messageId: message.MessageId,
+                receiptHandle: message.ReceiptHandle,
+                body: message.Body,
+                attributes: message.Attributes,
+                messageAttributes: message.MessageAttributes,
+                eventSource: 'aws:sqs',
+                eventSourceARN: 'arn:aws:sqs:local:000000000000:sqs-main-queue'
+            }))
+        });
+        const failed_ids = failures.map(failure => failure.itemIdentifier);
+
+        invocations++;
+        process.stdout.write(`... SQS batch of ${messages.length}: ${messages.length - failed_ids.length} acknowledged, ${failed_ids.length} failed\n`);
+
+        for(const message of messages){
+            if(!failed_ids.includes(message.MessageId)){
+                await sqs.send(new DeleteMessageCommand({ QueueUrl: process.env.QUEUE_URL, ReceiptHandle: message.ReceiptHandle }));
+            }
+        }
+    }
+
+    return invocations;
+}
+
+/**
+ * DOCU: Fetch and print an execution's status and log timeline <br>
+ * Triggered: Local runner steps <br>
+ * Last Updated Date: October 19, 2026
+ * @async
+ * @function
+ * @param {string} execution_id - Execution identifier
+ * @returns {Promise<Object>} Execution status result
+ * @author Vibe Team
+ */
+async function printStatus(execution_id){
+    const { body } = await apiRequest('POST', '/producer', { action: 'get-status', execution_id, include_logs: true, log_limit: 100 });
+    const result = body.result || {};
+
+    print(`Execution ${execution_id}: ${result.status}`, {
+        result: result.result,
+        retry_count: result.retry_count,
+        steps: result.steps,
+        logs: (result.logs?.logs || []).map(log => `${log.timestamp} [${log.level}] ${log.message}`)
+    });
+
+    return result;
+}
+
+/**
+ * DOCU: Run producer -> queue -> consumer, then optionally replay the DLQ <br>
+ * Triggered: node local/run.js <br>
+ * Last Updated Date: October 19, 2026
+ * @async
+ * @function
+ * @returns {Promise<void>}
+ * @author Vibe Team
+ */
+async function main(){
+    ({ api_key } = await AuthService.createApiKey(LOCAL_TENANT_ID, 'local runner'));
+
+    const payload = options.payload ? JSON.parse(options.payload) : DEFAULT_PAYLOAD;
+
+    const produced = await apiRequest('POST', '/producer', payload);
+    print(`POST /producer (${produced.status_code})`, produced.body);
+
+    const execution_id = produced.body.result?.execution_id;
+
+    if(!execution_id){
+        process.exitCode = 1;
+        return;
+    }
+
+    await drainQueue();
+    await printStatus(execution_id);
+    print('DLQ', MemoryBackend.getQueueStats(process.env.DLQ_URL));
+
+    if(options.replay){
+        const replayed = await apiRequest('POST', '/replay', {});
+        print(`POST /replay (${replayed.status_code})`, replayed.body);
+
+        await drainQueue();
+        await printStatus(execution_id);
+        print('DLQ', MemoryBackend.getQueueStats(process.env.DLQ_URL));
+    }
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
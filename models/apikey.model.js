@@ -0,0 +1,111 @@
+/**
+ * API Key Model
+ * Handles DynamoDB operations for API keys (stored by SHA-256 hash, never in plain text)
+ */
+
+const { PutCommand, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const Backend = require('../backends');
+
+const ddb = Backend.getDocumentClient();
+
+const EXECUTIONS_TABLE = process.env.EXECUTIONS_TABLE || 'sqs-executions';
+
+class ApiKeyModel {
+    /**
+     * DOCU: Store a new API key record <br>
+     * Triggered: AuthService.createApiKey() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ApiKeyModel
+     * @param {string} key_hash - SHA-256 hex digest of the API key
+     * @param {Object} api_key - Key fields {tenant_id, name, key_prefix}
+     * @returns {Promise<Object>} Created API key record
+     * @author Vibe Team
+     */
+    static createApiKey = async (key_hash, api_key) => {
+        const api_key_record = {
+            PK: `APIKEY#${key_hash}`,
+            SK: 'META',
+            tenant_id: api_key.tenant_id,
+            name: api_key.name || null,
+            key_prefix: api_key.key_prefix,
+            status: 'active',
+            created_at: new Date().toISOString()
+        };
+
+        await ddb.send(new PutCommand({
+            TableName: EXECUTIONS_TABLE,
+            Item: api_key_record,
+            ConditionExpression: 'attribute_not_exists(PK)'
+        }));
+
+        return api_key_record;
+    };
+
+    /**
+     * DOCU: Get an API key record by hash <br>
+     * Triggered: AuthService.authenticate() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ApiKeyModel
+     * @param {string} key_hash - SHA-256 hex digest of the API key
+     * @returns {Promise<Object|null>} API key record or null
+     * @author Vibe Team
+     */
+    static getApiKey = async (key_hash) => {
+        const result = await ddb.send(new GetCommand({
+            TableName: EXECUTIONS_TABLE,
+            Key: {
+                PK: `APIKEY#${key_hash}`,
+                SK: 'META'
+            }
+        }));
+
+        return result.Item || null;
+    };
+
+    /**
+     * DOCU: Revoke an API key <br>
+     * Triggered: AuthService.revokeApiKey() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ApiKeyModel
+     * @param {string} key_hash - SHA-256 hex digest of the API key
+     * @returns {Promise<boolean>} True if the key existed
+     * @author Vibe Team
+     */
+    static revokeApiKey = async (key_hash) => {
+        try{
+            await ddb.send(new UpdateCommand({
+                TableName: EXECUTIONS_TABLE,
+                Key: {
+                    PK: `APIKEY#${key_hash}`,
+                    SK: 'META'
+                },
+                UpdateExpression: 'SET #status = :revoked, revoked_at = :timestamp',
+                ConditionExpression: 'attribute_exists(PK)',
+                ExpressionAttributeNames: {
+                    '#status': 'status'
+                },
+                ExpressionAttributeValues: {
+                    ':revoked': 'revoked',
+                    ':timestamp': new Date().toISOString()
+                }
+            }));
+
+            return true;
+        }
+        catch(error){
+            if(error.name === 'ConditionalCheckFailedException'){
+                return false;
+            }
+
+            throw error;
+        }
+    };
+}
+
+module.exports = ApiKeyModel;
@@ -0,0 +1,158 @@
+/**
+ * Batch Model
+ * Handles DynamoDB operations for bulk submission batches and chunked batch writes
+ */
+
+const { PutCommand, GetCommand, BatchWriteCommand } = require('@aws-sdk/lib-dynamodb');
+const Backend = require('../backends');
+
+const ddb = Backend.getDocumentClient();
+
+const EXECUTIONS_TABLE = process.env.EXECUTIONS_TABLE || 'sqs-executions';
+const WRITE_BATCH_SIZE = 25;
+const MAX_WRITE_ATTEMPTS = 5;
+
+class BatchModel {
+    /**
+     * DOCU: Build the primary key of a tenant's batch record <br>
+     * Triggered: BatchModel <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf BatchModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} batch_id - Batch identifier
+     * @returns {Object} Key {PK, SK}
+     * @author Vibe Team
+     */
+    static buildKey(tenant_id, batch_id){
+        return {
+            PK: `BATCH#${tenant_id}#${batch_id}`,
+            SK: 'META'
+        };
+    }
+
+    /**
+     * DOCU: Send put or delete requests to a table, 25 per BatchWriteItem call <br>
+     * Unprocessed requests (throttling) are retried with a short backoff. <br>
+     * Triggered: BatchModel.writeItems(), BatchModel.deleteItems() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf BatchModel
+     * @param {string} table_name - DynamoDB table name
+     * @param {Array<Object>} write_requests - {PutRequest} or {DeleteRequest} entries
+     * @returns {Promise<void>}
+     * @throws {Error} When requests are still unprocessed after MAX_WRITE_ATTEMPTS
+     * @author Vibe Team
+     */
+    static sendWriteRequests = async (table_name, write_requests) => {
+        for(let offset = 0; offset < write_requests.length; offset += WRITE_BATCH_SIZE){
+            let request_items = {
+                [table_name]: write_requests.slice(offset, offset + WRITE_BATCH_SIZE)
+            };
+
+            for(let attempt = 1; request_items[table_name]?.length; attempt++){
+                if(attempt > MAX_WRITE_ATTEMPTS){
+                    throw new Error(`Batch write to ${table_name} left ${request_items[table_name].length} items unprocessed`);
+                }
+
+                if(attempt > 1){
+                    await new Promise(resolve => setTimeout(resolve, 50 * (2 ** attempt)));
+                }
+
+                const result = await ddb.send(new BatchWriteCommand({ RequestItems: request_items }));
+                request_items = result.UnprocessedItems || {};
+            }
+        }
+    };
+
+    /**
+     * DOCU: Write items to a table, 25 per BatchWriteItem call <br>
+     * Triggered: ExecutionModel.createExecutions(), StepModel.createSteps(), LogModel.writeLogs(), TriggerModel.markItemsSeen() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf BatchModel
+     * @param {string} table_name - DynamoDB table name
+     * @param {Array<Object>} items - Items to put
+     * @returns {Promise<void>}
+     * @throws {Error} When items are still unprocessed after MAX_WRITE_ATTEMPTS
+     * @author Vibe Team
+     */
+    static writeItems = async (table_name, items) => {
+        await BatchModel.sendWriteRequests(table_name, items.map(item => ({ PutRequest: { Item: item } })));
+    };
+
+    /**
+     * DOCU: Delete items from a table by key, 25 per BatchWriteItem call <br>
+     * Triggered: TriggerModel.deleteTrigger() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf BatchModel
+     * @param {string} table_name - DynamoDB table name
+     * @param {Array<Object>} keys - Keys {PK, SK} of the items to delete
+     * @returns {Promise<void>}
+     * @throws {Error} When items are still unprocessed after MAX_WRITE_ATTEMPTS
+     * @author Vibe Team
+     */
+    static deleteItems = async (table_name, keys) => {
+        await BatchModel.sendWriteRequests(table_name, keys.map(key => ({ DeleteRequest: { Key: key } })));
+    };
+
+    /**
+     * DOCU: Create a batch record listing the executions it submitted <br>
+     * Triggered: ProducerController.submitBatch() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf BatchModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} batch_id - Batch identifier
+     * @param {Object} batch - Batch fields {total, rejected, execution_ids}
+     * @returns {Promise<Object>} Created batch record
+     * @author Vibe Team
+     */
+    static createBatch = async (tenant_id, batch_id, batch) => {
+        const batch_record = {
+            ...BatchModel.buildKey(tenant_id, batch_id),
+            tenant_id: tenant_id,
+            batch_id: batch_id,
+            total: batch.total,
+            submitted: batch.execution_ids.length,
+            rejected: batch.rejected,
+            execution_ids: batch.execution_ids,
+            created_at: new Date().toISOString()
+        };
+
+        await ddb.send(new PutCommand({
+            TableName: EXECUTIONS_TABLE,
+            Item: batch_record
+        }));
+
+        return batch_record;
+    };
+
+    /**
+     * DOCU: Get a tenant's batch record by ID <br>
+     * Triggered: ProducerController.getBatchStatus() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf BatchModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} batch_id - Batch identifier
+     * @returns {Promise<Object|null>} Batch record or null
+     * @author Vibe Team
+     */
+    static getBatch = async (tenant_id, batch_id) => {
+        const result = await ddb.send(new GetCommand({
+            TableName: EXECUTIONS_TABLE,
+            Key: BatchModel.buildKey(tenant_id, batch_id)
+        }));
+
+        return result.Item || null;
+    };
+}
+
+module.exports = BatchModel;
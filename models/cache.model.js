@@ -0,0 +1,73 @@
+/**
+ * Cache Model
+ * Handles DynamoDB operations for cached connector action responses
+ */
+
+const { PutCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
+const Backend = require('../backends');
+
+const ddb = Backend.getDocumentClient();
+
+const CACHE_TABLE = process.env.CACHE_TABLE || 'sqs-cache';
+
+class CacheModel {
+    /**
+     * DOCU: Get an unexpired cache entry <br>
+     * Triggered: CacheService.get() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf CacheModel
+     * @param {string} cache_key - Normalized request key
+     * @returns {Promise<Object|null>} Cache entry {value, expires_at} or null
+     * @author Vibe Team
+     */
+    static getEntry = async (cache_key) => {
+        const result = await ddb.send(new GetCommand({
+            TableName: CACHE_TABLE,
+            Key: {
+                PK: `CACHE#${cache_key}`,
+                SK: 'META'
+            }
+        }));
+
+        // DynamoDB TTL deletion is lazy, so expired items can still be returned
+        if(!result.Item || result.Item.expires_at < Math.floor(Date.now() / 1000)){
+            return null;
+        }
+
+        return result.Item;
+    };
+
+    /**
+     * DOCU: Store a cache entry that expires via DynamoDB TTL <br>
+     * Triggered: CacheService.set() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf CacheModel
+     * @param {string} cache_key - Normalized request key
+     * @param {string} action - Action that produced the value
+     * @param {*} value - Action output
+     * @param {number} expires_at - Expiry as epoch seconds
+     * @returns {Promise<void>}
+     * @author Vibe Team
+     */
+    static putEntry = async (cache_key, action, value, expires_at) => {
+        await ddb.send(new PutCommand({
+            TableName: CACHE_TABLE,
+            Item: {
+                PK: `CACHE#${cache_key}`,
+                SK: 'META',
+                cache_key: cache_key,
+                action: action,
+                value: value,
+                created_at: new Date().toISOString(),
+                expires_at: expires_at,
+                ttl: expires_at
+            }
+        }));
+    };
+}
+
+module.exports = CacheModel;
@@ -3,120 +3,682 @@
  * Handles all DynamoDB operations for execution records
  */
 
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, PutCommand, GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const crypto = require('crypto');
+const { PutCommand, GetCommand, UpdateCommand, QueryCommand, BatchGetCommand } = require('@aws-sdk/lib-dynamodb');
+const Backend = require('../backends');
+const BatchModel = require('./batch.model');
+const CursorService = require('../services/cursor.service');
 
-const dynamodb_client = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
-const ddb = DynamoDBDocumentClient.from(dynamodb_client);
+const ddb = Backend.getDocumentClient();
 
 const EXECUTIONS_TABLE = process.env.EXECUTIONS_TABLE || 'sqs-executions';
+const STATUS_INDEX = 'GSI1';
+const MAX_LIST_PAGES = 10;
+const COUNT_PAGE_SIZE = 1000;
+const GET_BATCH_SIZE = 100;
+const MAX_GET_ATTEMPTS = 5;
+// Must outlast the function timeout so a live worker never loses its lease
+const LEASE_SECONDS = parseInt(process.env.EXECUTION_LEASE_SECONDS || '90', 10);
 
 class ExecutionModel {
+    static STATUSES = ['scheduled', 'queued', 'processing', 'completed', 'failed', 'timed_out', 'cancelled'];
+    static CANCELLABLE_STATUSES = ['queued', 'scheduled'];
+    static LEASE_SECONDS = LEASE_SECONDS;
+
+    // Allowed status changes (from -> to); completed is terminal
+    static TRANSITIONS = {
+        scheduled: ['queued', 'cancelled'],
+        // queued -> queued re-queues a replayed execution; queued -> failed is a queue send failure
+        queued: ['processing', 'queued', 'scheduled', 'cancelled', 'failed'],
+        // processing -> processing takes over an expired lease; processing -> queued is a retry or deferral
+        processing: ['processing', 'completed', 'failed', 'timed_out', 'queued'],
+        completed: [],
+        failed: ['queued'],
+        timed_out: ['queued'],
+        cancelled: ['queued']
+    };
+
+    /**
+     * DOCU: Build the primary key of a tenant's execution record <br>
+     * Triggered: ExecutionModel <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ExecutionModel
+     * @param {string} tenant_id - Tenant identifier
+     * @param {string} execution_id - Execution identifier
+     * @returns {Object} Key {PK, SK}
+     * @author Vibe Team
+     */
+    static buildKey(tenant_id, execution_id){
+        return {
+            PK: `EXEC#${tenant_id}#${execution_id}`,
+            SK: 'META'
+        };
+    }
+
+    /**
+     * DOCU: Build the GSI1 partition for a status <br>
+     * Statuses are partitioned per tenant, except scheduled executions which share one
+     * partition so the scheduler tick can release due runs for every tenant. <br>
+     * Triggered: ExecutionModel <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ExecutionModel
+     * @param {string} tenant_id - Tenant identifier
+     * @param {string} status - Execution status
+     * @returns {string} GSI1PK value
+     * @author Vibe Team
+     */
+    static buildStatusKey(tenant_id, status){
+        return status === 'scheduled' ? 'STATUS#scheduled' : `STATUS#${tenant_id}#${status}`;
+    }
+
+    /**
+     * DOCU: Build a new execution record <br>
+     * Triggered: ExecutionModel.createExecution(), ExecutionModel.createExecutions() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ExecutionModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} execution_id - Unique execution identifier
+     * @param {Object} payload - Action payload {action, ...input}
+     * @param {Object} options - Execution options {callback_url, status, run_at, batch_id}
+     * @returns {Object} Execution record
+     * @author Vibe Team
+     */
+    static buildExecutionRecord(tenant_id, execution_id, payload, options = {}){
+        const timestamp = new Date().toISOString();
+        const { action, ...input } = payload;
+        const status = options.status || 'queued';
+
+        return {
+            ...ExecutionModel.buildKey(tenant_id, execution_id),
+            tenant_id: tenant_id,
+            execution_id: execution_id,
+            status: status,
+            action: action,
+            input: input,
+            callback_url: options.callback_url || null,
+            run_at: options.run_at || null,
+            batch_id: options.batch_id || null,
+            created_at: timestamp,
+            updated_at: timestamp,
+            retry_count: 0,
+            GSI1PK: ExecutionModel.buildStatusKey(tenant_id, status),
+            // Scheduled executions are indexed by run time so the scheduler can find due ones
+            GSI1SK: status === 'scheduled' ? options.run_at : timestamp
+        };
+    }
+
+    /**
+     * DOCU: Check whether the state machine allows a status change <br>
+     * Triggered: ExecutionModel.transitionExecution(), ReplayController.replayExecution() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ExecutionModel
+     * @param {string|null} from_status - Current status
+     * @param {string} to_status - New status
+     * @returns {boolean} True if the transition is allowed
+     * @author Vibe Team
+     */
+    static canTransition(from_status, to_status){
+        return Boolean(ExecutionModel.TRANSITIONS[from_status]?.includes(to_status));
+    }
+
+    /**
+     * DOCU: Build a transition history item, stored under the execution's partition <br>
+     * Triggered: ExecutionModel.createExecution(), ExecutionModel.createExecutions(), ExecutionModel.transitionExecution() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ExecutionModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} execution_id - Execution identifier
+     * @param {string|null} from_status - Previous status (null when the execution is created)
+     * @param {string} to_status - New status
+     * @param {string} timestamp - Transition time (ISO)
+     * @param {Object} details - {reason, lease_owner}
+     * @returns {Object} Transition record
+     * @author Vibe Team
+     */
+    static buildTransitionRecord(tenant_id, execution_id, from_status, to_status, timestamp, details = {}){
+        return {
+            PK: ExecutionModel.buildKey(tenant_id, execution_id).PK,
+            // The suffix keeps transitions within the same millisecond apart
+            SK: `TRANSITION#${timestamp}#${crypto.randomBytes(4).toString('hex')}`,
+            tenant_id: tenant_id,
+            execution_id: execution_id,
+            from_status: from_status,
+            to_status: to_status,
+            reason: details.reason || null,
+            lease_owner: details.lease_owner || null,
+            transitioned_at: timestamp
+        };
+    }
+
     /**
-     * DOCU: Create new execution record in DynamoDB <br>
+     * DOCU: Create new execution record in DynamoDB, with its first transition history item <br>
      * Triggered: ProducerController.createAndQueueExecution() <br>
-     * Last Updated Date: November 30, 2025
+     * Last Updated Date: October 19, 2026
      * @async
      * @function
      * @memberOf ExecutionModel
+     * @param {string} tenant_id - Owning tenant
      * @param {string} execution_id - Unique execution identifier
-     * @param {Object} payload - Request payload
+     * @param {Object} payload - Action payload {action, ...input}
+     * @param {Object} options - Execution options {callback_url, status, run_at}
      * @returns {Promise<Object>} Created execution record
      * @author Vibe Team
      */
-    static createExecution = async (execution_id, payload) => {
-    const timestamp = new Date().toISOString();
-    const execution_record = {
-        PK: `EXEC#${execution_id}`,
-        SK: 'META',
-        execution_id: execution_id,
-        status: 'queued',
-        action: payload.action,
-        pokemon: payload.pokemon || null,
-        ability: payload.ability || null,
-        limit: payload.limit || null,
-        offset: payload.offset || null,
-        created_at: timestamp,
-        updated_at: timestamp,
-        retry_count: 0,
-        GSI1PK: 'STATUS#queued',
-        GSI1SK: timestamp
-    };
+    static createExecution = async (tenant_id, execution_id, payload, options = {}) => {
+        const execution_record = ExecutionModel.buildExecutionRecord(tenant_id, execution_id, payload, options);
 
-    await ddb.send(new PutCommand({
-        TableName: EXECUTIONS_TABLE,
-        Item: execution_record
-    }));
+        await Promise.all([
+            ddb.send(new PutCommand({
+                TableName: EXECUTIONS_TABLE,
+                Item: execution_record
+            })),
+            ddb.send(new PutCommand({
+                TableName: EXECUTIONS_TABLE,
+                Item: ExecutionModel.buildTransitionRecord(tenant_id, execution_id, null, execution_record.status, execution_record.created_at, { reason: 'Created' })
+            }))
+        ]);
 
         return execution_record;
     };
 
     /**
-     * DOCU: Get execution record by ID from DynamoDB <br>
+     * DOCU: Create many execution records, and their first transition history items, with batch writes <br>
+     * Triggered: ProducerController.submitBatch() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ExecutionModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {Array<Object>} executions - Executions {execution_id, payload, options}
+     * @returns {Promise<Array>} Created execution records
+     * @author Vibe Team
+     */
+    static createExecutions = async (tenant_id, executions) => {
+        const execution_records = executions.map(execution => ExecutionModel.buildExecutionRecord(
+            tenant_id,
+            execution.execution_id,
+            execution.payload,
+            execution.options
+        ));
+
+        await BatchModel.writeItems(EXECUTIONS_TABLE, [
+            ...execution_records,
+            ...execution_records.map(record => ExecutionModel.buildTransitionRecord(tenant_id, record.execution_id, null, record.status, record.created_at, { reason: 'Created' }))
+        ]);
+
+        return execution_records;
+    };
+
+    /**
+     * DOCU: Get the status of many executions, 100 per BatchGetItem call <br>
+     * Triggered: ProducerController.getBatchStatus() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ExecutionModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {Array<string>} execution_ids - Execution identifiers
+     * @returns {Promise<Array>} Found executions {execution_id, status, updated_at}, in no particular order
+     * @throws {Error} When keys are still unprocessed after MAX_GET_ATTEMPTS
+     * @author Vibe Team
+     */
+    static getExecutions = async (tenant_id, execution_ids) => {
+        const executions = [];
+
+        for(let offset = 0; offset < execution_ids.length; offset += GET_BATCH_SIZE){
+            let request_items = {
+                [EXECUTIONS_TABLE]: {
+                    Keys: execution_ids.slice(offset, offset + GET_BATCH_SIZE).map(execution_id => ExecutionModel.buildKey(tenant_id, execution_id)),
+                    ProjectionExpression: 'execution_id, #status, updated_at',
+                    ExpressionAttributeNames: {
+                        '#status': 'status'
+                    }
+                }
+            };
+
+            for(let attempt = 1; request_items[EXECUTIONS_TABLE]?.Keys?.length; attempt++){
+                if(attempt > MAX_GET_ATTEMPTS){
+                    throw new Error(`Batch get left ${request_items[EXECUTIONS_TABLE].Keys.length} executions unprocessed`);
+                }
+
+                if(attempt > 1){
+                    await new Promise(resolve => setTimeout(resolve, 50 * (2 ** attempt)));
+                }
+
+                const result = await ddb.send(new BatchGetCommand({ RequestItems: request_items }));
+
+                executions.push(...(result.Responses?.[EXECUTIONS_TABLE] || []).map(item => ({
+                    execution_id: item.execution_id,
+                    status: item.status,
+                    updated_at: item.updated_at
+                })));
+                request_items = result.UnprocessedKeys || {};
+            }
+        }
+
+        return executions;
+    };
+
+    /**
+     * DOCU: Get a tenant's execution record by ID from DynamoDB <br>
      * Triggered: ProducerController.getExecutionStatus(), ConsumerController.handleConsumer() <br>
-     * Last Updated Date: November 30, 2025
+     * Last Updated Date: October 19, 2026
      * @async
      * @function
      * @memberOf ExecutionModel
+     * @param {string} tenant_id - Owning tenant
      * @param {string} execution_id - Execution identifier
      * @returns {Promise<Object|null>} Execution record or null
      * @author Vibe Team
      */
-    static getExecution = async (execution_id) => {
+    static getExecution = async (tenant_id, execution_id) => {
     const result = await ddb.send(new GetCommand({
         TableName: EXECUTIONS_TABLE,
-        Key: {
-            PK: `EXEC#${execution_id}`,
-            SK: 'META'
-        }
+        Key: ExecutionModel.buildKey(tenant_id, execution_id)
     }));
 
         return result.Item || null;
     };
 
     /**
-     * DOCU: Update execution status and result in DynamoDB <br>
-     * Triggered: ConsumerController.processMessage(), ReplayController.replayExecution() <br>
-     * Last Updated Date: November 30, 2025
+     * DOCU: Change an execution's status with a conditional write enforcing the state machine <br>
+     * The write only succeeds from a status in TRANSITIONS that leads to to_status (narrowed by
+     * options.from). A processing execution can only be moved by the worker holding its lease
+     * (options.lease_id), or by anyone once the lease has expired. Moving to processing takes a new
+     * lease; moving anywhere else releases it. Each transition is then recorded as a history item. <br>
+     * Triggered: ExecutionModel, ConsumerController, ReplayController.replayExecution(), ProducerController.submitBatch() <br>
+     * Last Updated Date: October 19, 2026
      * @async
      * @function
      * @memberOf ExecutionModel
+     * @param {string} tenant_id - Owning tenant
      * @param {string} execution_id - Execution identifier
-     * @param {string} status - New status (processing|completed|failed)
-     * @param {Object} result_data - Result data
-     * @param {number} retry_count - Current retry count
-     * @returns {Promise<void>}
+     * @param {string} to_status - New status
+     * @param {Object} options - Transition options
+     * @param {Array<string>} [options.from] - Only transition from these statuses
+     * @param {string} [options.lease_id] - Lease held by the caller (the new lease when moving to processing)
+     * @param {Object} [options.fields] - Extra attributes to set (result, retry_count, cancellation)
+     * @param {string} [options.gsi1sk] - Status index sort key (defaults to the transition time)
+     * @param {string} [options.reason] - Reason recorded in the transition history
+     * @returns {Promise<Object|null>} Execution record before the transition, or null if the transition was not allowed
+     * @throws {Error} When the state machine has no path from options.from to to_status
      * @author Vibe Team
      */
-    static updateExecution = async (execution_id, status, result_data = null, retry_count = 0) => {
-    const timestamp = new Date().toISOString();
-    const update_params = {
-        TableName: EXECUTIONS_TABLE,
-        Key: {
-            PK: `EXEC#${execution_id}`,
-            SK: 'META'
-        },
-        UpdateExpression: 'SET #status = :status, updated_at = :timestamp, retry_count = :retry_count, GSI1PK = :gsi1pk, GSI1SK = :gsi1sk',
-        ExpressionAttributeNames: {
-            '#status': 'status'
-        },
-        ExpressionAttributeValues: {
-            ':status': status,
-            ':timestamp': timestamp,
-            ':retry_count': retry_count,
-            ':gsi1pk': `STATUS#${status}`,
-            ':gsi1sk': timestamp
+    static transitionExecution = async (tenant_id, execution_id, to_status, options = {}) => {
+        const from_statuses = (options.from || ExecutionModel.STATUSES).filter(status => ExecutionModel.canTransition(status, to_status));
+
+        if(!from_statuses.length){
+            throw new Error(`Invalid transition to ${to_status} from ${(options.from || ExecutionModel.STATUSES).join(', ')}`);
+        }
+
+        const now = new Date();
+        const timestamp = now.toISOString();
+        const fields = options.fields || {};
+        const update_params = {
+            TableName: EXECUTIONS_TABLE,
+            Key: ExecutionModel.buildKey(tenant_id, execution_id),
+            UpdateExpression: 'SET #status = :status, updated_at = :timestamp, GSI1PK = :gsi1pk, GSI1SK = :gsi1sk',
+            ConditionExpression: `#status IN (${from_statuses.map((status, index) => `:from${index}`).join(', ')})`,
+            ExpressionAttributeNames: {
+                '#status': 'status'
+            },
+            ExpressionAttributeValues: {
+                ':status': to_status,
+                ':timestamp': timestamp,
+                ':gsi1pk': ExecutionModel.buildStatusKey(tenant_id, to_status),
+                ':gsi1sk': options.gsi1sk || timestamp
+            },
+            ReturnValues: 'ALL_OLD'
+        };
+
+        from_statuses.forEach((status, index) => {
+            update_params.ExpressionAttributeValues[`:from${index}`] = status;
+        });
+
+        for(const field in fields){
+            update_params.UpdateExpression += `, #${field} = :${field}`;
+            update_params.ExpressionAttributeNames[`#${field}`] = field;
+            update_params.ExpressionAttributeValues[`:${field}`] = fields[field];
+        }
+
+        if(from_statuses.includes('processing')){
+            // Records processed before leases existed have no lease to wait for
+            update_params.ConditionExpression += ' AND (#status <> :processing OR lease_owner = :lease_id OR lease_expires_at < :timestamp OR attribute_not_exists(lease_expires_at))';
+            update_params.ExpressionAttributeValues[':processing'] = 'processing';
+            update_params.ExpressionAttributeValues[':lease_id'] = options.lease_id || null;
+        }
+
+        if(to_status === 'processing'){
+            update_params.UpdateExpression += ', lease_owner = :lease_id, lease_expires_at = :lease_expires_at';
+            update_params.ExpressionAttributeValues[':lease_id'] = options.lease_id;
+            update_params.ExpressionAttributeValues[':lease_expires_at'] = new Date(now.getTime() + (LEASE_SECONDS * 1000)).toISOString();
         }
+        else{
+            update_params.UpdateExpression += ' REMOVE lease_owner, lease_expires_at';
+        }
+
+        let previous;
+
+        try{
+            const result = await ddb.send(new UpdateCommand(update_params));
+            previous = result.Attributes;
+        }
+        catch(error){
+            if(error.name === 'ConditionalCheckFailedException'){
+                return null;
+            }
+
+            throw error;
+        }
+
+        // Written after the conditional update so the history holds the status actually left
+        await ddb.send(new PutCommand({
+            TableName: EXECUTIONS_TABLE,
+            Item: ExecutionModel.buildTransitionRecord(tenant_id, execution_id, previous.status, to_status, timestamp, {
+                reason: options.reason,
+                lease_owner: options.lease_id
+            })
+        }));
+
+        return previous;
+    };
+
+    /**
+     * DOCU: Take a processing lease on a queued execution (or a processing one whose lease expired) <br>
+     * The conditional write makes pickup exclusive: a cancelled, finished or leased execution is never
+     * picked up, and once an execution is processing it can no longer be cancelled. <br>
+     * Triggered: ConsumerController.processMessage() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ExecutionModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} execution_id - Execution identifier
+     * @param {string} lease_id - Identifier of this processing attempt
+     * @returns {Promise<Object|null>} The execution as it was before pickup, or null if it cannot be picked up
+     * @author Vibe Team
+     */
+    static startProcessing = async (tenant_id, execution_id, lease_id) => {
+        return await ExecutionModel.transitionExecution(tenant_id, execution_id, 'processing', {
+            lease_id,
+            reason: 'Picked up by consumer'
+        });
+    };
+
+    /**
+     * DOCU: Cancel a queued or scheduled execution with a conditional write <br>
+     * Triggered: ProducerController.cancelExecution() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ExecutionModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} execution_id - Execution identifier
+     * @param {Object} cancellation - Audit fields {reason, cancelled_by, api_key_prefix}
+     * @returns {Promise<Object|null>} Execution record before the cancel, or null if it was not cancellable
+     * @author Vibe Team
+     */
+    static cancelExecution = async (tenant_id, execution_id, cancellation) => {
+        return await ExecutionModel.transitionExecution(tenant_id, execution_id, 'cancelled', {
+            from: ExecutionModel.CANCELLABLE_STATUSES,
+            fields: { cancellation: { ...cancellation, cancelled_at: new Date().toISOString() } },
+            reason: cancellation.reason || 'Cancelled'
+        });
+    };
+
+    /**
+     * DOCU: Move a scheduled execution to queued with a conditional write <br>
+     * Only one concurrent scheduler invocation can release a given execution. <br>
+     * Triggered: SchedulerController.releaseDueExecutions() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ExecutionModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} execution_id - Execution identifier
+     * @returns {Promise<boolean>} True if this invocation released the execution
+     * @author Vibe Team
+     */
+    static releaseScheduledExecution = async (tenant_id, execution_id) => {
+        const previous = await ExecutionModel.transitionExecution(tenant_id, execution_id, 'queued', {
+            from: ['scheduled'],
+            reason: 'Released by scheduler'
+        });
+
+        return Boolean(previous);
+    };
+
+    /**
+     * DOCU: Put a released execution back into scheduled status, indexed by its run time <br>
+     * An execution cancelled in the meantime stays cancelled. <br>
+     * Triggered: SchedulerController.releaseDueExecutions() when enqueueing fails <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ExecutionModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} execution_id - Execution identifier
+     * @param {string} run_at - Run time (ISO)
+     * @returns {Promise<void>}
+     * @author Vibe Team
+     */
+    static rescheduleExecution = async (tenant_id, execution_id, run_at) => {
+        await ExecutionModel.transitionExecution(tenant_id, execution_id, 'scheduled', {
+            from: ['queued'],
+            gsi1sk: run_at,
+            reason: 'Enqueue failed, rescheduled'
+        });
+    };
+
+    /**
+     * DOCU: Get an execution's transition history, oldest first <br>
+     * Triggered: ProducerController.getExecutionStatus() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ExecutionModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} execution_id - Execution identifier
+     * @returns {Promise<Array>} Transition records
+     * @author Vibe Team
+     */
+    static getTransitions = async (tenant_id, execution_id) => {
+        const transitions = [];
+        let last_evaluated_key;
+
+        do{
+            const result = await ddb.send(new QueryCommand({
+                TableName: EXECUTIONS_TABLE,
+                KeyConditionExpression: 'PK = :pk AND begins_with(SK, :sk_prefix)',
+                ExpressionAttributeValues: {
+                    ':pk': ExecutionModel.buildKey(tenant_id, execution_id).PK,
+                    ':sk_prefix': 'TRANSITION#'
+                },
+                ExclusiveStartKey: last_evaluated_key
+            }));
+
+            transitions.push(...(result.Items || []));
+            last_evaluated_key = result.LastEvaluatedKey;
+        } while(last_evaluated_key);
+
+        return transitions;
+    };
+
+    /**
+     * DOCU: Build the GSI1 status index query for a status, time range and optional action filter <br>
+     * Triggered: ExecutionModel.listExecutionsByStatus(), ExecutionModel.countExecutionsByStatus() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ExecutionModel
+     * @param {Object} options - {tenant_id, status, from, to, action, order} as in listExecutionsByStatus()
+     * @returns {Object} QueryCommand input without Limit and ExclusiveStartKey
+     * @author Vibe Team
+     */
+    static buildStatusQuery({ tenant_id, status, from, to, action, order = 'desc' }){
+        const query_params = {
+            TableName: EXECUTIONS_TABLE,
+            IndexName: STATUS_INDEX,
+            KeyConditionExpression: 'GSI1PK = :gsi1pk',
+            ExpressionAttributeValues: {
+                ':gsi1pk': ExecutionModel.buildStatusKey(tenant_id, status)
+            },
+            ScanIndexForward: order === 'asc'
         };
+        const filters = [];
+
+        if(from && to){
+            query_params.KeyConditionExpression += ' AND GSI1SK BETWEEN :from AND :to';
+            query_params.ExpressionAttributeValues[':from'] = from;
+            query_params.ExpressionAttributeValues[':to'] = to;
+        }
+        else if(from){
+            query_params.KeyConditionExpression += ' AND GSI1SK >= :from';
+            query_params.ExpressionAttributeValues[':from'] = from;
+        }
+        else if(to){
+            query_params.KeyConditionExpression += ' AND GSI1SK <= :to';
+            query_params.ExpressionAttributeValues[':to'] = to;
+        }
+
+        if(action){
+            filters.push('#action = :action');
+            query_params.ExpressionAttributeNames = { '#action': 'action' };
+            query_params.ExpressionAttributeValues[':action'] = action;
+        }
+
+        // The shared scheduled partition holds every tenant's executions
+        if(tenant_id && status === 'scheduled'){
+            filters.push('tenant_id = :tenant_id');
+            query_params.ExpressionAttributeValues[':tenant_id'] = tenant_id;
+        }
 
-        if(result_data){
-            update_params.UpdateExpression += ', #result = :result';
-            update_params.ExpressionAttributeNames['#result'] = 'result';
-            update_params.ExpressionAttributeValues[':result'] = result_data;
+        if(filters.length){
+            query_params.FilterExpression = filters.join(' AND ');
         }
 
-        await ddb.send(new UpdateCommand(update_params));
+        return query_params;
+    }
+
+    /**
+     * DOCU: List executions with a given status from the GSI1 status index <br>
+     * Pages are filled up to the limit even when an action or tenant filter skips items;
+     * the cursor is an opaque encoding of DynamoDB's LastEvaluatedKey.
+     * Without tenant_id only scheduled executions (the shared partition) can be listed. <br>
+     * Triggered: ExecutionController.handleListExecutions(), SchedulerController.releaseDueExecutions() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ExecutionModel
+     * @param {Object} options - Query options
+     * @param {string} [options.tenant_id] - Owning tenant (omitted by the scheduler tick)
+     * @param {string} options.status - Execution status
+     * @param {string} [options.from] - Inclusive lower bound on status change time, or run time for scheduled (ISO 8601)
+     * @param {string} [options.to] - Inclusive upper bound on status change time, or run time for scheduled (ISO 8601)
+     * @param {string} [options.action] - Only return executions of this action
+     * @param {string} [options.order] - asc|desc by status change time
+     * @param {number} [options.limit] - Maximum number of executions
+     * @param {string} [options.cursor] - Cursor from a previous page
+     * @returns {Promise<Object>} {items: Array, next_cursor: string|null}
+     * @throws {Error} When the cursor cannot be decoded
+     * @author Vibe Team
+     */
+    static listExecutionsByStatus = async ({ tenant_id, status, from, to, action, order = 'desc', limit = 25, cursor }) => {
+        const query_params = ExecutionModel.buildStatusQuery({ tenant_id, status, from, to, action, order });
+
+        const items = [];
+        let last_evaluated_key = CursorService.decode(cursor);
+        let page_count = 0;
+
+        do{
+            const result = await ddb.send(new QueryCommand({
+                ...query_params,
+                Limit: limit - items.length,
+                ExclusiveStartKey: last_evaluated_key
+            }));
+
+            items.push(...(result.Items || []));
+            last_evaluated_key = result.LastEvaluatedKey;
+            page_count++;
+        } while(last_evaluated_key && items.length < limit && page_count < MAX_LIST_PAGES);
+
+        return {
+            items: items,
+            next_cursor: CursorService.encode(last_evaluated_key)
+        };
+    };
+
+    /**
+     * DOCU: Count a tenant's executions with a given status per action, reading only the action attribute <br>
+     * Counting stops after max_items executions, and the result is then marked truncated. <br>
+     * Triggered: StatsController.getStats() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ExecutionModel
+     * @param {Object} options - {tenant_id, status, from, to, action} as in listExecutionsByStatus(), and max_items
+     * @returns {Promise<Object>} {total: number, by_action: {action: count}, truncated: boolean}
+     * @author Vibe Team
+     */
+    static countExecutionsByStatus = async ({ tenant_id, status, from, to, action, max_items }) => {
+        const query_params = ExecutionModel.buildStatusQuery({ tenant_id, status, from, to, action });
+        const by_action = {};
+        let total = 0;
+        let last_evaluated_key;
+
+        query_params.ProjectionExpression = '#action';
+        query_params.ExpressionAttributeNames = { ...query_params.ExpressionAttributeNames, '#action': 'action' };
+
+        do{
+            const result = await ddb.send(new QueryCommand({
+                ...query_params,
+                Limit: Math.min(COUNT_PAGE_SIZE, max_items - total),
+                ExclusiveStartKey: last_evaluated_key
+            }));
+
+            for(const item of result.Items || []){
+                by_action[item.action] = (by_action[item.action] || 0) + 1;
+            }
+
+            total += (result.Items || []).length;
+            last_evaluated_key = result.LastEvaluatedKey;
+        } while(last_evaluated_key && total < max_items);
+
+        return {
+            total: total,
+            by_action: by_action,
+            truncated: Boolean(last_evaluated_key)
+        };
     };
+
+    /**
+     * DOCU: Rebuild the action payload stored on an execution record <br>
+     * Triggered: ConsumerController.handleConsumer(), ReplayController.replayExecution() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ExecutionModel
+     * @param {Object} execution - Execution record
+     * @returns {Object} Action payload {action, ...input}
+     * @author Vibe Team
+     */
+    static getExecutionPayload(execution){
+        // Records created before the connector registry stored Pokemon fields at the top level
+        const input = execution.input || {
+            pokemon: execution.pokemon,
+            ability: execution.ability,
+            limit: execution.limit,
+            offset: execution.offset
+        };
+
+        return {
+            action: execution.action,
+            ...input
+        };
+    }
 }
 
 module.exports = ExecutionModel;
@@ -0,0 +1,250 @@
+/**
+ * Guard Model
+ * Handles DynamoDB operations for outbound rate limit windows and circuit breaker state,
+ * shared by all concurrent Lambda invocations
+ */
+
+const { GetCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const Backend = require('../backends');
+
+const ddb = Backend.getDocumentClient();
+
+const EXECUTIONS_TABLE = process.env.EXECUTIONS_TABLE || 'sqs-executions';
+const RATE_WINDOW_TTL_SECONDS = 60;
+
+class GuardModel {
+    /**
+     * DOCU: Take one request token from the service's current one-second window <br>
+     * Triggered: GuardService.acquireRateToken() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf GuardModel
+     * @param {string} service - Outbound service name
+     * @param {number} window_second - Window start as epoch seconds
+     * @param {number} limit - Maximum requests per window
+     * @returns {Promise<boolean>} True if a token was taken, false if the window is full
+     * @author Vibe Team
+     */
+    static takeRateToken = async (service, window_second, limit) => {
+        try{
+            await ddb.send(new UpdateCommand({
+                TableName: EXECUTIONS_TABLE,
+                Key: {
+                    PK: `GUARD#${service}`,
+                    SK: `RATE#${window_second}`
+                },
+                UpdateExpression: 'ADD request_count :one SET #ttl = :ttl',
+                ConditionExpression: 'attribute_not_exists(request_count) OR request_count < :limit',
+                ExpressionAttributeNames: {
+                    '#ttl': 'ttl'
+                },
+                ExpressionAttributeValues: {
+                    ':one': 1,
+                    ':limit': limit,
+                    ':ttl': window_second + RATE_WINDOW_TTL_SECONDS
+                }
+            }));
+
+            return true;
+        }
+        catch(error){
+            if(error.name === 'ConditionalCheckFailedException'){
+                return false;
+            }
+
+            throw error;
+        }
+    };
+
+    /**
+     * DOCU: Get the circuit breaker state of a service <br>
+     * Triggered: GuardService.checkCircuit() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf GuardModel
+     * @param {string} service - Outbound service name
+     * @returns {Promise<Object|null>} Circuit {state, failure_count, window_started_at, open_until, probe_until} or null
+     * @author Vibe Team
+     */
+    static getCircuit = async (service) => {
+        const result = await ddb.send(new GetCommand({
+            TableName: EXECUTIONS_TABLE,
+            Key: {
+                PK: `GUARD#${service}`,
+                SK: 'CIRCUIT'
+            }
+        }));
+
+        return result.Item || null;
+    };
+
+    /**
+     * DOCU: Count a failure in the current failure window, starting a new window when it has elapsed <br>
+     * Triggered: GuardService.recordFailure() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf GuardModel
+     * @param {string} service - Outbound service name
+     * @param {number} now - Current epoch seconds
+     * @param {number} window_seconds - Failure window length
+     * @returns {Promise<Object>} Updated circuit
+     * @author Vibe Team
+     */
+    static recordFailure = async (service, now, window_seconds) => {
+        const key = {
+            PK: `GUARD#${service}`,
+            SK: 'CIRCUIT'
+        };
+
+        try{
+            const result = await ddb.send(new UpdateCommand({
+                TableName: EXECUTIONS_TABLE,
+                Key: key,
+                UpdateExpression: 'ADD failure_count :one SET last_failure_at = :now',
+                ConditionExpression: 'window_started_at > :window_start',
+                ExpressionAttributeValues: {
+                    ':one': 1,
+                    ':now': now,
+                    ':window_start': now - window_seconds
+                },
+                ReturnValues: 'ALL_NEW'
+            }));
+
+            return result.Attributes;
+        }
+        catch(error){
+            if(error.name !== 'ConditionalCheckFailedException'){
+                throw error;
+            }
+        }
+
+        const result = await ddb.send(new UpdateCommand({
+            TableName: EXECUTIONS_TABLE,
+            Key: key,
+            UpdateExpression: 'SET failure_count = :one, window_started_at = :now, last_failure_at = :now, #state = if_not_exists(#state, :closed)',
+            ExpressionAttributeNames: {
+                '#state': 'state'
+            },
+            ExpressionAttributeValues: {
+                ':one': 1,
+                ':now': now,
+                ':closed': 'closed'
+            },
+            ReturnValues: 'ALL_NEW'
+        }));
+
+        return result.Attributes;
+    };
+
+    /**
+     * DOCU: Open the circuit until the cooldown ends <br>
+     * Triggered: GuardService.recordFailure() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf GuardModel
+     * @param {string} service - Outbound service name
+     * @param {number} now - Current epoch seconds
+     * @param {number} open_until - Epoch seconds when a probe call is allowed
+     * @returns {Promise<void>}
+     * @author Vibe Team
+     */
+    static openCircuit = async (service, now, open_until) => {
+        await ddb.send(new UpdateCommand({
+            TableName: EXECUTIONS_TABLE,
+            Key: {
+                PK: `GUARD#${service}`,
+                SK: 'CIRCUIT'
+            },
+            UpdateExpression: 'SET #state = :open, opened_at = :now, open_until = :open_until REMOVE probe_until',
+            ExpressionAttributeNames: {
+                '#state': 'state'
+            },
+            ExpressionAttributeValues: {
+                ':open': 'open',
+                ':now': now,
+                ':open_until': open_until
+            }
+        }));
+    };
+
+    /**
+     * DOCU: Claim the single half-open probe call once the cooldown has ended <br>
+     * A probe that never reports back expires at probe_until so another worker can claim it. <br>
+     * Triggered: GuardService.checkCircuit() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf GuardModel
+     * @param {string} service - Outbound service name
+     * @param {number} now - Current epoch seconds
+     * @param {number} probe_until - Epoch seconds when the probe claim expires
+     * @returns {Promise<boolean>} True if this caller owns the probe
+     * @author Vibe Team
+     */
+    static claimProbe = async (service, now, probe_until) => {
+        try{
+            await ddb.send(new UpdateCommand({
+                TableName: EXECUTIONS_TABLE,
+                Key: {
+                    PK: `GUARD#${service}`,
+                    SK: 'CIRCUIT'
+                },
+                UpdateExpression: 'SET #state = :half_open, probe_until = :probe_until',
+                ConditionExpression: '(#state = :open AND open_until <= :now) OR (#state = :half_open AND probe_until <= :now)',
+                ExpressionAttributeNames: {
+                    '#state': 'state'
+                },
+                ExpressionAttributeValues: {
+                    ':open': 'open',
+                    ':half_open': 'half_open',
+                    ':now': now,
+                    ':probe_until': probe_until
+                }
+            }));
+
+            return true;
+        }
+        catch(error){
+            if(error.name === 'ConditionalCheckFailedException'){
+                return false;
+            }
+
+            throw error;
+        }
+    };
+
+    /**
+     * DOCU: Close the circuit and clear its failure count <br>
+     * Triggered: GuardService.run() after a successful call <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf GuardModel
+     * @param {string} service - Outbound service name
+     * @returns {Promise<void>}
+     * @author Vibe Team
+     */
+    static closeCircuit = async (service) => {
+        await ddb.send(new UpdateCommand({
+            TableName: EXECUTIONS_TABLE,
+            Key: {
+                PK: `GUARD#${service}`,
+                SK: 'CIRCUIT'
+            },
+            UpdateExpression: 'SET #state = :closed, failure_count = :zero REMOVE open_until, probe_until',
+            ExpressionAttributeNames: {
+                '#state': 'state'
+            },
+            ExpressionAttributeValues: {
+                ':closed': 'closed',
+                ':zero': 0
+            }
+        }));
+    };
+}
+
+module.exports = GuardModel;
@@ -0,0 +1,167 @@
+/**
+ * Idempotency Model
+ * Handles DynamoDB operations for producer idempotency keys
+ */
+
+const crypto = require('crypto');
+const { PutCommand, GetCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const Backend = require('../backends');
+
+const ddb = Backend.getDocumentClient();
+
+const EXECUTIONS_TABLE = process.env.EXECUTIONS_TABLE || 'sqs-executions';
+const IDEMPOTENCY_WINDOW_SECONDS = parseInt(process.env.IDEMPOTENCY_WINDOW_SECONDS || '86400', 10);
+
+class IdempotencyModel {
+    /**
+     * DOCU: Serialize a value with sorted object keys so equal payloads hash equally <br>
+     * Triggered: IdempotencyModel.hashPayload() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf IdempotencyModel
+     * @param {*} value - Value to serialize
+     * @returns {string} Stable JSON string
+     * @author Vibe Team
+     */
+    static stableStringify(value){
+        if(Array.isArray(value)){
+            return `[${value.map(item => IdempotencyModel.stableStringify(item)).join(',')}]`;
+        }
+
+        if(value && typeof value === 'object'){
+            const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+            return `{${keys.map(key => `${JSON.stringify(key)}:${IdempotencyModel.stableStringify(value[key])}`).join(',')}}`;
+        }
+
+        return JSON.stringify(value);
+    }
+
+    /**
+     * DOCU: Hash a request payload for conflict detection <br>
+     * Triggered: ProducerController.createAndQueueExecution() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf IdempotencyModel
+     * @param {Object} payload - Normalized action payload
+     * @returns {string} SHA-256 hex digest
+     * @author Vibe Team
+     */
+    static hashPayload(payload){
+        return crypto.createHash('sha256').update(IdempotencyModel.stableStringify(payload)).digest('hex');
+    }
+
+    /**
+     * DOCU: Claim an idempotency key with a conditional write <br>
+     * Succeeds when the key is unused or its window has expired. <br>
+     * Triggered: ProducerController.createAndQueueExecution() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf IdempotencyModel
+     * @param {string} tenant_id - Owning tenant (keys are scoped per tenant)
+     * @param {string} idempotency_key - Client supplied idempotency key
+     * @param {string} execution_id - Execution the key will point to
+     * @param {string} request_hash - Hash of the request payload
+     * @returns {Promise<boolean>} True if claimed, false if the key is already in use
+     * @author Vibe Team
+     */
+    static claimKey = async (tenant_id, idempotency_key, execution_id, request_hash) => {
+        const now = Math.floor(Date.now() / 1000);
+        const expires_at = now + IDEMPOTENCY_WINDOW_SECONDS;
+
+        try{
+            await ddb.send(new PutCommand({
+                TableName: EXECUTIONS_TABLE,
+                Item: {
+                    PK: `IDEMPOTENCY#${tenant_id}#${idempotency_key}`,
+                    SK: 'META',
+                    tenant_id: tenant_id,
+                    idempotency_key: idempotency_key,
+                    execution_id: execution_id,
+                    request_hash: request_hash,
+                    created_at: new Date().toISOString(),
+                    expires_at: expires_at,
+                    ttl: expires_at
+                },
+                ConditionExpression: 'attribute_not_exists(PK) OR expires_at < :now',
+                ExpressionAttributeValues: {
+                    ':now': now
+                }
+            }));
+
+            return true;
+        }
+        catch(error){
+            if(error.name === 'ConditionalCheckFailedException'){
+                return false;
+            }
+
+            throw error;
+        }
+    };
+
+    /**
+     * DOCU: Get an unexpired idempotency key record <br>
+     * Triggered: ProducerController.getIdempotentResponse() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf IdempotencyModel
+     * @param {string} tenant_id - Owning tenant (keys are scoped per tenant)
+     * @param {string} idempotency_key - Client supplied idempotency key
+     * @returns {Promise<Object|null>} Idempotency record or null
+     * @author Vibe Team
+     */
+    static getKey = async (tenant_id, idempotency_key) => {
+        const result = await ddb.send(new GetCommand({
+            TableName: EXECUTIONS_TABLE,
+            Key: {
+                PK: `IDEMPOTENCY#${tenant_id}#${idempotency_key}`,
+                SK: 'META'
+            }
+        }));
+
+        // DynamoDB TTL deletion is lazy, so expired items can still be returned
+        if(!result.Item || result.Item.expires_at < Math.floor(Date.now() / 1000)){
+            return null;
+        }
+
+        return result.Item;
+    };
+
+    /**
+     * DOCU: Release a claimed key when the execution could not be created <br>
+     * Triggered: ProducerController.createAndQueueExecution() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf IdempotencyModel
+     * @param {string} tenant_id - Owning tenant (keys are scoped per tenant)
+     * @param {string} idempotency_key - Client supplied idempotency key
+     * @param {string} execution_id - Execution the key was claimed for
+     * @returns {Promise<void>}
+     * @author Vibe Team
+     */
+    static releaseKey = async (tenant_id, idempotency_key, execution_id) => {
+        try{
+            await ddb.send(new DeleteCommand({
+                TableName: EXECUTIONS_TABLE,
+                Key: {
+                    PK: `IDEMPOTENCY#${tenant_id}#${idempotency_key}`,
+                    SK: 'META'
+                },
+                ConditionExpression: 'execution_id = :execution_id',
+                ExpressionAttributeValues: {
+                    ':execution_id': execution_id
+                }
+            }));
+        }
+        catch(error){
+            if(error.name !== 'ConditionalCheckFailedException'){
+                throw error;
+            }
+        }
+    };
+}
+
+module.exports = IdempotencyModel;
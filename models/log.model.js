@@ -3,23 +3,82 @@
  * Handles all DynamoDB operations for log records
  */
 
-const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
-const { DynamoDBDocumentClient, PutCommand } = require('@aws-sdk/lib-dynamodb');
+const crypto = require('crypto');
+const { PutCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const Backend = require('../backends');
+const BatchModel = require('./batch.model');
+const CursorService = require('../services/cursor.service');
+const LoggerService = require('../services/logger.service');
 
-const dynamodb_client = new DynamoDBClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
-const ddb = DynamoDBDocumentClient.from(dynamodb_client);
+const ddb = Backend.getDocumentClient();
 
 const LOGS_TABLE = process.env.LOGS_TABLE || 'sqs-logs';
 const TTL_DAYS = 90;
+const MAX_LOG_PAGES = 10;
 
 class LogModel {
+    /**
+     * DOCU: Build a log entry with TTL <br>
+     * Sensitive metadata fields are redacted, and the request correlation fields of the current
+     * log context (aws_request_id, sqs_message_id, ...) are added to the metadata. <br>
+     * Triggered: LogModel.writeLog(), LogModel.writeLogs() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf LogModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} execution_id - Execution identifier
+     * @param {string} level - Log level (info|error|warning)
+     * @param {string} message - Log message
+     * @param {Object} metadata - Additional metadata
+     * @returns {Object} Log entry
+     * @author Vibe Team
+     */
+    static buildLogEntry(tenant_id, execution_id, level, message, metadata = {}){
+        const timestamp = new Date().toISOString();
+        const ttl = Math.floor(Date.now() / 1000) + (TTL_DAYS * 24 * 60 * 60);
+        const log_id = `${execution_id}_${Date.now()}_${crypto.randomUUID().slice(0, 8)}`;
+
+        return {
+            PK: `LOG#${tenant_id}#${execution_id}`,
+            // Suffix keeps entries written in the same millisecond from overwriting each other
+            SK: `${timestamp}#${log_id.slice(-8)}`,
+            log_id: log_id,
+            tenant_id: tenant_id,
+            execution_id: execution_id,
+            level: level,
+            message: message,
+            metadata: { ...LoggerService.getCorrelation(), ...LoggerService.redact(metadata) },
+            timestamp: timestamp,
+            ttl: ttl
+        };
+    }
+
+    /**
+     * DOCU: Emit a log entry to CloudWatch (without its metadata) so log lines can be matched to the stored timeline <br>
+     * Triggered: LogModel.writeLog(), LogModel.writeLogs() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf LogModel
+     * @param {Object} entry - Log entry from buildLogEntry()
+     * @returns {void}
+     * @author Vibe Team
+     */
+    static emitLogEntry(entry){
+        LoggerService.log(entry.level, entry.message, {
+            tenant_id: entry.tenant_id,
+            execution_id: entry.execution_id,
+            log_id: entry.log_id
+        });
+    }
+
     /**
      * DOCU: Write log entry to DynamoDB with TTL <br>
      * Triggered: ProducerController, ConsumerController, ReplayController <br>
-     * Last Updated Date: November 30, 2025
+     * Last Updated Date: October 19, 2026
      * @async
      * @function
      * @memberOf LogModel
+     * @param {string} tenant_id - Owning tenant
      * @param {string} execution_id - Execution identifier
      * @param {string} level - Log level (info|error|warning)
      * @param {string} message - Log message
@@ -27,28 +86,103 @@ class LogModel {
      * @returns {Promise<void>}
      * @author Vibe Team
      */
-    static writeLog = async (execution_id, level, message, metadata = {}) => {
-    const timestamp = new Date().toISOString();
-    const ttl = Math.floor(Date.now() / 1000) + (TTL_DAYS * 24 * 60 * 60);
-    const log_id = `${execution_id}_${Date.now()}`;
-
-    const log_entry = {
-        PK: `LOG#${execution_id}`,
-        SK: timestamp,
-        log_id: log_id,
-        execution_id: execution_id,
-        level: level,
-        message: message,
-        metadata: metadata,
-        timestamp: timestamp,
-        ttl: ttl
-    };
+    static writeLog = async (tenant_id, execution_id, level, message, metadata = {}) => {
+        const entry = LogModel.buildLogEntry(tenant_id, execution_id, level, message, metadata);
+
+        LogModel.emitLogEntry(entry);
 
         await ddb.send(new PutCommand({
             TableName: LOGS_TABLE,
-            Item: log_entry
+            Item: entry
         }));
     };
+
+    /**
+     * DOCU: Write one log entry per execution with batch writes <br>
+     * Triggered: ProducerController.submitBatch() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf LogModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {Array<Object>} entries - Entries {execution_id, level, message, metadata}
+     * @returns {Promise<void>}
+     * @author Vibe Team
+     */
+    static writeLogs = async (tenant_id, entries) => {
+        const log_entries = entries.map(entry => LogModel.buildLogEntry(
+            tenant_id,
+            entry.execution_id,
+            entry.level,
+            entry.message,
+            entry.metadata
+        ));
+
+        log_entries.forEach(LogModel.emitLogEntry);
+
+        await BatchModel.writeItems(LOGS_TABLE, log_entries);
+    };
+
+    /**
+     * DOCU: Get an execution's log timeline from DynamoDB <br>
+     * Pages are filled up to the limit even when a level filter skips entries. <br>
+     * Triggered: LogController.getExecutionLogs() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf LogModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} execution_id - Execution identifier
+     * @param {Object} options - Query options
+     * @param {Array<string>} [options.levels] - Only return these levels (info|warning|error)
+     * @param {string} [options.order] - asc (chronological) or desc
+     * @param {number} [options.limit] - Maximum number of log entries
+     * @param {string} [options.cursor] - Cursor from a previous page
+     * @returns {Promise<Object>} {items: Array, next_cursor: string|null}
+     * @throws {Error} When the cursor cannot be decoded
+     * @author Vibe Team
+     */
+    static getLogs = async (tenant_id, execution_id, { levels = [], order = 'asc', limit = 50, cursor } = {}) => {
+        const query_params = {
+            TableName: LOGS_TABLE,
+            KeyConditionExpression: 'PK = :pk',
+            ExpressionAttributeValues: {
+                ':pk': `LOG#${tenant_id}#${execution_id}`
+            },
+            ScanIndexForward: order !== 'desc'
+        };
+
+        if(levels.length){
+            const level_keys = levels.map((level, index) => `:level${index}`);
+
+            query_params.FilterExpression = `#level IN (${level_keys.join(', ')})`;
+            query_params.ExpressionAttributeNames = { '#level': 'level' };
+            levels.forEach((level, index) => {
+                query_params.ExpressionAttributeValues[level_keys[index]] = level;
+            });
+        }
+
+        const items = [];
+        let last_evaluated_key = CursorService.decode(cursor);
+        let page_count = 0;
+
+        do{
+            const result = await ddb.send(new QueryCommand({
+                ...query_params,
+                Limit: limit - items.length,
+                ExclusiveStartKey: last_evaluated_key
+            }));
+
+            items.push(...(result.Items || []));
+            last_evaluated_key = result.LastEvaluatedKey;
+            page_count++;
+        } while(last_evaluated_key && items.length < limit && page_count < MAX_LOG_PAGES);
+
+        return {
+            items: items,
+            next_cursor: CursorService.encode(last_evaluated_key)
+        };
+    };
 }
 
 module.exports = LogModel;
@@ -3,64 +3,196 @@
  * Handles all SQS operations for message queue management
  */
 
-const { SQSClient, SendMessageCommand, ReceiveMessageCommand, DeleteMessageCommand } = require('@aws-sdk/client-sqs');
+const { SendMessageCommand, SendMessageBatchCommand, ReceiveMessageCommand, DeleteMessageCommand, ChangeMessageVisibilityCommand } = require('@aws-sdk/client-sqs');
+const Backend = require('../backends');
 
-const sqs_client = new SQSClient({ region: process.env.AWS_REGION || 'ap-southeast-1' });
+const sqs_client = Backend.getQueueClient();
 
 const QUEUE_URL = process.env.QUEUE_URL;
 const DLQ_URL = process.env.DLQ_URL;
+const SEND_BATCH_SIZE = 10;
 
 class QueueModel {
+    static MAX_DELAY_SECONDS = 900;
+
+    /**
+     * DOCU: Build the SQS message fields for an execution <br>
+     * Triggered: QueueModel.sendToQueue(), QueueModel.sendBatchToQueue() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf QueueModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} execution_id - Execution identifier
+     * @param {Object} payload - Message payload
+     * @param {number} delay_seconds - Delivery delay (0-900 seconds)
+     * @returns {Object} {MessageBody, DelaySeconds, MessageAttributes}
+     * @author Vibe Team
+     */
+    static buildMessage(tenant_id, execution_id, payload, delay_seconds = 0){
+        const message_body = {
+            execution_id: execution_id,
+            tenant_id: tenant_id,
+            ...payload
+        };
+
+        return {
+            MessageBody: JSON.stringify(message_body),
+            DelaySeconds: Math.min(Math.max(0, Math.ceil(delay_seconds)), QueueModel.MAX_DELAY_SECONDS),
+            MessageAttributes: {
+                execution_id: {
+                    DataType: 'String',
+                    StringValue: execution_id
+                }
+            }
+        };
+    }
+
     /**
      * DOCU: Send message to main SQS queue <br>
-     * Triggered: ProducerController.createAndQueueExecution(), ReplayController.replayExecution() <br>
-     * Last Updated Date: November 30, 2025
+     * Triggered: ProducerController.createAndQueueExecution(), ReplayController.replayExecution(), SchedulerController.releaseDueExecutions(),
+     * ConsumerController.notifyCompletion(), ConsumerController.deliverWebhook() <br>
+     * Last Updated Date: October 19, 2026
      * @async
      * @function
      * @memberOf QueueModel
+     * @param {string} tenant_id - Owning tenant
      * @param {string} execution_id - Execution identifier
      * @param {Object} payload - Message payload
+     * @param {number} delay_seconds - Delivery delay (0-900 seconds)
      * @returns {Promise<Object>} SQS response
      * @author Vibe Team
      */
-    static sendToQueue = async (execution_id, payload) => {
-    const message_body = {
-        execution_id: execution_id,
-        ...payload
+    static sendToQueue = async (tenant_id, execution_id, payload, delay_seconds = 0) => {
+        const command = new SendMessageCommand({
+            QueueUrl: QUEUE_URL,
+            ...QueueModel.buildMessage(tenant_id, execution_id, payload, delay_seconds)
+        });
+
+        return await sqs_client.send(command);
     };
 
-    const command = new SendMessageCommand({
-        QueueUrl: QUEUE_URL,
-        MessageBody: JSON.stringify(message_body),
-        MessageAttributes: {
-            execution_id: {
-                DataType: 'String',
-                StringValue: execution_id
+    /**
+     * DOCU: Send many execution messages to the main queue, 10 per SendMessageBatch call <br>
+     * A SendMessageBatch call that fails as a whole marks every entry of its chunk as failed, so the
+     * remaining chunks are still sent. <br>
+     * Triggered: ProducerController.submitBatch() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf QueueModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {Array<Object>} messages - Messages {execution_id, payload, delay_seconds}
+     * @returns {Promise<Array<Object>>} Entries SQS rejected {execution_id, error}
+     * @author Vibe Team
+     */
+    static sendBatchToQueue = async (tenant_id, messages) => {
+        const failed = [];
+
+        for(let offset = 0; offset < messages.length; offset += SEND_BATCH_SIZE){
+            const chunk = messages.slice(offset, offset + SEND_BATCH_SIZE);
+
+            try{
+                const result = await sqs_client.send(new SendMessageBatchCommand({
+                    QueueUrl: QUEUE_URL,
+                    // Execution ids only use characters SQS accepts as batch entry ids
+                    Entries: chunk.map(message => ({
+                        Id: message.execution_id,
+                        ...QueueModel.buildMessage(tenant_id, message.execution_id, message.payload, message.delay_seconds)
+                    }))
+                }));
+
+                failed.push(...(result.Failed || []).map(entry => ({
+                    execution_id: entry.Id,
+                    error: entry.Message || entry.Code
+                })));
+            }
+            catch(error){
+                failed.push(...chunk.map(message => ({
+                    execution_id: message.execution_id,
+                    error: error.message
+                })));
             }
         }
-    });
+
+        return failed;
+    };
+
+    /**
+     * DOCU: Send message directly to the Dead Letter Queue <br>
+     * Triggered: ConsumerController.handleProcessingError(), handleSQSEvent() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf QueueModel
+     * @param {string|null} tenant_id - Owning tenant (null for messages queued before tenant isolation)
+     * @param {string} execution_id - Execution identifier
+     * @param {Object} payload - Message payload
+     * @returns {Promise<Object>} SQS response
+     * @author Vibe Team
+     */
+    static sendToDLQ = async (tenant_id, execution_id, payload) => {
+        const command = new SendMessageCommand({
+            QueueUrl: DLQ_URL,
+            MessageBody: JSON.stringify({
+                execution_id: execution_id,
+                tenant_id: tenant_id,
+                ...payload
+            }),
+            MessageAttributes: {
+                execution_id: {
+                    DataType: 'String',
+                    StringValue: execution_id
+                }
+            }
+        });
 
         return await sqs_client.send(command);
     };
 
     /**
-     * DOCU: Fetch messages from Dead Letter Queue <br>
-     * Triggered: ReplayController.replayAllFromDLQ() <br>
-     * Last Updated Date: November 30, 2025
+     * DOCU: Change a received message's visibility timeout (retry backoff) <br>
+     * Triggered: ConsumerController.handleProcessingError() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf QueueModel
+     * @param {string} receipt_handle - Message receipt handle
+     * @param {number} visibility_timeout - Seconds until the message is visible again
+     * @returns {Promise<void>}
+     * @author Vibe Team
+     */
+    static changeMessageVisibility = async (receipt_handle, visibility_timeout) => {
+        const command = new ChangeMessageVisibilityCommand({
+            QueueUrl: QUEUE_URL,
+            ReceiptHandle: receipt_handle,
+            VisibilityTimeout: visibility_timeout
+        });
+
+        await sqs_client.send(command);
+    };
+
+    /**
+     * DOCU: Fetch messages from Dead Letter Queue, hiding them for the visibility timeout <br>
+     * Triggered: ReplayController.scanDLQ() <br>
+     * Last Updated Date: October 19, 2026
      * @async
      * @function
      * @memberOf QueueModel
      * @param {number} max_messages - Maximum messages to fetch (1-10)
-     * @returns {Promise<Array>} Array of messages
+     * @param {number} visibility_timeout - Seconds the messages stay hidden from other receives
+     * @returns {Promise<Array>} Array of messages with the SentTimestamp attribute
      * @author Vibe Team
      */
-    static fetchDLQMessages = async (max_messages = 10) => {
-    const command = new ReceiveMessageCommand({
-        QueueUrl: DLQ_URL,
-        MaxNumberOfMessages: Math.min(max_messages, 10),
-        WaitTimeSeconds: 0,
-        MessageAttributeNames: ['All']
-    });
+    static fetchDLQMessages = async (max_messages = 10, visibility_timeout = 30) => {
+        const command = new ReceiveMessageCommand({
+            QueueUrl: DLQ_URL,
+            MaxNumberOfMessages: Math.min(max_messages, 10),
+            VisibilityTimeout: visibility_timeout,
+            // Long polling samples every SQS server, so an empty response means the DLQ has no visible messages
+            WaitTimeSeconds: 1,
+            AttributeNames: ['SentTimestamp'],
+            MessageAttributeNames: ['All']
+        });
 
         const result = await sqs_client.send(command);
         return result.Messages || [];
@@ -68,8 +200,8 @@ class QueueModel {
 
     /**
      * DOCU: Delete message from Dead Letter Queue <br>
-     * Triggered: ReplayController.replayAllFromDLQ() <br>
-     * Last Updated Date: November 30, 2025
+     * Triggered: ReplayController.replayFromDLQ() <br>
+     * Last Updated Date: October 19, 2026
      * @async
      * @function
      * @memberOf QueueModel
@@ -85,6 +217,27 @@ class QueueModel {
 
         await sqs_client.send(command);
     };
+
+    /**
+     * DOCU: Make a received Dead Letter Queue message visible again immediately <br>
+     * Triggered: ReplayController for messages that are browsed, skipped or not replayed <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf QueueModel
+     * @param {string} receipt_handle - Message receipt handle
+     * @returns {Promise<void>}
+     * @author Vibe Team
+     */
+    static releaseDLQMessage = async (receipt_handle) => {
+        const command = new ChangeMessageVisibilityCommand({
+            QueueUrl: DLQ_URL,
+            ReceiptHandle: receipt_handle,
+            VisibilityTimeout: 0
+        });
+
+        await sqs_client.send(command);
+    };
 }
 
 module.exports = QueueModel;
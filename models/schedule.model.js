@@ -0,0 +1,285 @@
+/**
+ * Schedule Model
+ * Handles DynamoDB operations for recurring cron schedules
+ */
+
+const { PutCommand, GetCommand, UpdateCommand, DeleteCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const Backend = require('../backends');
+const CursorService = require('../services/cursor.service');
+
+const ddb = Backend.getDocumentClient();
+
+const EXECUTIONS_TABLE = process.env.EXECUTIONS_TABLE || 'sqs-executions';
+const STATUS_INDEX = 'GSI1';
+const MAX_LIST_PAGES = 10;
+
+class ScheduleModel {
+    /**
+     * DOCU: Build the primary key of a tenant's schedule record <br>
+     * Triggered: ScheduleModel <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ScheduleModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} schedule_id - Schedule identifier
+     * @returns {Object} Key {PK, SK}
+     * @author Vibe Team
+     */
+    static buildKey(tenant_id, schedule_id){
+        return {
+            PK: `SCHEDULE#${tenant_id}#${schedule_id}`,
+            SK: 'META'
+        };
+    }
+
+    /**
+     * DOCU: Create a recurring schedule record <br>
+     * Triggered: SchedulerController.createSchedule() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ScheduleModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} schedule_id - Schedule identifier
+     * @param {Object} schedule - Schedule fields {name, cron, payload, callback_url, next_run_at}
+     * @returns {Promise<Object>} Created schedule record
+     * @author Vibe Team
+     */
+    static createSchedule = async (tenant_id, schedule_id, schedule) => {
+        const timestamp = new Date().toISOString();
+        const schedule_record = {
+            ...ScheduleModel.buildKey(tenant_id, schedule_id),
+            tenant_id: tenant_id,
+            schedule_id: schedule_id,
+            name: schedule.name || null,
+            cron: schedule.cron,
+            payload: schedule.payload,
+            callback_url: schedule.callback_url || null,
+            status: 'active',
+            next_run_at: schedule.next_run_at,
+            last_run_at: null,
+            last_execution_id: null,
+            run_count: 0,
+            created_at: timestamp,
+            updated_at: timestamp,
+            GSI1PK: 'SCHEDULE#active',
+            GSI1SK: schedule.next_run_at
+        };
+
+        await ddb.send(new PutCommand({
+            TableName: EXECUTIONS_TABLE,
+            Item: schedule_record
+        }));
+
+        return schedule_record;
+    };
+
+    /**
+     * DOCU: Get schedule record by ID <br>
+     * Triggered: SchedulerController.handleSchedules() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ScheduleModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} schedule_id - Schedule identifier
+     * @returns {Promise<Object|null>} Schedule record or null
+     * @author Vibe Team
+     */
+    static getSchedule = async (tenant_id, schedule_id) => {
+        const result = await ddb.send(new GetCommand({
+            TableName: EXECUTIONS_TABLE,
+            Key: ScheduleModel.buildKey(tenant_id, schedule_id)
+        }));
+
+        return result.Item || null;
+    };
+
+    /**
+     * DOCU: List schedules with a given status, ordered by next run time <br>
+     * Status partitions are shared by all tenants so the scheduler tick sees every due schedule;
+     * tenant listings filter on tenant_id and fill pages up to the limit. <br>
+     * Triggered: SchedulerController.handleSchedules(), SchedulerController.runDueSchedules() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ScheduleModel
+     * @param {Object} options - Query options
+     * @param {string} [options.tenant_id] - Only this tenant's schedules (omitted by the scheduler tick)
+     * @param {string} options.status - active|paused
+     * @param {string} [options.due_before] - Only schedules whose next run is at or before this ISO time
+     * @param {number} [options.limit] - Maximum number of schedules
+     * @param {string} [options.cursor] - Cursor from a previous page
+     * @returns {Promise<Object>} {items: Array, next_cursor: string|null}
+     * @author Vibe Team
+     */
+    static listSchedules = async ({ tenant_id, status, due_before, limit = 50, cursor }) => {
+        const query_params = {
+            TableName: EXECUTIONS_TABLE,
+            IndexName: STATUS_INDEX,
+            KeyConditionExpression: 'GSI1PK = :gsi1pk',
+            ExpressionAttributeValues: {
+                ':gsi1pk': `SCHEDULE#${status}`
+            }
+        };
+
+        if(due_before){
+            query_params.KeyConditionExpression += ' AND GSI1SK <= :due_before';
+            query_params.ExpressionAttributeValues[':due_before'] = due_before;
+        }
+
+        if(tenant_id){
+            query_params.FilterExpression = 'tenant_id = :tenant_id';
+            query_params.ExpressionAttributeValues[':tenant_id'] = tenant_id;
+        }
+
+        const items = [];
+        let last_evaluated_key = CursorService.decode(cursor);
+        let page_count = 0;
+
+        do{
+            const result = await ddb.send(new QueryCommand({
+                ...query_params,
+                Limit: limit - items.length,
+                ExclusiveStartKey: last_evaluated_key
+            }));
+
+            items.push(...(result.Items || []));
+            last_evaluated_key = result.LastEvaluatedKey;
+            page_count++;
+        } while(last_evaluated_key && items.length < limit && page_count < MAX_LIST_PAGES);
+
+        return {
+            items: items,
+            next_cursor: CursorService.encode(last_evaluated_key)
+        };
+    };
+
+    /**
+     * DOCU: Set schedule status (active|paused), moving it between GSI1 partitions <br>
+     * Triggered: SchedulerController.handleSchedules() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ScheduleModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} schedule_id - Schedule identifier
+     * @param {string} status - active|paused
+     * @param {string} next_run_at - Next run time (ISO)
+     * @returns {Promise<Object>} Updated schedule record
+     * @author Vibe Team
+     */
+    static updateScheduleStatus = async (tenant_id, schedule_id, status, next_run_at) => {
+        const result = await ddb.send(new UpdateCommand({
+            TableName: EXECUTIONS_TABLE,
+            Key: ScheduleModel.buildKey(tenant_id, schedule_id),
+            UpdateExpression: 'SET #status = :status, next_run_at = :next_run_at, updated_at = :timestamp, GSI1PK = :gsi1pk, GSI1SK = :next_run_at',
+            ConditionExpression: 'attribute_exists(PK)',
+            ExpressionAttributeNames: {
+                '#status': 'status'
+            },
+            ExpressionAttributeValues: {
+                ':status': status,
+                ':next_run_at': next_run_at,
+                ':timestamp': new Date().toISOString(),
+                ':gsi1pk': `SCHEDULE#${status}`
+            },
+            ReturnValues: 'ALL_NEW'
+        }));
+
+        return result.Attributes;
+    };
+
+    /**
+     * DOCU: Claim a due schedule run by advancing next_run_at with a conditional write <br>
+     * Only one concurrent scheduler invocation can claim a given run. <br>
+     * Triggered: SchedulerController.runDueSchedules() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ScheduleModel
+     * @param {Object} schedule - Schedule record being run
+     * @param {string} next_run_at - Following run time (ISO)
+     * @returns {Promise<boolean>} True if this invocation claimed the run
+     * @author Vibe Team
+     */
+    static claimScheduleRun = async (schedule, next_run_at) => {
+        const timestamp = new Date().toISOString();
+
+        try{
+            await ddb.send(new UpdateCommand({
+                TableName: EXECUTIONS_TABLE,
+                Key: ScheduleModel.buildKey(schedule.tenant_id, schedule.schedule_id),
+                UpdateExpression: 'SET next_run_at = :next_run_at, last_run_at = :timestamp, updated_at = :timestamp, GSI1SK = :next_run_at ADD run_count :one',
+                ConditionExpression: 'next_run_at = :expected_run_at AND #status = :active',
+                ExpressionAttributeNames: {
+                    '#status': 'status'
+                },
+                ExpressionAttributeValues: {
+                    ':next_run_at': next_run_at,
+                    ':timestamp': timestamp,
+                    ':one': 1,
+                    ':expected_run_at': schedule.next_run_at,
+                    ':active': 'active'
+                }
+            }));
+
+            return true;
+        }
+        catch(error){
+            if(error.name === 'ConditionalCheckFailedException'){
+                return false;
+            }
+
+            throw error;
+        }
+    };
+
+    /**
+     * DOCU: Record the execution created by the latest schedule run <br>
+     * Triggered: SchedulerController.runDueSchedules() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ScheduleModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} schedule_id - Schedule identifier
+     * @param {string} execution_id - Created execution identifier
+     * @returns {Promise<void>}
+     * @author Vibe Team
+     */
+    static setLastExecution = async (tenant_id, schedule_id, execution_id) => {
+        await ddb.send(new UpdateCommand({
+            TableName: EXECUTIONS_TABLE,
+            Key: ScheduleModel.buildKey(tenant_id, schedule_id),
+            UpdateExpression: 'SET last_execution_id = :execution_id',
+            ExpressionAttributeValues: {
+                ':execution_id': execution_id
+            }
+        }));
+    };
+
+    /**
+     * DOCU: Delete a schedule record <br>
+     * Triggered: SchedulerController.handleSchedules() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf ScheduleModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} schedule_id - Schedule identifier
+     * @returns {Promise<boolean>} True if a schedule was deleted
+     * @author Vibe Team
+     */
+    static deleteSchedule = async (tenant_id, schedule_id) => {
+        const result = await ddb.send(new DeleteCommand({
+            TableName: EXECUTIONS_TABLE,
+            Key: ScheduleModel.buildKey(tenant_id, schedule_id),
+            ReturnValues: 'ALL_OLD'
+        }));
+
+        return Boolean(result.Attributes);
+    };
+}
+
+module.exports = ScheduleModel;
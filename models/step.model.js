@@ -0,0 +1,148 @@
+/**
+ * Step Model
+ * Handles DynamoDB operations for workflow step records stored under an execution
+ */
+
+const { QueryCommand, UpdateCommand } = require('@aws-sdk/lib-dynamodb');
+const Backend = require('../backends');
+const ExecutionModel = require('./execution.model');
+const BatchModel = require('./batch.model');
+
+const ddb = Backend.getDocumentClient();
+
+const EXECUTIONS_TABLE = process.env.EXECUTIONS_TABLE || 'sqs-executions';
+
+class StepModel {
+    /**
+     * DOCU: Build the sort key for a workflow step <br>
+     * Triggered: StepModel.createSteps(), StepModel.updateStep() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf StepModel
+     * @param {number} step_index - Zero-based step index
+     * @returns {string} Sort key (STEP#000)
+     * @author Vibe Team
+     */
+    static buildStepKey(step_index){
+        return `STEP#${String(step_index).padStart(3, '0')}`;
+    }
+
+    /**
+     * DOCU: Create pending step records for a workflow execution <br>
+     * Triggered: ProducerController.createAndQueueExecution(), ProducerController.submitBatch() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf StepModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} execution_id - Parent execution identifier
+     * @param {Array<Object>} steps - Workflow step definitions
+     * @returns {Promise<Array>} Created step records
+     * @author Vibe Team
+     */
+    static createSteps = async (tenant_id, execution_id, steps) => {
+        const timestamp = new Date().toISOString();
+
+        const step_records = steps.map((step, step_index) => {
+            const { action, name, output, ...input } = step;
+
+            return {
+                PK: ExecutionModel.buildKey(tenant_id, execution_id).PK,
+                SK: StepModel.buildStepKey(step_index),
+                tenant_id: tenant_id,
+                execution_id: execution_id,
+                step_index: step_index,
+                name: name || null,
+                action: action,
+                input: input,
+                output_spec: output || null,
+                status: 'pending',
+                output: null,
+                error: null,
+                created_at: timestamp,
+                updated_at: timestamp
+            };
+        });
+
+        await BatchModel.writeItems(EXECUTIONS_TABLE, step_records);
+
+        return step_records;
+    };
+
+    /**
+     * DOCU: Get all step records of a workflow execution in order <br>
+     * Triggered: WorkflowController.runWorkflow(), ProducerController.getExecutionStatus() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf StepModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} execution_id - Parent execution identifier
+     * @returns {Promise<Array>} Step records sorted by step_index
+     * @author Vibe Team
+     */
+    static getSteps = async (tenant_id, execution_id) => {
+        const steps = [];
+        let last_evaluated_key;
+
+        do{
+            const result = await ddb.send(new QueryCommand({
+                TableName: EXECUTIONS_TABLE,
+                KeyConditionExpression: 'PK = :pk AND begins_with(SK, :sk_prefix)',
+                ExpressionAttributeValues: {
+                    ':pk': ExecutionModel.buildKey(tenant_id, execution_id).PK,
+                    ':sk_prefix': 'STEP#'
+                },
+                ExclusiveStartKey: last_evaluated_key
+            }));
+
+            steps.push(...(result.Items || []));
+            last_evaluated_key = result.LastEvaluatedKey;
+        } while(last_evaluated_key);
+
+        return steps;
+    };
+
+    /**
+     * DOCU: Update workflow step status, resolved input, output or error <br>
+     * Triggered: WorkflowController.runWorkflow() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf StepModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} execution_id - Parent execution identifier
+     * @param {number} step_index - Zero-based step index
+     * @param {string} status - New status (processing|completed|failed)
+     * @param {Object} fields - Additional fields to set (resolved_input, output, error)
+     * @returns {Promise<void>}
+     * @author Vibe Team
+     */
+    static updateStep = async (tenant_id, execution_id, step_index, status, fields = {}) => {
+        const update_params = {
+            TableName: EXECUTIONS_TABLE,
+            Key: {
+                PK: ExecutionModel.buildKey(tenant_id, execution_id).PK,
+                SK: StepModel.buildStepKey(step_index)
+            },
+            UpdateExpression: 'SET #status = :status, updated_at = :timestamp',
+            ExpressionAttributeNames: {
+                '#status': 'status'
+            },
+            ExpressionAttributeValues: {
+                ':status': status,
+                ':timestamp': new Date().toISOString()
+            }
+        };
+
+        for(const field in fields){
+            update_params.UpdateExpression += `, #${field} = :${field}`;
+            update_params.ExpressionAttributeNames[`#${field}`] = field;
+            update_params.ExpressionAttributeValues[`:${field}`] = fields[field];
+        }
+
+        await ddb.send(new UpdateCommand(update_params));
+    };
+}
+
+module.exports = StepModel;
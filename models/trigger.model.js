@@ -0,0 +1,440 @@
+/**
+ * Trigger Model
+ * Handles DynamoDB operations for polling triggers and the items they have already seen
+ */
+
+const crypto = require('crypto');
+const { PutCommand, GetCommand, UpdateCommand, DeleteCommand, QueryCommand, BatchGetCommand } = require('@aws-sdk/lib-dynamodb');
+const Backend = require('../backends');
+const BatchModel = require('./batch.model');
+const CursorService = require('../services/cursor.service');
+
+const ddb = Backend.getDocumentClient();
+
+const EXECUTIONS_TABLE = process.env.EXECUTIONS_TABLE || 'sqs-executions';
+const STATUS_INDEX = 'GSI1';
+const MAX_LIST_PAGES = 10;
+const GET_BATCH_SIZE = 100;
+const MAX_GET_ATTEMPTS = 5;
+
+class TriggerModel {
+    /**
+     * DOCU: Build the primary key of a tenant's trigger record <br>
+     * Triggered: TriggerModel <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf TriggerModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} trigger_id - Trigger identifier
+     * @returns {Object} Key {PK, SK}
+     * @author Vibe Team
+     */
+    static buildKey(tenant_id, trigger_id){
+        return {
+            PK: `TRIGGER#${tenant_id}#${trigger_id}`,
+            SK: 'META'
+        };
+    }
+
+    /**
+     * DOCU: Hash a source item key into the sort key of its seen-item record <br>
+     * Triggered: TriggerModel.getSeenItemKeys(), TriggerModel.markItemsSeen(), TriggerController.pollTrigger() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf TriggerModel
+     * @param {string} item_key - Item key from the trigger source (e.g. a resource URL)
+     * @returns {string} Item hash (sha256 hex)
+     * @author Vibe Team
+     */
+    static hashItemKey(item_key){
+        return crypto.createHash('sha256').update(String(item_key)).digest('hex');
+    }
+
+    /**
+     * DOCU: Create a polling trigger record <br>
+     * Triggered: TriggerController.createTrigger() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf TriggerModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} trigger_id - Trigger identifier
+     * @param {Object} trigger - Trigger fields {name, source, input, payload, callback_url, interval_seconds, backfill, next_poll_at}
+     * @returns {Promise<Object>} Created trigger record
+     * @author Vibe Team
+     */
+    static createTrigger = async (tenant_id, trigger_id, trigger) => {
+        const timestamp = new Date().toISOString();
+        const trigger_record = {
+            ...TriggerModel.buildKey(tenant_id, trigger_id),
+            tenant_id: tenant_id,
+            trigger_id: trigger_id,
+            name: trigger.name || null,
+            source: trigger.source,
+            input: trigger.input || {},
+            payload: trigger.payload,
+            callback_url: trigger.callback_url || null,
+            interval_seconds: trigger.interval_seconds,
+            backfill: trigger.backfill === true,
+            // Without backfill the first poll only records the items that already exist
+            baseline_pending: trigger.backfill !== true,
+            status: 'active',
+            next_poll_at: trigger.next_poll_at,
+            last_poll_at: null,
+            last_poll: null,
+            last_error: null,
+            last_execution_id: null,
+            poll_count: 0,
+            items_seen_count: 0,
+            executions_created_count: 0,
+            created_at: timestamp,
+            updated_at: timestamp,
+            GSI1PK: 'TRIGGER#active',
+            GSI1SK: trigger.next_poll_at
+        };
+
+        await ddb.send(new PutCommand({
+            TableName: EXECUTIONS_TABLE,
+            Item: trigger_record
+        }));
+
+        return trigger_record;
+    };
+
+    /**
+     * DOCU: Get trigger record by ID <br>
+     * Triggered: TriggerController.handleTriggers() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf TriggerModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} trigger_id - Trigger identifier
+     * @returns {Promise<Object|null>} Trigger record or null
+     * @author Vibe Team
+     */
+    static getTrigger = async (tenant_id, trigger_id) => {
+        const result = await ddb.send(new GetCommand({
+            TableName: EXECUTIONS_TABLE,
+            Key: TriggerModel.buildKey(tenant_id, trigger_id)
+        }));
+
+        return result.Item || null;
+    };
+
+    /**
+     * DOCU: List triggers with a given status, ordered by next poll time <br>
+     * Status partitions are shared by all tenants so the scheduler tick sees every due trigger;
+     * tenant listings filter on tenant_id and fill pages up to the limit. <br>
+     * Triggered: TriggerController.handleTriggers(), TriggerController.runDueTriggers() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf TriggerModel
+     * @param {Object} options - Query options
+     * @param {string} [options.tenant_id] - Only this tenant's triggers (omitted by the scheduler tick)
+     * @param {string} options.status - active|paused
+     * @param {string} [options.due_before] - Only triggers whose next poll is at or before this ISO time
+     * @param {number} [options.limit] - Maximum number of triggers
+     * @param {string} [options.cursor] - Cursor from a previous page
+     * @returns {Promise<Object>} {items: Array, next_cursor: string|null}
+     * @author Vibe Team
+     */
+    static listTriggers = async ({ tenant_id, status, due_before, limit = 50, cursor }) => {
+        const query_params = {
+            TableName: EXECUTIONS_TABLE,
+            IndexName: STATUS_INDEX,
+            KeyConditionExpression: 'GSI1PK = :gsi1pk',
+            ExpressionAttributeValues: {
+                ':gsi1pk': `TRIGGER#${status}`
+            }
+        };
+
+        if(due_before){
+            query_params.KeyConditionExpression += ' AND GSI1SK <= :due_before';
+            query_params.ExpressionAttributeValues[':due_before'] = due_before;
+        }
+
+        if(tenant_id){
+            query_params.FilterExpression = 'tenant_id = :tenant_id';
+            query_params.ExpressionAttributeValues[':tenant_id'] = tenant_id;
+        }
+
+        const items = [];
+        let last_evaluated_key = CursorService.decode(cursor);
+        let page_count = 0;
+
+        do{
+            const result = await ddb.send(new QueryCommand({
+                ...query_params,
+                Limit: limit - items.length,
+                ExclusiveStartKey: last_evaluated_key
+            }));
+
+            items.push(...(result.Items || []));
+            last_evaluated_key = result.LastEvaluatedKey;
+            page_count++;
+        } while(last_evaluated_key && items.length < limit && page_count < MAX_LIST_PAGES);
+
+        return {
+            items: items,
+            next_cursor: CursorService.encode(last_evaluated_key)
+        };
+    };
+
+    /**
+     * DOCU: Set trigger status (active|paused), moving it between GSI1 partitions <br>
+     * Triggered: TriggerController.handleTriggers() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf TriggerModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} trigger_id - Trigger identifier
+     * @param {string} status - active|paused
+     * @param {string} next_poll_at - Next poll time (ISO)
+     * @returns {Promise<Object>} Updated trigger record
+     * @author Vibe Team
+     */
+    static updateTriggerStatus = async (tenant_id, trigger_id, status, next_poll_at) => {
+        const result = await ddb.send(new UpdateCommand({
+            TableName: EXECUTIONS_TABLE,
+            Key: TriggerModel.buildKey(tenant_id, trigger_id),
+            UpdateExpression: 'SET #status = :status, next_poll_at = :next_poll_at, updated_at = :timestamp, GSI1PK = :gsi1pk, GSI1SK = :next_poll_at',
+            ConditionExpression: 'attribute_exists(PK)',
+            ExpressionAttributeNames: {
+                '#status': 'status'
+            },
+            ExpressionAttributeValues: {
+                ':status': status,
+                ':next_poll_at': next_poll_at,
+                ':timestamp': new Date().toISOString(),
+                ':gsi1pk': `TRIGGER#${status}`
+            },
+            ReturnValues: 'ALL_NEW'
+        }));
+
+        return result.Attributes;
+    };
+
+    /**
+     * DOCU: Claim a due poll by advancing next_poll_at with a conditional write <br>
+     * Only one concurrent scheduler invocation can claim a given poll. <br>
+     * Triggered: TriggerController.runDueTriggers() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf TriggerModel
+     * @param {Object} trigger - Trigger record being polled
+     * @param {string} next_poll_at - Following poll time (ISO)
+     * @returns {Promise<boolean>} True if this invocation claimed the poll
+     * @author Vibe Team
+     */
+    static claimTriggerPoll = async (trigger, next_poll_at) => {
+        try{
+            await ddb.send(new UpdateCommand({
+                TableName: EXECUTIONS_TABLE,
+                Key: TriggerModel.buildKey(trigger.tenant_id, trigger.trigger_id),
+                UpdateExpression: 'SET next_poll_at = :next_poll_at, updated_at = :timestamp, GSI1SK = :next_poll_at',
+                ConditionExpression: 'next_poll_at = :expected_poll_at AND #status = :active',
+                ExpressionAttributeNames: {
+                    '#status': 'status'
+                },
+                ExpressionAttributeValues: {
+                    ':next_poll_at': next_poll_at,
+                    ':timestamp': new Date().toISOString(),
+                    ':expected_poll_at': trigger.next_poll_at,
+                    ':active': 'active'
+                }
+            }));
+
+            return true;
+        }
+        catch(error){
+            if(error.name === 'ConditionalCheckFailedException'){
+                return false;
+            }
+
+            throw error;
+        }
+    };
+
+    /**
+     * DOCU: Record the outcome of a poll and add its counts to the trigger totals <br>
+     * Triggered: TriggerController.pollTrigger() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf TriggerModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} trigger_id - Trigger identifier
+     * @param {Object} poll - Poll summary {polled_at, items, new_items, executions_created, last_execution_id, error, baseline_recorded}
+     * @returns {Promise<boolean>} False if the trigger was deleted while it was polled
+     * @author Vibe Team
+     */
+    static recordPoll = async (tenant_id, trigger_id, poll) => {
+        const set_clauses = ['last_poll_at = :polled_at', 'updated_at = :polled_at', 'last_poll = :last_poll', 'last_error = :error'];
+        const expression_values = {
+            ':polled_at': poll.polled_at,
+            ':last_poll': {
+                polled_at: poll.polled_at,
+                items: poll.items,
+                new_items: poll.new_items,
+                executions_created: poll.executions_created,
+                baseline_recorded: poll.baseline_recorded === true
+            },
+            ':error': poll.error || null,
+            ':one': 1,
+            ':seen': poll.new_items,
+            ':created': poll.executions_created
+        };
+
+        if(poll.baseline_recorded){
+            set_clauses.push('baseline_pending = :false');
+            expression_values[':false'] = false;
+        }
+
+        if(poll.last_execution_id){
+            set_clauses.push('last_execution_id = :execution_id');
+            expression_values[':execution_id'] = poll.last_execution_id;
+        }
+
+        try{
+            await ddb.send(new UpdateCommand({
+                TableName: EXECUTIONS_TABLE,
+                Key: TriggerModel.buildKey(tenant_id, trigger_id),
+                UpdateExpression: `SET ${set_clauses.join(', ')} ADD poll_count :one, items_seen_count :seen, executions_created_count :created`,
+                ConditionExpression: 'attribute_exists(PK)',
+                ExpressionAttributeValues: expression_values
+            }));
+
+            return true;
+        }
+        catch(error){
+            if(error.name === 'ConditionalCheckFailedException'){
+                return false;
+            }
+
+            throw error;
+        }
+    };
+
+    /**
+     * DOCU: Find which of the given items a trigger has already seen <br>
+     * Triggered: TriggerController.pollTrigger() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf TriggerModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} trigger_id - Trigger identifier
+     * @param {Array<string>} item_hashes - Hashed item keys from TriggerModel.hashItemKey()
+     * @returns {Promise<Set<string>>} Hashes of the items already seen
+     * @author Vibe Team
+     */
+    static getSeenItemKeys = async (tenant_id, trigger_id, item_hashes) => {
+        const seen = new Set();
+        const PK = TriggerModel.buildKey(tenant_id, trigger_id).PK;
+
+        for(let offset = 0; offset < item_hashes.length; offset += GET_BATCH_SIZE){
+            let request_items = {
+                [EXECUTIONS_TABLE]: {
+                    Keys: item_hashes.slice(offset, offset + GET_BATCH_SIZE).map(item_hash => ({ PK, SK: `SEEN#${item_hash}` })),
+                    ProjectionExpression: 'SK'
+                }
+            };
+
+            for(let attempt = 1; request_items[EXECUTIONS_TABLE]?.Keys?.length; attempt++){
+                if(attempt > MAX_GET_ATTEMPTS){
+                    throw new Error(`Batch get left ${request_items[EXECUTIONS_TABLE].Keys.length} seen items unprocessed`);
+                }
+
+                if(attempt > 1){
+                    await new Promise(resolve => setTimeout(resolve, 50 * (2 ** attempt)));
+                }
+
+                const result = await ddb.send(new BatchGetCommand({ RequestItems: request_items }));
+
+                for(const item of result.Responses?.[EXECUTIONS_TABLE] || []){
+                    seen.add(item.SK.slice('SEEN#'.length));
+                }
+
+                request_items = result.UnprocessedKeys || {};
+            }
+        }
+
+        return seen;
+    };
+
+    /**
+     * DOCU: Record items as seen so later polls skip them <br>
+     * Triggered: TriggerController.pollTrigger() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf TriggerModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} trigger_id - Trigger identifier
+     * @param {Array<Object>} seen_items - Items {item_hash, item_key, execution_id, error}
+     * @returns {Promise<void>}
+     * @author Vibe Team
+     */
+    static markItemsSeen = async (tenant_id, trigger_id, seen_items) => {
+        const timestamp = new Date().toISOString();
+        const PK = TriggerModel.buildKey(tenant_id, trigger_id).PK;
+
+        await BatchModel.writeItems(EXECUTIONS_TABLE, seen_items.map(seen_item => ({
+            PK: PK,
+            SK: `SEEN#${seen_item.item_hash}`,
+            tenant_id: tenant_id,
+            trigger_id: trigger_id,
+            item_key: String(seen_item.item_key),
+            execution_id: seen_item.execution_id || null,
+            error: seen_item.error || null,
+            first_seen_at: timestamp
+        })));
+    };
+
+    /**
+     * DOCU: Delete a trigger record and its seen-item records <br>
+     * Triggered: TriggerController.handleTriggers() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf TriggerModel
+     * @param {string} tenant_id - Owning tenant
+     * @param {string} trigger_id - Trigger identifier
+     * @returns {Promise<boolean>} True if a trigger was deleted
+     * @author Vibe Team
+     */
+    static deleteTrigger = async (tenant_id, trigger_id) => {
+        const key = TriggerModel.buildKey(tenant_id, trigger_id);
+        const result = await ddb.send(new DeleteCommand({
+            TableName: EXECUTIONS_TABLE,
+            Key: key,
+            ReturnValues: 'ALL_OLD'
+        }));
+
+        let last_evaluated_key;
+
+        do{
+            const page = await ddb.send(new QueryCommand({
+                TableName: EXECUTIONS_TABLE,
+                KeyConditionExpression: 'PK = :pk AND begins_with(SK, :seen)',
+                ExpressionAttributeValues: {
+                    ':pk': key.PK,
+                    ':seen': 'SEEN#'
+                },
+                ProjectionExpression: 'PK, SK',
+                ExclusiveStartKey: last_evaluated_key
+            }));
+
+            await BatchModel.deleteItems(EXECUTIONS_TABLE, (page.Items || []).map(item => ({ PK: item.PK, SK: item.SK })));
+            last_evaluated_key = page.LastEvaluatedKey;
+        } while(last_evaluated_key);
+
+        return Boolean(result.Attributes);
+    };
+}
+
+module.exports = TriggerModel;
@@ -1,45 +1,261 @@
 /**
  * Routes Index
- * Maps API Gateway paths to controllers
+ * Maps API Gateway methods and paths to controllers
  */
 
 const ProducerController = require('../controllers/producer.controller');
 const ConsumerController = require('../controllers/consumer.controller');
 const ReplayController = require('../controllers/replay.controller');
+const ExecutionController = require('../controllers/execution.controller');
+const LogController = require('../controllers/log.controller');
+const SchedulerController = require('../controllers/scheduler.controller');
+const TriggerController = require('../controllers/trigger.controller');
+const StatsController = require('../controllers/stats.controller');
+const AuthService = require('../services/auth.service');
+const LoggerService = require('../services/logger.service');
 
 /**
- * DOCU: Route API Gateway requests to appropriate controller <br>
+ * Route table. Paths may contain {name} segments, which are passed to the handler in path_params.
+ * GET routes read their filters from the query string; POST variants of the same routes accept them in the body.
+ */
+const ROUTES = [
+    { method: 'POST', path: '/producer', handler: (request) => ProducerController.handleProducer(request.tenant_id, request.body, request.headers, request.caller) },
+    { method: 'POST', path: '/consumer', handler: (request) => ConsumerController.handleConsumer(request.tenant_id, request.body) },
+    { method: 'POST', path: '/replay', handler: (request) => ReplayController.handleReplay(request.tenant_id, request.body) },
+    { method: 'GET', path: '/dlq', handler: (request) => ReplayController.handleBrowseDLQ(request.tenant_id, request.query_params) },
+    { method: 'POST', path: '/dlq', handler: (request) => ReplayController.handleBrowseDLQ(request.tenant_id, { ...request.query_params, ...request.body }) },
+    { method: 'GET', path: '/executions', handler: (request) => ExecutionController.handleListExecutions(request.tenant_id, request.query_params) },
+    { method: 'POST', path: '/executions', handler: (request) => ExecutionController.handleListExecutions(request.tenant_id, { ...request.query_params, ...request.body }) },
+    { method: 'GET', path: '/executions/{execution_id}', handler: (request) => ExecutionController.handleGetExecution(request.tenant_id, { ...request.query_params, ...request.path_params }) },
+    { method: 'GET', path: '/executions/{execution_id}/logs', handler: (request) => LogController.handleGetLogs(request.tenant_id, { ...request.query_params, ...request.path_params }) },
+    { method: 'GET', path: '/logs', handler: (request) => LogController.handleGetLogs(request.tenant_id, request.query_params) },
+    { method: 'POST', path: '/logs', handler: (request) => LogController.handleGetLogs(request.tenant_id, { ...request.query_params, ...request.body }) },
+    { method: 'GET', path: '/stats', handler: (request) => StatsController.handleGetStats(request.tenant_id, request.query_params) },
+    { method: 'POST', path: '/stats', handler: (request) => StatsController.handleGetStats(request.tenant_id, { ...request.query_params, ...request.body }) },
+    { method: 'POST', path: '/schedules', handler: (request) => SchedulerController.handleSchedules(request.tenant_id, request.body) },
+    { method: 'POST', path: '/triggers', handler: (request) => TriggerController.handleTriggers(request.tenant_id, request.body) }
+].map(route => ({ ...route, segments: route.path.split('/').filter(Boolean) }));
+
+/**
+ * DOCU: Lowercase header names, since API Gateway preserves client casing <br>
+ * Triggered: routeRequest() <br>
+ * Last Updated Date: October 19, 2026
+ * @function
+ * @param {Object} headers - Raw request headers
+ * @returns {Object} Headers keyed by lowercase name
+ * @author Vibe Team
+ */
+function normalizeHeaders(headers){
+    const normalized = {};
+
+    for(const name in headers){
+        normalized[name.toLowerCase()] = headers[name];
+    }
+
+    return normalized;
+}
+
+/**
+ * DOCU: Get the request path relative to the API, without the stage prefix or a trailing slash <br>
+ * REST API events carry the resource path, while HTTP API rawPath may start with the stage name. <br>
+ * Triggered: routeRequest() <br>
+ * Last Updated Date: October 19, 2026
+ * @function
+ * @param {Object} event - API Gateway event
+ * @returns {string} Normalized path, e.g. /executions/exec_xxx
+ * @author Vibe Team
+ */
+function getRequestPath(event){
+    let path = event.path || event.rawPath || '/';
+    const stage = event.requestContext?.stage;
+
+    if(stage && path.startsWith(`/${stage}/`)){
+        path = path.slice(stage.length + 1);
+    }
+
+    return path.length > 1 ? path.replace(/\/+$/, '') : path;
+}
+
+/**
+ * DOCU: Parse query string parameters from REST API or HTTP API events <br>
+ * Triggered: routeRequest() <br>
+ * Last Updated Date: October 19, 2026
+ * @function
+ * @param {Object} event - API Gateway event
+ * @returns {Object} Query parameters by name (last value wins for repeated names)
+ * @author Vibe Team
+ */
+function parseQueryString(event){
+    if(event.queryStringParameters){
+        return { ...event.queryStringParameters };
+    }
+
+    return Object.fromEntries(new URLSearchParams(event.rawQueryString || ''));
+}
+
+/**
+ * DOCU: Parse the JSON request body, which must be an object when present <br>
+ * Triggered: routeRequest() <br>
+ * Last Updated Date: October 19, 2026
+ * @function
+ * @param {Object} event - API Gateway event
+ * @returns {Object} {valid: boolean, error: string|null, body: Object|null}
+ * @author Vibe Team
+ */
+function parseBody(event){
+    const raw_body = event.isBase64Encoded && event.body
+        ? Buffer.from(event.body, 'base64').toString('utf8')
+        : event.body;
+
+    if(!raw_body || !raw_body.trim()){
+        return { valid: true, error: null, body: {} };
+    }
+
+    let body;
+
+    try{
+        body = JSON.parse(raw_body);
+    }
+    catch(error){
+        return { valid: false, error: `Invalid JSON body: ${error.message}`, body: null };
+    }
+
+    if(!body || typeof body !== 'object' || Array.isArray(body)){
+        return { valid: false, error: 'Invalid body. Must be a JSON object', body: null };
+    }
+
+    return { valid: true, error: null, body };
+}
+
+/**
+ * DOCU: Match a path against the route table <br>
+ * Triggered: routeRequest() <br>
+ * Last Updated Date: October 19, 2026
+ * @function
+ * @param {string} path - Normalized request path
+ * @returns {Array<Object>} Matching routes with their path_params (one per allowed method)
+ * @author Vibe Team
+ */
+function matchPath(path){
+    const segments = path.split('/').filter(Boolean);
+    const matches = [];
+
+    for(const route of ROUTES){
+        if(route.segments.length !== segments.length){
+            continue;
+        }
+
+        const path_params = {};
+        const is_match = route.segments.every((route_segment, index) => {
+            if(route_segment.startsWith('{') && route_segment.endsWith('}')){
+                try{
+                    path_params[route_segment.slice(1, -1)] = decodeURIComponent(segments[index]);
+                    return true;
+                }
+                catch(error){
+                    return false;
+                }
+            }
+
+            return route_segment === segments[index];
+        });
+
+        if(is_match){
+            matches.push({ route, path_params });
+        }
+    }
+
+    return matches;
+}
+
+/**
+ * DOCU: Authenticate and route API Gateway requests to the controller for their method and path <br>
+ * Unknown paths return 404 and known paths with another method return 405 with an Allow header.
+ * OPTIONS preflight requests are answered without an API key. Every other route is scoped to the
+ * tenant that owns the request's API key. <br>
  * Triggered: index.handleAPIGatewayEvent() <br>
- * Last Updated Date: November 30, 2025
+ * Last Updated Date: October 19, 2026
  * @async
  * @function
  * @param {Object} event - API Gateway event
- * @returns {Promise<Object>} Controller response
+ * @returns {Promise<Object>} Controller response, with status_code and headers set when they differ from the defaults
  * @author Vibe Team
  */
 async function routeRequest(event){
-    const path = event.path || event.rawPath || '';
-    const body = JSON.parse(event.body || '{}');
+    const method = (event.httpMethod || event.requestContext?.http?.method || 'GET').toUpperCase();
+    const path = getRequestPath(event);
+    const matches = matchPath(path);
 
-    // Route based on path
-    if(path.includes('/producer')){
-        return await ProducerController.handleProducer(body);
+    if(!matches.length){
+        return {
+            status: false,
+            status_code: 404,
+            error: `Route not found: ${path}. Available routes: ${[...new Set(ROUTES.map(route => route.path))].join(', ')}`,
+            result: null
+        };
     }
 
-    if(path.includes('/consumer')){
-        return await ConsumerController.handleConsumer(body);
+    const allowed_methods = [...matches.map(match => match.route.method), 'OPTIONS'].join(', ');
+
+    if(method === 'OPTIONS'){
+        return {
+            status: true,
+            status_code: 204,
+            headers: {
+                'Allow': allowed_methods,
+                'Access-Control-Allow-Methods': allowed_methods,
+                'Access-Control-Max-Age': '600'
+            },
+            error: null,
+            result: null
+        };
     }
 
-    if(path.includes('/replay')){
-        return await ReplayController.handleReplay(body);
+    const match = matches.find(match => match.route.method === method);
+
+    if(!match){
+        return {
+            status: false,
+            status_code: 405,
+            headers: { 'Allow': allowed_methods },
+            error: `Method ${method} not allowed on ${path}. Allowed: ${allowed_methods}`,
+            result: null
+        };
+    }
+
+    const headers = normalizeHeaders(event.headers || {});
+    const caller = await AuthService.authenticate(headers);
+
+    if(!caller){
+        return {
+            status: false,
+            status_code: 401,
+            error: 'Missing or invalid API key',
+            result: null
+        };
+    }
+
+    LoggerService.addContext({ tenant_id: caller.tenant_id });
+
+    const parsed_body = parseBody(event);
+
+    if(!parsed_body.valid){
+        return {
+            status: false,
+            status_code: 400,
+            error: parsed_body.error,
+            result: null
+        };
     }
 
-    // Unknown route
-    return {
-        status: false,
-        error: 'Invalid route. Available routes: /producer, /consumer, /replay',
-        result: null
-    };
+    return await match.route.handler({
+        tenant_id: caller.tenant_id,
+        caller: caller,
+        headers: headers,
+        body: parsed_body.body,
+        query_params: parseQueryString(event),
+        path_params: match.path_params
+    });
 }
 
 module.exports = {
@@ -0,0 +1,45 @@
+/**
+ * API Key Script
+ * Issues and revokes tenant API keys against the configured storage backend.
+ *
+ * Usage: node scripts/api-key.js create <tenant_id> [name]
+ *        node scripts/api-key.js revoke <api_key>
+ */
+
+const AuthService = require('../services/auth.service');
+
+/**
+ * DOCU: Run the requested API key command <br>
+ * Triggered: node scripts/api-key.js <br>
+ * Last Updated Date: October 19, 2026
+ * @async
+ * @function
+ * @returns {Promise<void>}
+ * @author Vibe Team
+ */
+async function main(){
+    const [command, value, name] = process.argv.slice(2);
+
+    if(command === 'create' && value){
+        const created = await AuthService.createApiKey(value, name || null);
+
+        process.stdout.write(`${JSON.stringify(created, null, 2)}\nStore this key now; it cannot be shown again.\n`);
+        return;
+    }
+
+    if(command === 'revoke' && value){
+        const revoked = await AuthService.revokeApiKey(value);
+
+        process.stdout.write(revoked ? 'API key revoked\n' : 'API key not found\n');
+        process.exitCode = revoked ? 0 : 1;
+        return;
+    }
+
+    process.stderr.write('Usage: node scripts/api-key.js create <tenant_id> [name] | revoke <api_key>\n');
+    process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,128 @@
+/**
+ * Auth Service
+ * Issues API keys and resolves the tenant of an API Gateway request from its X-Api-Key header
+ */
+
+const crypto = require('crypto');
+const ApiKeyModel = require('../models/apikey.model');
+
+const AUTH_CACHE_SECONDS = parseInt(process.env.AUTH_CACHE_SECONDS || '60', 10);
+const AUTH_CACHE_MAX_ENTRIES = parseInt(process.env.AUTH_CACHE_MAX_ENTRIES || '1000', 10);
+
+// Active key lookups per warm Lambda container, so every request does not read DynamoDB.
+// Map order is recency order: the first key is the least recently used.
+const api_key_cache = new Map();
+
+class AuthService {
+    static TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+    /**
+     * DOCU: Hash an API key for storage and lookup <br>
+     * Triggered: AuthService <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf AuthService
+     * @param {string} api_key - Plain text API key
+     * @returns {string} SHA-256 hex digest
+     * @author Vibe Team
+     */
+    static hashApiKey(api_key){
+        return crypto.createHash('sha256').update(api_key).digest('hex');
+    }
+
+    /**
+     * DOCU: Issue a new API key for a tenant. The plain key is only returned here. <br>
+     * Triggered: scripts/api-key.js, local runner <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf AuthService
+     * @param {string} tenant_id - Tenant identifier (lowercase letters, digits, _ and -)
+     * @param {string} name - Optional label for the key
+     * @returns {Promise<Object>} {api_key, tenant_id, key_prefix}
+     * @throws {Error} When the tenant_id is invalid
+     * @author Vibe Team
+     */
+    static createApiKey = async (tenant_id, name = null) => {
+        if(!AuthService.TENANT_ID_PATTERN.test(tenant_id || '')){
+            throw new Error('Invalid tenant_id. Use 1-64 lowercase letters, digits, _ or - characters');
+        }
+
+        const api_key = `ak_${crypto.randomBytes(24).toString('base64url')}`;
+        const key_prefix = api_key.slice(0, 10);
+
+        await ApiKeyModel.createApiKey(AuthService.hashApiKey(api_key), { tenant_id, name, key_prefix });
+
+        return { api_key, tenant_id, key_prefix };
+    };
+
+    /**
+     * DOCU: Revoke an API key <br>
+     * Warm containers may keep accepting it for up to AUTH_CACHE_SECONDS. <br>
+     * Triggered: scripts/api-key.js <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf AuthService
+     * @param {string} api_key - Plain text API key
+     * @returns {Promise<boolean>} True if the key existed
+     * @author Vibe Team
+     */
+    static revokeApiKey = async (api_key) => {
+        const key_hash = AuthService.hashApiKey(api_key);
+
+        api_key_cache.delete(key_hash);
+        return await ApiKeyModel.revokeApiKey(key_hash);
+    };
+
+    /**
+     * DOCU: Resolve the caller's tenant from the X-Api-Key header <br>
+     * Active keys are cached for AUTH_CACHE_SECONDS in an LRU of AUTH_CACHE_MAX_ENTRIES keys. Unknown and
+     * revoked keys are not cached, so random keys cannot grow the cache. <br>
+     * Triggered: Routes.routeRequest() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf AuthService
+     * @param {Object} headers - Request headers (lowercased names)
+     * @returns {Promise<Object|null>} {tenant_id, key_prefix} or null when missing, unknown or revoked
+     * @author Vibe Team
+     */
+    static authenticate = async (headers) => {
+        const api_key = headers['x-api-key'];
+
+        if(!api_key){
+            return null;
+        }
+
+        const key_hash = AuthService.hashApiKey(api_key);
+        const cached = api_key_cache.get(key_hash);
+
+        if(cached){
+            api_key_cache.delete(key_hash);
+
+            if(cached.expires_at > Date.now()){
+                api_key_cache.set(key_hash, cached);
+                return cached.caller;
+            }
+        }
+
+        const api_key_record = await ApiKeyModel.getApiKey(key_hash);
+
+        if(api_key_record?.status !== 'active'){
+            return null;
+        }
+
+        const caller = { tenant_id: api_key_record.tenant_id, key_prefix: api_key_record.key_prefix };
+
+        api_key_cache.set(key_hash, { caller, expires_at: Date.now() + (AUTH_CACHE_SECONDS * 1000) });
+
+        if(api_key_cache.size > AUTH_CACHE_MAX_ENTRIES){
+            api_key_cache.delete(api_key_cache.keys().next().value);
+        }
+
+        return caller;
+    };
+}
+
+module.exports = AuthService;
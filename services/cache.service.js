@@ -0,0 +1,223 @@
+/**
+ * Cache Service
+ * Read-through cache for connector action responses, layered over an
+ * in-process LRU and a DynamoDB table (CACHE_STORES=memory,dynamodb)
+ */
+
+const CacheModel = require('../models/cache.model');
+const IdempotencyModel = require('../models/idempotency.model');
+const LoggerService = require('./logger.service');
+
+const CACHE_STORES = (process.env.CACHE_STORES ?? 'memory,dynamodb').split(',').map(store => store.trim()).filter(Boolean);
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES || '500', 10);
+const CACHE_MAX_BYTES = parseInt(process.env.CACHE_MAX_BYTES || String(32 * 1024 * 1024), 10);
+const MAX_ITEM_BYTES = 350 * 1024;
+// Bumped when the shape of cached values changes (v2: raw responses, shaped per request after the read)
+const CACHE_KEY_VERSION = 'v2';
+
+// Insertion-ordered, so the first key is always the least recently used
+const memory_cache = new Map();
+let memory_cache_bytes = 0;
+
+class CacheService {
+    static MODES = ['default', 'bypass'];
+
+    /**
+     * DOCU: Build the cache key for an action request <br>
+     * Inputs are normalized (policy defaults applied, strings trimmed and lowercased,
+     * keys sorted) so equivalent requests share one entry. <br>
+     * Triggered: CacheService.execute() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf CacheService
+     * @param {string} action_name - Action name
+     * @param {Object} input - Action input
+     * @param {Object} cache_policy - Action cache policy {ttl_seconds, defaults}
+     * @returns {string} Cache key (<action>#<version>#<sha256>)
+     * @author Vibe Team
+     */
+    static buildKey(action_name, input, cache_policy = {}){
+        const normalized = { ...(cache_policy.defaults || {}) };
+
+        for(const field in input){
+            const value = input[field];
+
+            if(value !== undefined && value !== null){
+                normalized[field] = typeof value === 'string' ? value.trim().toLowerCase() : value;
+            }
+        }
+
+        return `${action_name}#${CACHE_KEY_VERSION}#${IdempotencyModel.hashPayload(normalized)}`;
+    }
+
+    /**
+     * DOCU: Read an entry from the in-process LRU, refreshing its recency <br>
+     * Triggered: CacheService.get() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf CacheService
+     * @param {string} cache_key - Cache key
+     * @returns {Object|null} Entry {value, expires_at} or null
+     * @author Vibe Team
+     */
+    static getFromMemory(cache_key){
+        const entry = memory_cache.get(cache_key);
+
+        if(!entry){
+            return null;
+        }
+
+        memory_cache.delete(cache_key);
+
+        if(entry.expires_at < Math.floor(Date.now() / 1000)){
+            memory_cache_bytes -= entry.size_bytes;
+            return null;
+        }
+
+        memory_cache.set(cache_key, entry);
+        return entry;
+    }
+
+    /**
+     * DOCU: Write an entry to the in-process LRU, evicting the least recently used entries
+     * until it is within CACHE_MAX_ENTRIES and CACHE_MAX_BYTES <br>
+     * Triggered: CacheService.get(), CacheService.set() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf CacheService
+     * @param {string} cache_key - Cache key
+     * @param {*} value - Cached value
+     * @param {number} expires_at - Expiry as epoch seconds
+     * @param {number} size_bytes - Serialized size of the value
+     * @returns {void}
+     * @author Vibe Team
+     */
+    static setInMemory(cache_key, value, expires_at, size_bytes){
+        const previous = memory_cache.get(cache_key);
+
+        if(previous){
+            memory_cache.delete(cache_key);
+            memory_cache_bytes -= previous.size_bytes;
+        }
+
+        // A value larger than the whole cache would evict everything and still not fit
+        if(size_bytes > CACHE_MAX_BYTES){
+            return;
+        }
+
+        memory_cache.set(cache_key, { value, expires_at, size_bytes });
+        memory_cache_bytes += size_bytes;
+
+        while(memory_cache.size > CACHE_MAX_ENTRIES || memory_cache_bytes > CACHE_MAX_BYTES){
+            const [oldest_key, oldest_entry] = memory_cache.entries().next().value;
+            memory_cache.delete(oldest_key);
+            memory_cache_bytes -= oldest_entry.size_bytes;
+        }
+    }
+
+    /**
+     * DOCU: Look up a key in each configured store in order, backfilling the LRU on a DynamoDB hit <br>
+     * Triggered: CacheService.execute() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf CacheService
+     * @param {string} cache_key - Cache key
+     * @returns {Promise<Object|null>} {value, store} or null on a miss
+     * @author Vibe Team
+     */
+    static get = async (cache_key) => {
+        for(const store of CACHE_STORES){
+            const entry = store === 'memory'
+                ? CacheService.getFromMemory(cache_key)
+                : await CacheModel.getEntry(cache_key);
+
+            if(entry){
+                if(store !== 'memory' && CACHE_STORES.includes('memory')){
+                    CacheService.setInMemory(cache_key, entry.value, entry.expires_at, JSON.stringify(entry.value).length);
+                }
+
+                return { value: structuredClone(entry.value), store };
+            }
+        }
+
+        return null;
+    };
+
+    /**
+     * DOCU: Write a value to every configured store <br>
+     * Values too large for a DynamoDB item are only kept in memory. <br>
+     * Triggered: CacheService.execute() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf CacheService
+     * @param {string} cache_key - Cache key
+     * @param {string} action_name - Action that produced the value
+     * @param {*} value - Action output
+     * @param {number} ttl_seconds - Time to live
+     * @returns {Promise<void>}
+     * @author Vibe Team
+     */
+    static set = async (cache_key, action_name, value, ttl_seconds) => {
+        const expires_at = Math.floor(Date.now() / 1000) + ttl_seconds;
+        const size_bytes = JSON.stringify(value).length;
+
+        if(CACHE_STORES.includes('memory')){
+            CacheService.setInMemory(cache_key, structuredClone(value), expires_at, size_bytes);
+        }
+
+        if(CACHE_STORES.includes('dynamodb') && size_bytes <= MAX_ITEM_BYTES){
+            await CacheModel.putEntry(cache_key, action_name, value, expires_at);
+        }
+    };
+
+    /**
+     * DOCU: Run a connector action through the read-through cache <br>
+     * The raw response is cached, so requests with different output specs share one entry.
+     * Actions without metadata.cache are always called. In bypass mode the cached
+     * entry is ignored but the fresh response still refreshes the cache.
+     * Cache store failures fall back to calling the action. <br>
+     * Triggered: ConsumerController.processMessage(), WorkflowController.runWorkflow() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf CacheService
+     * @param {Object} connector_action - Registered action definition
+     * @param {Object} input - Action input
+     * @param {string} mode - Cache mode (default|bypass)
+     * @param {Object} context - Handler context {signal} (aborts the call on timeout)
+     * @returns {Promise<Object>} {output: raw response, cache: {status: hit|miss|bypass, store, key}|null}
+     * @author Vibe Team
+     */
+    static execute = async (connector_action, input, mode = 'default', context = {}) => {
+        const cache_policy = connector_action.metadata.cache;
+
+        if(!cache_policy || !CACHE_STORES.length){
+            return { output: await connector_action.handler(input, context), cache: null };
+        }
+
+        const cache_key = CacheService.buildKey(connector_action.name, input, cache_policy);
+
+        if(mode !== 'bypass'){
+            const cached = await CacheService.get(cache_key).catch(error => {
+                LoggerService.error('Cache read error', { cache_key, error });
+                return null;
+            });
+
+            if(cached){
+                return { output: cached.value, cache: { status: 'hit', store: cached.store, key: cache_key } };
+            }
+        }
+
+        const output = await connector_action.handler(input, context);
+
+        await CacheService.set(cache_key, connector_action.name, output, cache_policy.ttl_seconds).catch(error => {
+            LoggerService.error('Cache write error', { cache_key, error });
+        });
+
+        return { output, cache: { status: mode === 'bypass' ? 'bypass' : 'miss', store: null, key: cache_key } };
+    };
+}
+
+module.exports = CacheService;
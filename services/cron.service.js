@@ -0,0 +1,190 @@
+/**
+ * Cron Service
+ * Parses standard 5-field cron expressions and computes their next run time (UTC)
+ */
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day_of_month', min: 1, max: 31, any: '?' },
+    { name: 'month', min: 1, max: 12, aliases: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'day_of_week', min: 0, max: 7, aliases: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'], any: '?' }
+];
+
+const MAX_SEARCH_YEARS = 5;
+
+class CronService {
+    /**
+     * DOCU: Parse one cron field value (number or alias) <br>
+     * Triggered: CronService.parseField() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf CronService
+     * @param {string} value - Field value
+     * @param {Object} field - Field definition
+     * @returns {number} Parsed number
+     * @throws {Error} When the value is not valid for the field
+     * @author Vibe Team
+     */
+    static parseValue(value, field){
+        const alias_index = field.aliases ? field.aliases.indexOf(value.toUpperCase()) : -1;
+        const number = alias_index >= 0 ? alias_index + (field.name === 'month' ? 1 : 0) : Number(value);
+
+        if(!Number.isInteger(number) || number < field.min || number > field.max){
+            throw new Error(`Invalid ${field.name} value in cron expression: ${value}`);
+        }
+
+        return number;
+    }
+
+    /**
+     * DOCU: Expand a cron field (*, lists, ranges and steps; ? is * for the day fields) into the set of allowed values <br>
+     * Triggered: CronService.parse() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf CronService
+     * @param {string} expression - Field expression (e.g. 0-30/5,45)
+     * @param {Object} field - Field definition
+     * @returns {Set<number>} Allowed values
+     * @throws {Error} When the expression is malformed
+     * @author Vibe Team
+     */
+    static parseField(expression, field){
+        const values = new Set();
+
+        for(const part of expression.split(',')){
+            const [range, step_value] = part.split('/');
+            const step = step_value === undefined ? 1 : Number(step_value);
+
+            if(!Number.isInteger(step) || step < 1){
+                throw new Error(`Invalid ${field.name} step in cron expression: ${part}`);
+            }
+
+            let start = field.min;
+            let end = field.max;
+
+            if(range !== '*' && range !== field.any){
+                const bounds = range.split('-');
+                start = CronService.parseValue(bounds[0], field);
+                end = bounds.length > 1 ? CronService.parseValue(bounds[1], field) : (step_value === undefined ? start : field.max);
+
+                if(bounds.length > 2 || start > end){
+                    throw new Error(`Invalid ${field.name} range in cron expression: ${part}`);
+                }
+            }
+
+            for(let value = start; value <= end; value += step){
+                // Both 0 and 7 mean Sunday
+                values.add(field.name === 'day_of_week' && value === 7 ? 0 : value);
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * DOCU: Parse a 5-field cron expression (minute hour day-of-month month day-of-week) <br>
+     * Triggered: CronService.getNextRun(), SchedulerController.validateSchedule() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf CronService
+     * @param {string} expression - Cron expression (e.g. "0 9-17 * * MON-FRI")
+     * @returns {Object} Parsed fields {minute, hour, day_of_month, month, day_of_week, restricted_dom, restricted_dow}
+     * @throws {Error} When the expression is malformed
+     * @author Vibe Team
+     */
+    static parse(expression){
+        const parts = String(expression || '').trim().split(/\s+/);
+
+        if(parts.length !== CRON_FIELDS.length){
+            throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+        }
+
+        const parsed = {};
+
+        CRON_FIELDS.forEach((field, index) => {
+            parsed[field.name] = CronService.parseField(parts[index], field);
+        });
+
+        // A day field is restricted when it leaves days out, however it is written (*, */1, 1-31, 0-7; not Vixie's leading-* rule)
+        parsed.restricted_dom = parsed.day_of_month.size < 31;
+        parsed.restricted_dow = parsed.day_of_week.size < 7;
+
+        return parsed;
+    }
+
+    /**
+     * DOCU: Check whether a date's day matches the day-of-month/day-of-week fields <br>
+     * When both fields are restricted either may match. Unlike Vixie cron, restriction comes from the
+     * days a field covers rather than whether it starts with *, so 1-31 is unrestricted and *\/2 is restricted. <br>
+     * Triggered: CronService.getNextRun() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf CronService
+     * @param {Object} cron - Parsed cron expression
+     * @param {Date} date - Date to check (UTC)
+     * @returns {boolean} True if the day matches
+     * @author Vibe Team
+     */
+    static matchesDay(cron, date){
+        const dom_match = cron.day_of_month.has(date.getUTCDate());
+        const dow_match = cron.day_of_week.has(date.getUTCDay());
+
+        if(cron.restricted_dom && cron.restricted_dow){
+            return dom_match || dow_match;
+        }
+
+        return dom_match && dow_match;
+    }
+
+    /**
+     * DOCU: Compute the first run time strictly after a given date (UTC, minute precision) <br>
+     * Triggered: SchedulerController.createSchedule(), SchedulerController.runDueSchedules() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf CronService
+     * @param {string} expression - Cron expression
+     * @param {Date} after - Reference date
+     * @returns {Date} Next run time
+     * @throws {Error} When the expression is malformed or never matches
+     * @author Vibe Team
+     */
+    static getNextRun(expression, after = new Date()){
+        const cron = CronService.parse(expression);
+        const date = new Date(after.getTime());
+        const search_limit = after.getTime() + (MAX_SEARCH_YEARS * 366 * 24 * 60 * 60 * 1000);
+
+        date.setUTCSeconds(0, 0);
+        date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+        while(date.getTime() <= search_limit){
+            if(!cron.month.has(date.getUTCMonth() + 1)){
+                date.setUTCMonth(date.getUTCMonth() + 1, 1);
+                date.setUTCHours(0, 0, 0, 0);
+                continue;
+            }
+
+            if(!CronService.matchesDay(cron, date)){
+                date.setUTCDate(date.getUTCDate() + 1);
+                date.setUTCHours(0, 0, 0, 0);
+                continue;
+            }
+
+            if(!cron.hour.has(date.getUTCHours())){
+                date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+                continue;
+            }
+
+            if(!cron.minute.has(date.getUTCMinutes())){
+                date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+                continue;
+            }
+
+            return date;
+        }
+
+        throw new Error(`Cron expression never matches: ${expression}`);
+    }
+}
+
+module.exports = CronService;
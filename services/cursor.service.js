@@ -0,0 +1,56 @@
+/**
+ * Cursor Service
+ * Encodes DynamoDB pagination keys as opaque cursors
+ */
+
+class CursorService {
+    /**
+     * DOCU: Encode a DynamoDB LastEvaluatedKey as an opaque cursor <br>
+     * Triggered: ExecutionModel.listExecutionsByStatus(), LogModel.getLogs() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf CursorService
+     * @param {Object} last_evaluated_key - DynamoDB LastEvaluatedKey
+     * @returns {string|null} Base64url cursor, or null when there are no more pages
+     * @author Vibe Team
+     */
+    static encode(last_evaluated_key){
+        if(!last_evaluated_key){
+            return null;
+        }
+
+        return Buffer.from(JSON.stringify(last_evaluated_key)).toString('base64url');
+    }
+
+    /**
+     * DOCU: Decode an opaque cursor back into a DynamoDB ExclusiveStartKey <br>
+     * Triggered: ExecutionModel.listExecutionsByStatus(), LogModel.getLogs() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf CursorService
+     * @param {string} cursor - Base64url cursor
+     * @returns {Object|undefined} DynamoDB ExclusiveStartKey, or undefined for the first page
+     * @throws {Error} When the cursor is malformed
+     * @author Vibe Team
+     */
+    static decode(cursor){
+        if(!cursor){
+            return undefined;
+        }
+
+        try{
+            const key = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+            if(!key || typeof key !== 'object' || Array.isArray(key)){
+                throw new Error('Cursor is not an object');
+            }
+
+            return key;
+        }
+        catch(error){
+            throw new Error('Invalid cursor');
+        }
+    }
+}
+
+module.exports = CursorService;
@@ -0,0 +1,78 @@
+/**
+ * Errors
+ * Error classes that carry retry classification for the consumer
+ */
+
+/**
+ * DOCU: Error from an external API call, classified as retryable by HTTP status <br>
+ * 5xx, 408 and 429 are retryable; other 4xx responses are terminal. <br>
+ * Triggered: PokemonService <br>
+ * Last Updated Date: October 19, 2026
+ * @class
+ * @author Vibe Team
+ */
+class ExternalApiError extends Error {
+    constructor(message, status_code = null){
+        super(message);
+        this.name = 'ExternalApiError';
+        this.status_code = status_code;
+        this.retryable = status_code === null || status_code === 408 || status_code === 429 || status_code >= 500;
+    }
+}
+
+/**
+ * DOCU: Error that can never succeed on retry (bad input, unknown action, missing template reference) <br>
+ * Triggered: ConsumerController.processMessage(), WorkflowController.runWorkflow() <br>
+ * Last Updated Date: October 19, 2026
+ * @class
+ * @author Vibe Team
+ */
+class NonRetryableError extends Error {
+    constructor(message){
+        super(message);
+        this.name = 'NonRetryableError';
+        this.retryable = false;
+    }
+}
+
+/**
+ * DOCU: Call was not attempted because the outbound guard is holding it back
+ * (circuit open or rate limit reached). The message is re-queued after retry_after_seconds
+ * without counting as a failed attempt. <br>
+ * Triggered: GuardService.run() <br>
+ * Last Updated Date: October 19, 2026
+ * @class
+ * @author Vibe Team
+ */
+class DeferredError extends Error {
+    constructor(message, retry_after_seconds){
+        super(message);
+        this.name = 'DeferredError';
+        this.retry_after_seconds = retry_after_seconds;
+        this.retryable = true;
+    }
+}
+
+/**
+ * DOCU: Action (or workflow step) did not finish within its timeout and was aborted.
+ * Retried like other transient failures; an execution whose last attempt timed out ends as timed_out. <br>
+ * Triggered: TimeoutService.run() <br>
+ * Last Updated Date: October 19, 2026
+ * @class
+ * @author Vibe Team
+ */
+class ActionTimeoutError extends Error {
+    constructor(message, timeout_ms){
+        super(message);
+        this.name = 'ActionTimeoutError';
+        this.timeout_ms = timeout_ms;
+        this.retryable = true;
+    }
+}
+
+module.exports = {
+    ExternalApiError,
+    NonRetryableError,
+    DeferredError,
+    ActionTimeoutError
+};
@@ -0,0 +1,184 @@
+/**
+ * Guard Service
+ * Shared outbound-call guard: a request rate limit and a circuit breaker per external
+ * service, with state in DynamoDB so every concurrent Lambda invocation sees it. Windows and
+ * cooldowns are read from the backend clock, which the local runner moves forward.
+ */
+
+const Backend = require('../backends');
+const GuardModel = require('../models/guard.model');
+const { DeferredError } = require('./errors');
+const LoggerService = require('./logger.service');
+const MetricsService = require('./metrics.service');
+
+const DEFAULT_GUARD_POLICY = {
+    rate_limit_per_second: parseInt(process.env.OUTBOUND_RATE_LIMIT_PER_SECOND || '10', 10),
+    max_wait_ms: parseInt(process.env.OUTBOUND_MAX_WAIT_MS || '1000', 10),
+    failure_threshold: parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+    failure_window_seconds: parseInt(process.env.CIRCUIT_FAILURE_WINDOW_SECONDS || '60', 10),
+    cooldown_seconds: parseInt(process.env.CIRCUIT_COOLDOWN_SECONDS || '30', 10)
+};
+
+class GuardService {
+    /**
+     * DOCU: Get the guard policy for a service (overrides over environment defaults) <br>
+     * Triggered: GuardService.run() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf GuardService
+     * @param {Object} overrides - Service specific policy values
+     * @returns {Object} Guard policy {rate_limit_per_second, max_wait_ms, failure_threshold, failure_window_seconds, cooldown_seconds}
+     * @author Vibe Team
+     */
+    static getPolicy(overrides = {}){
+        return {
+            ...DEFAULT_GUARD_POLICY,
+            ...overrides
+        };
+    }
+
+    /**
+     * DOCU: Check the circuit before calling a service <br>
+     * Closed: call proceeds. Open: the call is deferred until the cooldown ends, after which
+     * exactly one caller claims the half-open probe and the rest keep deferring. <br>
+     * Triggered: GuardService.run() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf GuardService
+     * @param {string} service - Outbound service name
+     * @param {Object} policy - Guard policy
+     * @returns {Promise<Object|null>} Circuit state seen before the call
+     * @throws {DeferredError} While the circuit is open or another caller holds the probe
+     * @author Vibe Team
+     */
+    static checkCircuit = async (service, policy) => {
+        const circuit = await GuardModel.getCircuit(service);
+
+        if(!circuit || circuit.state === 'closed' || circuit.state === undefined){
+            return circuit;
+        }
+
+        const now = Math.floor(Backend.now() / 1000);
+        const claimed = await GuardModel.claimProbe(service, now, now + policy.cooldown_seconds);
+
+        if(claimed){
+            return { ...circuit, state: 'half_open' };
+        }
+
+        const retry_after_seconds = Math.max(1, (circuit.state === 'open' ? circuit.open_until : circuit.probe_until) - now);
+
+        throw new DeferredError(`Circuit open for ${service}, retry in ${retry_after_seconds}s`, retry_after_seconds);
+    };
+
+    /**
+     * DOCU: Take a token from the shared per-second request budget, waiting up to max_wait_ms for the next window <br>
+     * Triggered: GuardService.run() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf GuardService
+     * @param {string} service - Outbound service name
+     * @param {Object} policy - Guard policy
+     * @returns {Promise<void>}
+     * @throws {DeferredError} When no token frees up within max_wait_ms
+     * @author Vibe Team
+     */
+    static acquireRateToken = async (service, policy) => {
+        if(!policy.rate_limit_per_second){
+            return;
+        }
+
+        const deadline = Backend.now() + policy.max_wait_ms;
+
+        while(true){
+            const window_second = Math.floor(Backend.now() / 1000);
+
+            if(await GuardModel.takeRateToken(service, window_second, policy.rate_limit_per_second)){
+                return;
+            }
+
+            const next_window_ms = (window_second + 1) * 1000;
+
+            if(next_window_ms > deadline){
+                throw new DeferredError(`Rate limit reached for ${service}`, 1);
+            }
+
+            await new Promise(resolve => setTimeout(resolve, next_window_ms - Backend.now()));
+        }
+    };
+
+    /**
+     * DOCU: Count a failed call and open the circuit at the failure threshold (or when a probe fails) <br>
+     * Triggered: GuardService.run() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf GuardService
+     * @param {string} service - Outbound service name
+     * @param {Object} policy - Guard policy
+     * @param {boolean} is_probe - True if the failed call was the half-open probe
+     * @returns {Promise<void>}
+     * @author Vibe Team
+     */
+    static recordFailure = async (service, policy, is_probe) => {
+        const now = Math.floor(Backend.now() / 1000);
+        const circuit = await GuardModel.recordFailure(service, now, policy.failure_window_seconds);
+
+        if(is_probe || (circuit.state === 'closed' && circuit.failure_count >= policy.failure_threshold)){
+            await GuardModel.openCircuit(service, now, now + policy.cooldown_seconds);
+            LoggerService.warn(`Circuit opened for ${service}`, { service, failure_count: circuit.failure_count, cooldown_seconds: policy.cooldown_seconds });
+        }
+    };
+
+    /**
+     * DOCU: Run an outbound call through the rate limit and circuit breaker <br>
+     * Only retryable failures (network errors, timeouts, 408, 429, 5xx) count toward opening
+     * the circuit; terminal errors such as 404 mean the service itself is healthy. Each call's
+     * latency is recorded as an ExternalApiLatency metric. <br>
+     * Triggered: PokemonService, HttpService <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf GuardService
+     * @param {string} service - Outbound service name (e.g. pokeapi)
+     * @param {Function} call - Async function performing the request
+     * @param {Object} policy_overrides - Optional service specific policy values
+     * @returns {Promise<*>} Call result
+     * @throws {DeferredError} When the call is held back; otherwise the call's own error
+     * @author Vibe Team
+     */
+    static run = async (service, call, policy_overrides = {}) => {
+        const policy = GuardService.getPolicy(policy_overrides);
+        const circuit = await GuardService.checkCircuit(service, policy);
+        const is_probe = circuit?.state === 'half_open';
+
+        await GuardService.acquireRateToken(service, policy);
+
+        const started_at = Date.now();
+
+        try{
+            const result = await call();
+
+            MetricsService.recordExternalCall({ service, outcome: 'success', duration_ms: Date.now() - started_at });
+
+            if(is_probe || circuit?.failure_count){
+                await GuardModel.closeCircuit(service);
+            }
+
+            return result;
+        }
+        catch(error){
+            MetricsService.recordExternalCall({ service, outcome: 'error', duration_ms: Date.now() - started_at, status_code: error.status_code ?? null });
+
+            // Same classification as RetryService.isRetryable()
+            if(error.retryable !== false){
+                await GuardService.recordFailure(service, policy, is_probe).catch(record_error => LoggerService.error('Circuit failure record error', { service, error: record_error }));
+            }
+
+            throw error;
+        }
+    };
+}
+
+module.exports = GuardService;
@@ -0,0 +1,425 @@
+/**
+ * HTTP Service
+ * Makes templated HTTP requests to arbitrary REST services for the http-request action
+ */
+
+const dns = require('dns');
+const net = require('net');
+const undici = require('undici');
+const { ExternalApiError, NonRetryableError } = require('./errors');
+const GuardService = require('./guard.service');
+const TemplateService = require('./template.service');
+
+const HTTP_TIMEOUT_MS = parseInt(process.env.HTTP_TIMEOUT_MS || '10000', 10);
+const HTTP_MAX_RESPONSE_BYTES = parseInt(process.env.HTTP_MAX_RESPONSE_BYTES || String(1024 * 1024), 10);
+const HTTP_ALLOWED_HOSTS = (process.env.HTTP_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+const MAX_TIMEOUT_MS = 30000;
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD'];
+const BODY_TYPES = ['json', 'form', 'text'];
+const USER_AGENT = 'sqs-unified-handler-http';
+const HTTP_ALLOW_PRIVATE_HOSTS = process.env.HTTP_ALLOW_PRIVATE_HOSTS === 'true';
+
+// Link-local (instance metadata hands out the Lambda's own credentials), unspecified, shared, multicast and
+// reserved ranges are never called. One list per family: a single BlockList also matches IPv4 addresses
+// against IPv4-mapped IPv6 subnets.
+const BLOCKED_ADDRESSES = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+// Loopback (including the Lambda Runtime API) and private ranges, allowed only with HTTP_ALLOW_PRIVATE_HOSTS
+const PRIVATE_ADDRESSES = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+
+[
+    ['0.0.0.0', 8], ['169.254.0.0', 16], ['192.0.0.0', 24], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.ipv4.addSubnet(address, prefix, 'ipv4'));
+
+// IPv4-mapped and NAT64 addresses are blocked whole since they can embed any IPv4 range
+[
+    ['::', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fd00:ec2::254', 128], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.ipv6.addSubnet(address, prefix, 'ipv6'));
+
+[
+    ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['172.16.0.0', 12], ['192.168.0.0', 16]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.ipv4.addSubnet(address, prefix, 'ipv4'));
+
+[
+    ['::1', 128], ['fc00::', 7]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.ipv6.addSubnet(address, prefix, 'ipv6'));
+
+class HttpService {
+    static METHODS = METHODS;
+    static BODY_TYPES = BODY_TYPES;
+    static MAX_TIMEOUT_MS = MAX_TIMEOUT_MS;
+    static MAX_RESPONSE_BYTES = HTTP_MAX_RESPONSE_BYTES;
+
+    /**
+     * DOCU: Check a host against HTTP_ALLOWED_HOSTS (exact names or *.domain wildcards; empty allows no host) <br>
+     * Triggered: HttpService.buildRequest() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf HttpService
+     * @param {string} hostname - Request host name (lowercase, without port)
+     * @returns {boolean} True if requests to the host are allowed
+     * @author Vibe Team
+     */
+    static isHostAllowed(hostname){
+        return HTTP_ALLOWED_HOSTS.some(allowed => allowed.startsWith('*.')
+            ? hostname.endsWith(allowed.slice(1))
+            : hostname === allowed);
+    }
+
+    /**
+     * DOCU: Check whether an IP address may not be called <br>
+     * Link-local, metadata and reserved addresses are always blocked; loopback and private ones unless
+     * allow_private is set. <br>
+     * Triggered: HttpService.checkAddresses() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf HttpService
+     * @param {string} address - IPv4 or IPv6 address
+     * @param {boolean} allow_private - Allow loopback and private addresses
+     * @returns {boolean} True if requests to the address are blocked
+     * @author Vibe Team
+     */
+    static isBlockedAddress(address, allow_private = false){
+        if(!net.isIP(address)){
+            return true;
+        }
+
+        const family = net.isIP(address) === 4 ? 'ipv4' : 'ipv6';
+
+        return BLOCKED_ADDRESSES[family].check(address, family) || (!allow_private && PRIVATE_ADDRESSES[family].check(address, family));
+    }
+
+    /**
+     * DOCU: Refuse a host when any address it resolves to is blocked <br>
+     * Triggered: HttpService.createLookup(), HttpService.send() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf HttpService
+     * @param {string} hostname - Host name or IP literal
+     * @param {Array<string>} addresses - Resolved addresses
+     * @param {boolean} allow_private - Allow loopback and private addresses
+     * @returns {void}
+     * @throws {NonRetryableError} When an address is blocked
+     * @author Vibe Team
+     */
+    static checkAddresses(hostname, addresses, allow_private){
+        if(!addresses.length || addresses.some(address => HttpService.isBlockedAddress(address, allow_private))){
+            throw new NonRetryableError(`Host not allowed: ${hostname} resolves to a ${allow_private ? 'link-local or reserved' : 'private or reserved'} address`);
+        }
+    }
+
+    /**
+     * DOCU: Create a DNS lookup for outbound connections that refuses blocked addresses <br>
+     * The connection is made to the address that was checked, so a name cannot resolve to a public address
+     * for the check and to an internal one for the connection (DNS rebinding). <br>
+     * Triggered: Module load (the dispatchers below) <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf HttpService
+     * @param {boolean} allow_private - Allow loopback and private addresses
+     * @returns {Function} net.connect() style lookup(hostname, options, callback)
+     * @author Vibe Team
+     */
+    static createLookup(allow_private){
+        return (hostname, options, callback) => {
+            dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+                if(error){
+                    return callback(error);
+                }
+
+                try{
+                    HttpService.checkAddresses(hostname, addresses.map(({ address }) => address), allow_private);
+                }
+                catch(check_error){
+                    return callback(check_error);
+                }
+
+                if(options.all){
+                    return callback(null, addresses);
+                }
+
+                callback(null, addresses[0].address, addresses[0].family);
+            });
+        };
+    }
+
+    /**
+     * DOCU: Fetch a URL through a dispatcher whose connections only reach allowed addresses <br>
+     * IP literals are checked up front since connecting to them involves no lookup. <br>
+     * Triggered: HttpService.request(), WebhookService.deliver() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf HttpService
+     * @param {URL|string} url - Request URL
+     * @param {Object} options - fetch() options
+     * @param {boolean} allow_private - Allow loopback and private addresses
+     * @returns {Promise<Response>} Fetch response
+     * @throws {NonRetryableError} When the host is, or resolves to, a blocked address
+     * @author Vibe Team
+     */
+    static send = async (url, options, allow_private = false) => {
+        const { hostname } = new URL(url);
+        const host = hostname.replace(/^\[(.*)\]$/, '$1');
+
+        if(net.isIP(host)){
+            HttpService.checkAddresses(hostname, [host], allow_private);
+        }
+
+        try{
+            return await undici.fetch(url, { ...options, dispatcher: allow_private ? DISPATCHERS.private : DISPATCHERS.public });
+        }
+        catch(error){
+            // The lookup's refusal surfaces as the cause of a generic fetch failure
+            if(error.cause instanceof NonRetryableError){
+                throw error.cause;
+            }
+
+            throw error;
+        }
+    };
+
+    /**
+     * DOCU: Render the request's {{params.<path>}} templates and build the fetch URL and options <br>
+     * Triggered: HttpService.request() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf HttpService
+     * @param {Object} input - http-request input {method, url, query, headers, body, body_type, params, timeout_ms}
+     * @param {AbortSignal|null} signal - Caller's abort signal (the action timeout), combined with the request timeout
+     * @returns {Object} {url: URL, options: Object} for fetch()
+     * @throws {NonRetryableError} When the rendered request is invalid or its host is not allowed
+     * @author Vibe Team
+     */
+    static buildRequest(input, signal = null){
+        const method = input.method || 'GET';
+        const body_type = input.body_type || 'json';
+        let rendered;
+
+        try{
+            rendered = TemplateService.render({
+                url: input.url,
+                query: input.query || {},
+                headers: input.headers || {},
+                body: input.body
+            }, { params: input.params || {} }, { roots: ['params'] });
+        }
+        catch(error){
+            throw new NonRetryableError(error.message);
+        }
+
+        let url;
+
+        try{
+            url = new URL(rendered.url);
+        }
+        catch(error){
+            throw new NonRetryableError(`Invalid url: ${rendered.url}`);
+        }
+
+        if(url.protocol !== 'https:' && url.protocol !== 'http:'){
+            throw new NonRetryableError(`Invalid url: ${rendered.url}. Must be an absolute http(s) URL`);
+        }
+
+        if(!HttpService.isHostAllowed(url.hostname.toLowerCase())){
+            throw new NonRetryableError(`Host not allowed: ${url.hostname}`);
+        }
+
+        for(const name in rendered.query){
+            for(const value of [].concat(rendered.query[name])){
+                url.searchParams.append(name, String(value));
+            }
+        }
+
+        const headers = { 'User-Agent': USER_AGENT };
+        const has_header = (name) => Object.keys(headers).some(header => header.toLowerCase() === name);
+
+        for(const name in rendered.headers){
+            headers[name] = String(rendered.headers[name]);
+        }
+
+        const options = {
+            method: method,
+            headers: headers,
+            // Redirects are returned as results so they cannot lead to a host outside HTTP_ALLOWED_HOSTS
+            redirect: 'manual',
+            signal: signal
+                ? AbortSignal.any([AbortSignal.timeout(input.timeout_ms || HTTP_TIMEOUT_MS), signal])
+                : AbortSignal.timeout(input.timeout_ms || HTTP_TIMEOUT_MS)
+        };
+
+        if(rendered.body !== undefined && rendered.body !== null){
+            if(method === 'GET' || method === 'HEAD'){
+                throw new NonRetryableError(`A body cannot be sent with ${method}`);
+            }
+
+            let content_type;
+
+            if(body_type === 'form'){
+                if(!rendered.body || typeof rendered.body !== 'object' || Array.isArray(rendered.body)){
+                    throw new NonRetryableError('A form body must be an object');
+                }
+
+                options.body = new URLSearchParams(Object.entries(rendered.body).map(([name, value]) => [name, typeof value === 'object' ? JSON.stringify(value) : String(value)])).toString();
+                content_type = 'application/x-www-form-urlencoded';
+            }
+            else if(body_type === 'text'){
+                options.body = typeof rendered.body === 'string' ? rendered.body : JSON.stringify(rendered.body);
+                content_type = 'text/plain; charset=utf-8';
+            }
+            else{
+                options.body = JSON.stringify(rendered.body);
+                content_type = 'application/json';
+            }
+
+            if(!has_header('content-type')){
+                headers['Content-Type'] = content_type;
+            }
+        }
+
+        return { url, options };
+    }
+
+    /**
+     * DOCU: Read a response body, stopping once it exceeds the size limit <br>
+     * Triggered: HttpService.request() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf HttpService
+     * @param {Response} response - Fetch response
+     * @param {number} max_bytes - Largest body accepted
+     * @returns {Promise<Buffer>} Body bytes
+     * @throws {NonRetryableError} When the body is larger than max_bytes
+     * @author Vibe Team
+     */
+    static readBody = async (response, max_bytes) => {
+        const too_large = () => new NonRetryableError(`Response body exceeds ${max_bytes} bytes`);
+
+        if(Number(response.headers.get('content-length')) > max_bytes){
+            await response.body?.cancel().catch(() => {});
+            throw too_large();
+        }
+
+        const chunks = [];
+        let size_bytes = 0;
+
+        if(!response.body){
+            return Buffer.alloc(0);
+        }
+
+        // Leaving the loop early cancels the rest of the stream
+        for await (const chunk of response.body){
+            size_bytes += chunk.length;
+
+            if(size_bytes > max_bytes){
+                throw too_large();
+            }
+
+            chunks.push(chunk);
+        }
+
+        return Buffer.concat(chunks);
+    };
+
+    /**
+     * DOCU: Decode a response body by content type: JSON is parsed, text is kept as a string and anything else is base64 <br>
+     * Triggered: HttpService.request() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf HttpService
+     * @param {Buffer} buffer - Body bytes
+     * @param {string|null} content_type - Content-Type header
+     * @returns {Object} {body, body_type: json|text|base64|null}
+     * @author Vibe Team
+     */
+    static parseBody(buffer, content_type){
+        if(!buffer.length){
+            return { body: null, body_type: null };
+        }
+
+        const media_type = (content_type || '').split(';')[0].trim().toLowerCase();
+
+        if(media_type === 'application/json' || media_type.endsWith('+json')){
+            try{
+                return { body: JSON.parse(buffer.toString('utf8')), body_type: 'json' };
+            }
+            catch(error){
+                // Mislabelled bodies are kept as text
+            }
+        }
+
+        if(!media_type || media_type.startsWith('text/') || /json|xml|javascript|x-www-form-urlencoded/.test(media_type)){
+            return { body: buffer.toString('utf8'), body_type: 'text' };
+        }
+
+        return { body: buffer.toString('base64'), body_type: 'base64' };
+    }
+
+    /**
+     * DOCU: Send an HTTP request through the outbound guard (one guard per host) <br>
+     * The host must be in HTTP_ALLOWED_HOSTS and resolve only to public addresses (or private ones with
+     * HTTP_ALLOW_PRIVATE_HOSTS). Network errors, timeouts, 408, 429 and 5xx responses are retryable; other 4xx responses fail the
+     * execution. With fail_on_error_status false every response is returned as a result. <br>
+     * Triggered: CacheService.execute() for the http-request action <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf HttpService
+     * @param {Object} input - http-request input {method, url, query, headers, body, body_type, params, timeout_ms, max_response_bytes, fail_on_error_status}
+     * @param {Object} context - Handler context {signal}
+     * @returns {Promise<Object>} {status_code, status_text, url, headers, body, body_type}
+     * @throws {ExternalApiError} On network errors, timeouts and error statuses
+     * @throws {NonRetryableError} When the request is invalid or the response is too large
+     * @throws {DeferredError} While the guard holds the call back
+     * @author Vibe Team
+     */
+    static request = async (input, context = {}) => {
+        const { url, options } = HttpService.buildRequest(input, context.signal);
+        const timeout_ms = input.timeout_ms || HTTP_TIMEOUT_MS;
+
+        return await GuardService.run(`http:${url.host}`, async () => {
+            let response;
+
+            try{
+                response = await HttpService.send(url, options, HTTP_ALLOW_PRIVATE_HOSTS);
+            }
+            catch(error){
+                // Aborted by the action timeout rather than this request's own timeout
+                if(context.signal?.aborted){
+                    throw context.signal.reason;
+                }
+
+                if(error instanceof NonRetryableError){
+                    throw error;
+                }
+
+                throw new ExternalApiError(error.name === 'TimeoutError'
+                    ? `HTTP request timed out after ${timeout_ms}ms`
+                    : `HTTP request failed: ${error.cause?.message || error.message}`);
+            }
+
+            if(response.status >= 400 && input.fail_on_error_status !== false){
+                await response.body?.cancel().catch(() => {});
+                throw new ExternalApiError(`HTTP ${response.status} ${response.statusText} from ${options.method} ${url.origin}${url.pathname}`, response.status);
+            }
+
+            const buffer = await HttpService.readBody(response, input.max_response_bytes || HTTP_MAX_RESPONSE_BYTES);
+
+            return {
+                status_code: response.status,
+                status_text: response.statusText,
+                url: url.toString(),
+                headers: Object.fromEntries(response.headers),
+                ...HttpService.parseBody(buffer, response.headers.get('content-type'))
+            };
+        });
+    };
+}
+
+// Keep-alive connections are per dispatcher, so each reuses only connections its own lookup checked
+const DISPATCHERS = {
+    public: new undici.Agent({ connect: { lookup: HttpService.createLookup(false) } }),
+    private: new undici.Agent({ connect: { lookup: HttpService.createLookup(true) } })
+};
+
+module.exports = HttpService;
@@ -0,0 +1,289 @@
+/**
+ * Logger Service
+ * Structured JSON logging with request context (Lambda request id, SQS message id, tenant,
+ * execution) carried through every layer of an invocation
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_LEVEL = LOG_LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] ? process.env.LOG_LEVEL.toLowerCase() : 'info';
+// LogModel records use "warning"
+const LEVEL_ALIASES = { warning: 'warn' };
+const SENSITIVE_FIELD_PATTERN = /(^|[-_])(authorization|cookie|password|passwd|secret|token|api[-_]?key|signature|credentials?|key[-_]hash)$/i;
+const LOG_REDACT_FIELDS = (process.env.LOG_REDACT_FIELDS || '').split(',').map(field => field.trim().toLowerCase()).filter(Boolean);
+const REDACTED = '[REDACTED]';
+const MAX_REDACT_DEPTH = 10;
+// Context fields copied into LogModel metadata (tenant and execution are already on the record)
+const CORRELATION_FIELDS = ['aws_request_id', 'api_request_id', 'sqs_message_id', 'schedule_id', 'trigger_id'];
+
+const context_storage = new AsyncLocalStorage();
+
+class LoggerService {
+    static LOG_LEVEL = LOG_LEVEL;
+
+    /**
+     * DOCU: Run a function with log context; fields are merged over the current context and
+     * apply to every log line written while it runs (including awaited calls) <br>
+     * Triggered: exports.handler(), handleSQSEvent(), SchedulerController, TriggerController <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf LoggerService
+     * @param {Object} context - Context fields (e.g. {sqs_message_id, execution_id})
+     * @param {Function} callback - Function to run
+     * @returns {*} The callback's return value
+     * @author Vibe Team
+     */
+    static runWithContext(context, callback){
+        return context_storage.run({ ...LoggerService.getContext(), ...LoggerService.compact(context) }, callback);
+    }
+
+    /**
+     * DOCU: Add fields to the current context once they are known (e.g. the tenant after authentication) <br>
+     * Outside runWithContext() this does nothing. <br>
+     * Triggered: routeRequest(), ConsumerController.processMessage() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf LoggerService
+     * @param {Object} fields - Context fields
+     * @returns {void}
+     * @author Vibe Team
+     */
+    static addContext(fields){
+        const context = context_storage.getStore();
+
+        if(context){
+            Object.assign(context, LoggerService.compact(fields));
+        }
+    }
+
+    /**
+     * DOCU: Get a copy of the current log context <br>
+     * Triggered: LoggerService.runWithContext(), LoggerService.log() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf LoggerService
+     * @returns {Object} Context fields
+     * @author Vibe Team
+     */
+    static getContext(){
+        return { ...context_storage.getStore() };
+    }
+
+    /**
+     * DOCU: Get the request correlation fields of the current context <br>
+     * Triggered: LogModel.buildLogEntry() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf LoggerService
+     * @returns {Object} Correlation fields that are set (e.g. {aws_request_id, sqs_message_id})
+     * @author Vibe Team
+     */
+    static getCorrelation(){
+        const context = LoggerService.getContext();
+        const correlation = {};
+
+        for(const field of CORRELATION_FIELDS){
+            if(context[field] !== undefined){
+                correlation[field] = context[field];
+            }
+        }
+
+        return correlation;
+    }
+
+    /**
+     * DOCU: Drop undefined and null fields <br>
+     * Triggered: LoggerService.runWithContext(), LoggerService.addContext() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf LoggerService
+     * @param {Object} fields - Fields
+     * @returns {Object} Fields with a value
+     * @author Vibe Team
+     */
+    static compact(fields = {}){
+        return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== null));
+    }
+
+    /**
+     * DOCU: Check whether a field name holds a secret (authorization headers, API keys, tokens,
+     * passwords, signatures, or a name listed in LOG_REDACT_FIELDS) <br>
+     * Triggered: LoggerService.redact() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf LoggerService
+     * @param {string} field - Field name
+     * @returns {boolean} True if the value must not be logged
+     * @author Vibe Team
+     */
+    static isSensitiveField(field){
+        return SENSITIVE_FIELD_PATTERN.test(field) || LOG_REDACT_FIELDS.includes(field.toLowerCase());
+    }
+
+    /**
+     * DOCU: Copy a value with sensitive fields replaced by [REDACTED] and errors converted to plain objects <br>
+     * Triggered: LoggerService.log(), LogModel.buildLogEntry() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf LoggerService
+     * @param {*} value - Value to copy
+     * @param {number} depth - Current nesting depth
+     * @param {WeakSet} ancestors - Objects on the path to this value (guards against cycles; shared references are copied)
+     * @returns {*} Redacted copy
+     * @author Vibe Team
+     */
+    static redact(value, depth = 0, ancestors = new WeakSet()){
+        if(value instanceof Error){
+            return LoggerService.serializeError(value);
+        }
+
+        if(!value || typeof value !== 'object' || value instanceof Date){
+            return value;
+        }
+
+        if(ancestors.has(value) || depth >= MAX_REDACT_DEPTH){
+            return '[Truncated]';
+        }
+
+        ancestors.add(value);
+
+        try{
+            if(Array.isArray(value)){
+                return value.map(item => LoggerService.redact(item, depth + 1, ancestors));
+            }
+
+            const copy = {};
+
+            for(const field in value){
+                copy[field] = LoggerService.isSensitiveField(field) && value[field] !== null && value[field] !== undefined
+                    ? REDACTED
+                    : LoggerService.redact(value[field], depth + 1, ancestors);
+            }
+
+            return copy;
+        }
+        finally{
+            ancestors.delete(value);
+        }
+    }
+
+    /**
+     * DOCU: Convert an error to a loggable object <br>
+     * Triggered: LoggerService.redact() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf LoggerService
+     * @param {Error} error - Error
+     * @returns {Object} {name, message, status_code, retryable, stack}
+     * @author Vibe Team
+     */
+    static serializeError(error){
+        return LoggerService.compact({
+            name: error.name,
+            message: error.message,
+            status_code: error.status_code,
+            retryable: error.retryable,
+            stack: error.stack
+        });
+    }
+
+    /**
+     * DOCU: Write one JSON log line with the current context, skipping levels below LOG_LEVEL <br>
+     * Triggered: LoggerService.debug(), LoggerService.info(), LoggerService.warn(), LoggerService.error(), LogModel.writeLog() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf LoggerService
+     * @param {string} level - debug|info|warn|error (warning is accepted for warn)
+     * @param {string} message - Log message
+     * @param {Object} fields - Extra fields (an error field is serialized with its stack)
+     * @returns {void}
+     * @author Vibe Team
+     */
+    static log(level, message, fields = {}){
+        const log_level = LEVEL_ALIASES[level] || level;
+
+        if((LOG_LEVELS[log_level] || LOG_LEVELS.info) < LOG_LEVELS[LOG_LEVEL]){
+            return;
+        }
+
+        const line = JSON.stringify({
+            timestamp: new Date().toISOString(),
+            level: log_level,
+            message: message,
+            ...LoggerService.redact({ ...LoggerService.getContext(), ...fields })
+        });
+
+        if(log_level === 'error'){
+            console.error(line);
+        }
+        else if(log_level === 'warn'){
+            console.warn(line);
+        }
+        else{
+            console.log(line);
+        }
+    }
+
+    /**
+     * DOCU: Write a debug log line <br>
+     * Triggered: Handler, controllers and services <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf LoggerService
+     * @param {string} message - Log message
+     * @param {Object} fields - Extra fields
+     * @returns {void}
+     * @author Vibe Team
+     */
+    static debug(message, fields){
+        LoggerService.log('debug', message, fields);
+    }
+
+    /**
+     * DOCU: Write an info log line <br>
+     * Triggered: Handler, controllers and services <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf LoggerService
+     * @param {string} message - Log message
+     * @param {Object} fields - Extra fields
+     * @returns {void}
+     * @author Vibe Team
+     */
+    static info(message, fields){
+        LoggerService.log('info', message, fields);
+    }
+
+    /**
+     * DOCU: Write a warn log line <br>
+     * Triggered: Handler, controllers and services <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf LoggerService
+     * @param {string} message - Log message
+     * @param {Object} fields - Extra fields
+     * @returns {void}
+     * @author Vibe Team
+     */
+    static warn(message, fields){
+        LoggerService.log('warn', message, fields);
+    }
+
+    /**
+     * DOCU: Write an error log line <br>
+     * Triggered: Handler, controllers and services <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf LoggerService
+     * @param {string} message - Log message
+     * @param {Object} fields - Extra fields
+     * @returns {void}
+     * @author Vibe Team
+     */
+    static error(message, fields){
+        LoggerService.log('error', message, fields);
+    }
+}
+
+module.exports = LoggerService;
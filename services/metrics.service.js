@@ -0,0 +1,145 @@
+/**
+ * Metrics Service
+ * Emits operational metrics in CloudWatch Embedded Metric Format (EMF): one JSON log line per
+ * event that CloudWatch Logs turns into metrics, without any PutMetricData calls
+ */
+
+const LoggerService = require('./logger.service');
+
+const METRICS_NAMESPACE = process.env.METRICS_NAMESPACE || 'SqsUnifiedHandler';
+const METRICS_ENABLED = process.env.METRICS_ENABLED !== 'false';
+const UNITS = { ms: 'Milliseconds', count: 'Count' };
+
+class MetricsService {
+    /**
+     * DOCU: Write one EMF record <br>
+     * Each dimension set becomes its own metric series (e.g. [['Action', 'Outcome'], ['Action']]
+     * gives per-outcome and per-action totals). Properties are searchable in Logs Insights but
+     * are not dimensions; the log context (request ids, tenant, execution) is added to them. <br>
+     * Triggered: MetricsService.recordProcessing(), MetricsService.recordSubmission(),
+     * MetricsService.recordReplay(), MetricsService.recordExternalCall() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MetricsService
+     * @param {Object} dimensions - Dimension values (e.g. {Action: 'get-pokemon', Outcome: 'succeeded'})
+     * @param {Array<Array<string>>} dimension_sets - Dimension name sets to publish
+     * @param {Object} metrics - Metric values {name: {value, unit: ms|count}}; null values are skipped
+     * @param {Object} properties - Extra non-dimension fields
+     * @returns {void}
+     * @author Vibe Team
+     */
+    static emit(dimensions, dimension_sets, metrics, properties = {}){
+        if(!METRICS_ENABLED){
+            return;
+        }
+
+        const metric_definitions = [];
+        const metric_values = {};
+
+        for(const name in metrics){
+            const { value, unit } = metrics[name];
+
+            if(!Number.isFinite(value)){
+                continue;
+            }
+
+            metric_definitions.push({ Name: name, Unit: UNITS[unit] || 'None' });
+            metric_values[name] = value;
+        }
+
+        if(!metric_definitions.length){
+            return;
+        }
+
+        console.log(JSON.stringify({
+            _aws: {
+                Timestamp: Date.now(),
+                CloudWatchMetrics: [{
+                    Namespace: METRICS_NAMESPACE,
+                    Dimensions: dimension_sets,
+                    Metrics: metric_definitions
+                }]
+            },
+            ...LoggerService.getContext(),
+            ...properties,
+            ...dimensions,
+            ...metric_values
+        }));
+    }
+
+    /**
+     * DOCU: Record one processing attempt of a queued execution <br>
+     * Outcomes: succeeded, failed (terminal), timed_out (the attempt hit its timeout, retried or not),
+     * retried, deferred, skipped (not picked up: cancelled, finished or leased by another worker) and
+     * lease_lost (result discarded after the lease expired). <br>
+     * Triggered: ConsumerController.processMessage(), ConsumerController.handleProcessingError() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MetricsService
+     * @param {Object} details - {action, outcome, duration_ms, retry_count, queue_lag_ms}
+     * @returns {void}
+     * @author Vibe Team
+     */
+    static recordProcessing({ action, outcome, duration_ms, retry_count, queue_lag_ms }){
+        MetricsService.emit({ Action: action, Outcome: outcome }, [['Action', 'Outcome'], ['Action']], {
+            ProcessingCount: { value: 1, unit: 'count' },
+            ProcessingDuration: { value: duration_ms, unit: 'ms' },
+            RetryCount: { value: retry_count, unit: 'count' },
+            QueueLag: { value: queue_lag_ms, unit: 'ms' }
+        });
+    }
+
+    /**
+     * DOCU: Record executions submitted by the producer <br>
+     * Outcomes: queued, scheduled and idempotent_replay (a repeated idempotency key). <br>
+     * Triggered: ProducerController.createAndQueueExecution(), ProducerController.recordBatchMetrics() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MetricsService
+     * @param {Object} details - {action, outcome, count, duration_ms}
+     * @returns {void}
+     * @author Vibe Team
+     */
+    static recordSubmission({ action, outcome, count = 1, duration_ms = null }){
+        MetricsService.emit({ Action: action, Outcome: outcome }, [['Action', 'Outcome'], ['Action']], {
+            SubmissionCount: { value: count, unit: 'count' },
+            SubmissionDuration: { value: duration_ms, unit: 'ms' }
+        });
+    }
+
+    /**
+     * DOCU: Record one execution replay <br>
+     * Outcomes: replayed, rejected (not found, cancelled or invalid input) and failed (an error). <br>
+     * Triggered: ReplayController.replayExecution() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MetricsService
+     * @param {Object} details - {action, outcome}
+     * @returns {void}
+     * @author Vibe Team
+     */
+    static recordReplay({ action, outcome }){
+        MetricsService.emit({ Action: action || 'unknown', Outcome: outcome }, [['Action', 'Outcome'], ['Action']], {
+            ReplayCount: { value: 1, unit: 'count' }
+        });
+    }
+
+    /**
+     * DOCU: Record one outbound call to an external service <br>
+     * Triggered: GuardService.run() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf MetricsService
+     * @param {Object} details - {service, outcome: success|error, duration_ms, status_code}
+     * @returns {void}
+     * @author Vibe Team
+     */
+    static recordExternalCall({ service, outcome, duration_ms, status_code = null }){
+        MetricsService.emit({ Service: service, Outcome: outcome }, [['Service', 'Outcome'], ['Service']], {
+            ExternalApiCallCount: { value: 1, unit: 'count' },
+            ExternalApiLatency: { value: duration_ms, unit: 'ms' }
+        }, { status_code });
+    }
+}
+
+module.exports = MetricsService;
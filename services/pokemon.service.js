@@ -1,104 +1,201 @@
 /**
  * Pokemon Service
- * Handles external Pokemon API calls
+ * Handles external Pokemon API calls and the default shape of their results
  */
 
-const POKEMON_API_BASE = 'https://pokeapi.co/api/v2';
+const { ExternalApiError } = require('./errors');
+const GuardService = require('./guard.service');
+
+const POKEMON_API_BASE = process.env.POKEMON_API_BASE || 'https://pokeapi.co/api/v2';
+const POKEMON_API_TIMEOUT_MS = parseInt(process.env.POKEMON_API_TIMEOUT_MS || '10000', 10);
+const GUARD_SERVICE_NAME = 'pokeapi';
 
 class PokemonService {
     /**
-     * DOCU: Get Pokemon details from PokeAPI <br>
-     * Triggered: ConsumerController.processMessage() <br>
-     * Last Updated Date: November 30, 2025
+     * DOCU: GET a PokeAPI path through the outbound guard (rate limit and circuit breaker) <br>
+     * Each call is aborted after POKEMON_API_TIMEOUT_MS, or earlier when the caller's signal aborts. <br>
+     * Triggered: PokemonService.getPokemon(), PokemonService.getPokemonAbility(), PokemonService.listPokemon(),
+     * PokemonService.listNewestPokemon() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf PokemonService
+     * @param {string} path - API path (e.g. /pokemon/pikachu)
+     * @param {Object} context - Handler context {signal}
+     * @returns {Promise<Object>} Parsed JSON response
+     * @throws {ExternalApiError} On non-2xx responses and timeouts
+     * @throws {DeferredError} While the guard holds the call back
+     * @author Vibe Team
+     */
+    static request = async (path, context = {}) => {
+        return await GuardService.run(GUARD_SERVICE_NAME, async () => {
+            const timeout_signal = AbortSignal.timeout(POKEMON_API_TIMEOUT_MS);
+            let response;
+
+            try{
+                response = await fetch(`${POKEMON_API_BASE}${path}`, {
+                    signal: context.signal ? AbortSignal.any([timeout_signal, context.signal]) : timeout_signal
+                });
+            }
+            catch(error){
+                // Aborted by the action timeout rather than this call's own timeout
+                if(context.signal?.aborted){
+                    throw context.signal.reason;
+                }
+
+                if(error.name === 'TimeoutError'){
+                    throw new ExternalApiError(`Pokemon API request timed out after ${POKEMON_API_TIMEOUT_MS}ms`);
+                }
+
+                throw error;
+            }
+
+            if(!response.ok){
+                throw new ExternalApiError(`Pokemon API error: ${response.status} ${response.statusText}`, response.status);
+            }
+
+            return await response.json();
+        });
+    };
+
+    /**
+     * DOCU: Get raw Pokemon details from PokeAPI <br>
+     * Triggered: CacheService.execute() for the get-pokemon action <br>
+     * Last Updated Date: October 19, 2026
      * @async
      * @function
      * @memberOf PokemonService
      * @param {string} pokemon_name - Pokemon name
-     * @returns {Promise<Object>} Pokemon data
+     * @param {Object} context - Handler context {signal}
+     * @returns {Promise<Object>} PokeAPI /pokemon response
      * @author Vibe Team
      */
-    static getPokemon = async (pokemon_name) => {
-        const response = await fetch(`${POKEMON_API_BASE}/pokemon/${pokemon_name.toLowerCase()}`);
-        
-        if(!response.ok){
-            throw new Error(`Pokemon API error: ${response.status} ${response.statusText}`);
-        }
-    
-    const data = await response.json();
-    
-    return {
-        name: data.name,
-        id: data.id,
-        height: data.height,
-        weight: data.weight,
-        types: data.types.map(t => t.type.name),
-        abilities: data.abilities.map(a => a.ability.name),
-        stats: data.stats.map(s => ({
-            name: s.stat.name,
-            value: s.base_stat
-        }))
+    static getPokemon = async (pokemon_name, context = {}) => {
+        return await PokemonService.request(`/pokemon/${pokemon_name.toLowerCase()}`, context);
     };
-};
 
     /**
-     * DOCU: Get Pokemon ability details from PokeAPI <br>
-     * Triggered: ConsumerController.processMessage() <br>
-     * Last Updated Date: November 30, 2025
+     * DOCU: Default get-pokemon result, used when the request has no output spec <br>
+     * Triggered: ConnectorRegistry.formatOutput() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf PokemonService
+     * @param {Object} data - PokeAPI /pokemon response
+     * @returns {Object} Pokemon data
+     * @author Vibe Team
+     */
+    static formatPokemon(data){
+        return {
+            name: data.name,
+            id: data.id,
+            height: data.height,
+            weight: data.weight,
+            types: data.types.map(t => t.type.name),
+            abilities: data.abilities.map(a => a.ability.name),
+            stats: data.stats.map(s => ({
+                name: s.stat.name,
+                value: s.base_stat
+            }))
+        };
+    }
+
+    /**
+     * DOCU: Get raw Pokemon ability details from PokeAPI <br>
+     * Triggered: CacheService.execute() for the get-ability action <br>
+     * Last Updated Date: October 19, 2026
      * @async
      * @function
      * @memberOf PokemonService
      * @param {string} ability_name - Ability name
-     * @returns {Promise<Object>} Ability data
+     * @param {Object} context - Handler context {signal}
+     * @returns {Promise<Object>} PokeAPI /ability response
      * @author Vibe Team
      */
-    static getPokemonAbility = async (ability_name) => {
-        const response = await fetch(`${POKEMON_API_BASE}/ability/${ability_name.toLowerCase()}`);
-        
-        if(!response.ok){
-            throw new Error(`Pokemon API error: ${response.status} ${response.statusText}`);
-        }
-    
-    const data = await response.json();
-    
-    return {
-        name: data.name,
-        id: data.id,
-        effect: data.effect_entries.find(e => e.language.name === 'en')?.effect || 'No effect description',
-        pokemon: data.pokemon.slice(0, 10).map(p => p.pokemon.name)
-        };
+    static getPokemonAbility = async (ability_name, context = {}) => {
+        return await PokemonService.request(`/ability/${ability_name.toLowerCase()}`, context);
     };
 
+    /**
+     * DOCU: Default get-ability result (English effect and the first 10 Pokemon), used when the request has no output spec <br>
+     * Triggered: ConnectorRegistry.formatOutput() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf PokemonService
+     * @param {Object} data - PokeAPI /ability response
+     * @returns {Object} Ability data
+     * @author Vibe Team
+     */
+    static formatPokemonAbility(data){
+        return {
+            name: data.name,
+            id: data.id,
+            effect: data.effect_entries.find(e => e.language.name === 'en')?.effect || 'No effect description',
+            pokemon: data.pokemon.slice(0, 10).map(p => p.pokemon.name)
+        };
+    }
+
     /**
      * DOCU: List Pokemon with pagination from PokeAPI <br>
-     * Triggered: ConsumerController.processMessage() <br>
-     * Last Updated Date: November 30, 2025
+     * Triggered: CacheService.execute() for the list-pokemon action <br>
+     * Last Updated Date: October 19, 2026
      * @async
      * @function
      * @memberOf PokemonService
      * @param {number} limit - Number of results (default 20, max 100)
      * @param {number} offset - Pagination offset (default 0)
-     * @returns {Promise<Object>} List of Pokemon
+     * @param {Object} context - Handler context {signal}
+     * @returns {Promise<Object>} PokeAPI /pokemon list response
      * @author Vibe Team
      */
-    static listPokemon = async (limit = 20, offset = 0) => {
+    static listPokemon = async (limit = 20, offset = 0, context = {}) => {
         const safe_limit = Math.min(Math.max(1, limit), 100);
         const safe_offset = Math.max(0, offset);
-        
-        const response = await fetch(`${POKEMON_API_BASE}/pokemon?limit=${safe_limit}&offset=${safe_offset}`);
-        
-        if(!response.ok){
-            throw new Error(`Pokemon API error: ${response.status} ${response.statusText}`);
-        }
-        
-        const data = await response.json();
-        
+
+        return await PokemonService.request(`/pokemon?limit=${safe_limit}&offset=${safe_offset}`, context);
+    };
+
+    /**
+     * DOCU: List the Pokemon at the end of the PokeAPI listing, where newly added ones appear <br>
+     * The listing's count is read first so the last page can be requested. <br>
+     * Triggered: TriggerController.pollTrigger() for the new-pokemon trigger <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf PokemonService
+     * @param {number} page_size - Number of Pokemon to return (default 20, max 100)
+     * @returns {Promise<Array<Object>>} Pokemon {id, name, url}, oldest first
+     * @author Vibe Team
+     */
+    static listNewestPokemon = async (page_size = 20) => {
+        const safe_page_size = Math.min(Math.max(1, page_size), 100);
+        const { count } = await PokemonService.listPokemon(1, 0);
+        const data = await PokemonService.listPokemon(safe_page_size, Math.max(0, count - safe_page_size));
+
+        return data.results.map(pokemon => ({
+            id: Number(pokemon.url.match(/\/(\d+)\/?$/)?.[1]) || null,
+            name: pokemon.name,
+            url: pokemon.url
+        }));
+    };
+
+    /**
+     * DOCU: Default list-pokemon result, used when the request has no output spec <br>
+     * Triggered: ConnectorRegistry.formatOutput() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf PokemonService
+     * @param {Object} data - PokeAPI /pokemon list response
+     * @returns {Object} List of Pokemon
+     * @author Vibe Team
+     */
+    static formatPokemonList(data){
         return {
             count: data.count,
             next: data.next,
             previous: data.previous,
             results: data.results
         };
-    };
+    }
 }
 
 module.exports = PokemonService;
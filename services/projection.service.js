@@ -0,0 +1,358 @@
+/**
+ * Projection Service
+ * Reshapes raw action responses with a producer-supplied output spec (field selection,
+ * renaming, flattening and simple computed fields)
+ */
+
+const SchemaService = require('./schema.service');
+const TemplateService = require('./template.service');
+
+const OPERATIONS = ['count', 'sum', 'min', 'max', 'avg', 'first', 'last', 'join', 'unique', 'lowercase', 'uppercase'];
+const MAX_OUTPUT_FIELDS = 50;
+const MAX_SPEC_DEPTH = 3;
+const OUTPUT_FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+const PATH_TOKEN_PATTERN = /([^.[\]]+)|\[(\*|-?\d+|-?\d*:-?\d*)\]|(\.)/gy;
+
+const EXPRESSION_SCHEMA = {
+    type: ['string', 'object'],
+    maxLength: 200,
+    additionalProperties: false,
+    properties: {
+        path: { type: 'string', minLength: 1, maxLength: 200 },
+        fields: { type: 'object' },
+        op: { type: 'string', enum: OPERATIONS },
+        separator: { type: 'string', maxLength: 20 },
+        template: { type: 'string', minLength: 1, maxLength: 1000 },
+        default: {}
+    }
+};
+
+const SPEC_SCHEMA = {
+    type: 'object',
+    minProperties: 1,
+    maxProperties: MAX_OUTPUT_FIELDS,
+    additionalProperties: EXPRESSION_SCHEMA
+};
+
+class ProjectionService {
+    static OPERATIONS = OPERATIONS;
+
+    /**
+     * DOCU: Parse a response path such as sprites.front_default, stats[*].base_stat,
+     * types[0].type.name or pokemon[0:10].pokemon.name <br>
+     * [n] picks one item (negative counts from the end), [*] and [start:end] map the rest
+     * of the path over every selected item. <br>
+     * Triggered: ProjectionService.validateSpec(), ProjectionService.evaluate() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ProjectionService
+     * @param {string} path - Response path
+     * @returns {Array<Object>|null} Path tokens {type: key|index|all|slice}, or null when the path is malformed
+     * @author Vibe Team
+     */
+    static parsePath(path){
+        const tokens = [];
+        let expect_key = false;
+
+        PATH_TOKEN_PATTERN.lastIndex = 0;
+
+        while(PATH_TOKEN_PATTERN.lastIndex < path.length){
+            const match = PATH_TOKEN_PATTERN.exec(path);
+
+            if(!match){
+                return null;
+            }
+
+            const [, key, bracket, dot] = match;
+
+            if(dot){
+                if(expect_key || !tokens.length){
+                    return null;
+                }
+
+                expect_key = true;
+                continue;
+            }
+
+            if(key !== undefined){
+                if(tokens.length && !expect_key){
+                    return null;
+                }
+
+                tokens.push({ type: 'key', key: key });
+            }
+            else if(expect_key){
+                return null;
+            }
+            else if(bracket === '*'){
+                tokens.push({ type: 'all' });
+            }
+            else if(bracket.includes(':')){
+                const [start, end] = bracket.split(':');
+                tokens.push({ type: 'slice', start: start === '' ? undefined : Number(start), end: end === '' ? undefined : Number(end) });
+            }
+            else{
+                tokens.push({ type: 'index', index: Number(bracket) });
+            }
+
+            expect_key = false;
+        }
+
+        return tokens.length && !expect_key ? tokens : null;
+    }
+
+    /**
+     * DOCU: Resolve a response path, mapping the remainder of the path over [*] and slice selections <br>
+     * Triggered: ProjectionService.evaluate() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ProjectionService
+     * @param {*} value - Value to read from
+     * @param {Array<Object>} tokens - Parsed path tokens
+     * @param {number} start - Index of the first token to apply
+     * @returns {*} Resolved value, null when the path does not exist
+     * @author Vibe Team
+     */
+    static resolveTokens(value, tokens, start = 0){
+        for(let index = start; index < tokens.length; index++){
+            const token = tokens[index];
+
+            if(value === undefined || value === null){
+                return null;
+            }
+
+            if(token.type === 'key'){
+                value = typeof value === 'object' && !Array.isArray(value) && Object.prototype.hasOwnProperty.call(value, token.key)
+                    ? value[token.key]
+                    : undefined;
+            }
+            else if(!Array.isArray(value)){
+                return null;
+            }
+            else if(token.type === 'index'){
+                value = value.at(token.index);
+            }
+            else{
+                const items = token.type === 'slice' ? value.slice(token.start, token.end) : value;
+                return items.map(item => ProjectionService.resolveTokens(item, tokens, index + 1));
+            }
+        }
+
+        return value === undefined ? null : value;
+    }
+
+    /**
+     * DOCU: Apply a computed-field operation to a resolved value <br>
+     * Triggered: ProjectionService.evaluate() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ProjectionService
+     * @param {*} value - Resolved value (usually a list)
+     * @param {Object} expression - Expression {op, separator}
+     * @returns {*} Computed value, null when the operation does not apply
+     * @author Vibe Team
+     */
+    static applyOperation(value, expression){
+        const op = expression.op;
+        const list = Array.isArray(value) ? value : (value === null || value === undefined ? [] : [value]);
+        const numbers = list.filter(item => typeof item === 'number' && Number.isFinite(item));
+
+        if(op === 'count'){
+            return typeof value === 'string' ? value.length : list.length;
+        }
+
+        if(['sum', 'min', 'max', 'avg'].includes(op)){
+            if(!numbers.length){
+                return null;
+            }
+
+            const sum = numbers.reduce((total, number) => total + number, 0);
+
+            if(op === 'sum'){
+                return sum;
+            }
+
+            if(op === 'avg'){
+                return sum / numbers.length;
+            }
+
+            return op === 'min' ? Math.min(...numbers) : Math.max(...numbers);
+        }
+
+        if(op === 'first' || op === 'last'){
+            return (op === 'first' ? list[0] : list[list.length - 1]) ?? null;
+        }
+
+        if(op === 'join'){
+            return list
+                .filter(item => item !== null && item !== undefined)
+                .map(item => typeof item === 'object' ? JSON.stringify(item) : String(item))
+                .join(expression.separator ?? ', ');
+        }
+
+        if(op === 'unique'){
+            const seen = new Set();
+
+            return list.filter(item => {
+                const key = typeof item === 'object' ? JSON.stringify(item) : item;
+
+                if(seen.has(key)){
+                    return false;
+                }
+
+                seen.add(key);
+                return true;
+            });
+        }
+
+        // lowercase / uppercase
+        const convert = (item) => typeof item === 'string' ? (op === 'lowercase' ? item.toLowerCase() : item.toUpperCase()) : item;
+        return Array.isArray(value) ? value.map(convert) : convert(value);
+    }
+
+    /**
+     * DOCU: Evaluate one output field expression against the data <br>
+     * A string is a path. An object may set a path, nested fields (applied to each item of a
+     * list), an op computed from the result, or a template rendered against the data,
+     * with a default used when the value is missing. <br>
+     * Triggered: ProjectionService.project() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ProjectionService
+     * @param {*} data - Data to read from
+     * @param {string|Object} expression - Field expression
+     * @returns {*} Field value
+     * @author Vibe Team
+     */
+    static evaluate(data, expression){
+        if(typeof expression === 'string'){
+            return ProjectionService.resolveTokens(data, ProjectionService.parsePath(expression));
+        }
+
+        let value = data;
+
+        if(expression.template !== undefined){
+            try{
+                value = TemplateService.render(expression.template, data);
+            }
+            catch(error){
+                value = null;
+            }
+        }
+        else{
+            if(expression.path !== undefined){
+                value = ProjectionService.resolveTokens(data, ProjectionService.parsePath(expression.path));
+            }
+
+            if(expression.fields){
+                if(Array.isArray(value)){
+                    value = value.map(item => SchemaService.isType('object', item) ? ProjectionService.project(item, expression.fields) : null);
+                }
+                else{
+                    value = SchemaService.isType('object', value) ? ProjectionService.project(value, expression.fields) : null;
+                }
+            }
+
+            if(expression.op){
+                value = ProjectionService.applyOperation(value, expression);
+            }
+        }
+
+        return value === null || value === undefined ? (expression.default ?? null) : value;
+    }
+
+    /**
+     * DOCU: Build an output object from the data, one field per spec entry <br>
+     * Triggered: ConnectorRegistry.formatOutput() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ProjectionService
+     * @param {*} data - Raw action response
+     * @param {Object} spec - Validated output spec {output_field: expression}
+     * @returns {Object} Projected output
+     * @author Vibe Team
+     */
+    static project(data, spec){
+        const output = {};
+
+        for(const field in spec){
+            output[field] = ProjectionService.evaluate(data, spec[field]);
+        }
+
+        return output;
+    }
+
+    /**
+     * DOCU: Validate an output spec, reporting every error with its field path <br>
+     * Triggered: ProducerController.validateAction(), WorkflowController.validateWorkflow() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf ProjectionService
+     * @param {*} spec - Output spec
+     * @param {string} path - Field path of the spec (e.g. output, steps[0].output)
+     * @param {number} depth - Nesting depth of fields specs
+     * @returns {Array<Object>} Field errors {field, message}
+     * @author Vibe Team
+     */
+    static validateSpec(spec, path = 'output', depth = 1){
+        const errors = SchemaService.validate(SPEC_SCHEMA, spec, { path }).errors;
+
+        if(!SchemaService.isType('object', spec)){
+            return errors;
+        }
+
+        for(const name in spec){
+            const expression = spec[name];
+            const field = `${path}.${name}`;
+
+            if(!OUTPUT_FIELD_PATTERN.test(name)){
+                errors.push({ field, message: 'must be a name of up to 64 letters, digits or _ (not starting with a digit)' });
+            }
+
+            if(expression === null || expression === undefined){
+                errors.push({ field, message: 'must be a path or an expression object' });
+                continue;
+            }
+
+            // Wrong types were reported by the schema
+            if(typeof expression !== 'string' && !SchemaService.isType('object', expression)){
+                continue;
+            }
+
+            if(typeof expression === 'string'){
+                if(!ProjectionService.parsePath(expression)){
+                    errors.push({ field, message: `is not a valid path: ${expression}` });
+                }
+                continue;
+            }
+
+            if(expression.template !== undefined && (expression.path !== undefined || expression.fields !== undefined || expression.op !== undefined)){
+                errors.push({ field, message: 'must set either template or path/fields/op, not both' });
+            }
+            else if(expression.template === undefined && expression.path === undefined && expression.fields === undefined){
+                errors.push({ field, message: 'must set path, fields or template' });
+            }
+
+            if(typeof expression.path === 'string' && !ProjectionService.parsePath(expression.path)){
+                errors.push({ field: `${field}.path`, message: `is not a valid path: ${expression.path}` });
+            }
+
+            if(expression.separator !== undefined && expression.op !== 'join'){
+                errors.push({ field: `${field}.separator`, message: 'is only allowed with op join' });
+            }
+
+            if(SchemaService.isType('object', expression.fields)){
+                if(depth >= MAX_SPEC_DEPTH){
+                    errors.push({ field: `${field}.fields`, message: `must not be nested more than ${MAX_SPEC_DEPTH} levels deep` });
+                }
+                else{
+                    errors.push(...ProjectionService.validateSpec(expression.fields, `${field}.fields`, depth + 1));
+                }
+            }
+        }
+
+        return errors;
+    }
+}
+
+module.exports = ProjectionService;
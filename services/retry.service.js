@@ -0,0 +1,71 @@
+/**
+ * Retry Service
+ * Resolves per-action retry policies and computes retry backoff
+ */
+
+const ConnectorRegistry = require('../connectors');
+
+const MAX_VISIBILITY_TIMEOUT_SECONDS = 43200;
+
+const DEFAULT_RETRY_POLICY = {
+    max_attempts: parseInt(process.env.RETRY_MAX_ATTEMPTS || '3', 10),
+    base_delay_seconds: parseInt(process.env.RETRY_BASE_DELAY_SECONDS || '10', 10),
+    max_delay_seconds: parseInt(process.env.RETRY_MAX_DELAY_SECONDS || '300', 10)
+};
+
+class RetryService {
+    /**
+     * DOCU: Get the retry policy for an action (connector metadata.retry_policy over defaults) <br>
+     * Triggered: ConsumerController.handleProcessingError() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf RetryService
+     * @param {string} action_name - Action name
+     * @returns {Object} Retry policy {max_attempts, base_delay_seconds, max_delay_seconds}
+     * @author Vibe Team
+     */
+    static getRetryPolicy(action_name){
+        const action = ConnectorRegistry.getAction(action_name);
+
+        return {
+            ...DEFAULT_RETRY_POLICY,
+            ...(action?.metadata.retry_policy || {})
+        };
+    }
+
+    /**
+     * DOCU: Classify an error as retryable <br>
+     * Errors without a classification (network failures, SDK errors) are retried. <br>
+     * Triggered: ConsumerController.handleProcessingError() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf RetryService
+     * @param {Error} error - Processing error
+     * @returns {boolean} True if a retry may succeed
+     * @author Vibe Team
+     */
+    static isRetryable(error){
+        return typeof error.retryable === 'boolean' ? error.retryable : true;
+    }
+
+    /**
+     * DOCU: Compute exponential backoff with jitter for a retry <br>
+     * Uses "equal jitter": half the exponential delay plus a random half. <br>
+     * Triggered: ConsumerController.handleProcessingError() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf RetryService
+     * @param {number} retry_count - Number of failed attempts so far (1 for the first retry)
+     * @param {Object} policy - Retry policy
+     * @returns {number} Delay in whole seconds
+     * @author Vibe Team
+     */
+    static getBackoffSeconds(retry_count, policy){
+        const exponential_delay = Math.min(policy.max_delay_seconds, policy.base_delay_seconds * Math.pow(2, retry_count - 1));
+        const delay = (exponential_delay / 2) + (Math.random() * exponential_delay / 2);
+
+        return Math.min(Math.ceil(delay), MAX_VISIBILITY_TIMEOUT_SECONDS);
+    }
+}
+
+module.exports = RetryService;
@@ -0,0 +1,296 @@
+/**
+ * Schema Service
+ * Validates request payloads against JSON-Schema-style definitions and reports every error with its field path
+ */
+
+const TemplateService = require('./template.service');
+
+const FORMATS = {
+    'date-time': (value) => !isNaN(new Date(value).getTime()),
+    'http-url': (value) => {
+        try{
+            const url = new URL(value);
+            return url.protocol === 'https:' || url.protocol === 'http:';
+        }
+        catch(error){
+            return false;
+        }
+    }
+};
+
+const FORMAT_DESCRIPTIONS = {
+    'date-time': 'an ISO 8601 date',
+    'http-url': 'an absolute http(s) URL'
+};
+
+class SchemaService {
+    /**
+     * DOCU: Validate a value against a schema <br>
+     * Supported keywords: type (string or array of types), enum, required, properties,
+     * additionalProperties (false rejects unknown fields, a schema validates them), minProperties,
+     * maxProperties, items, minItems, maxItems, minLength,
+     * maxLength, pattern, format (date-time, http-url), minimum and maximum. Null fields count as not
+     * set, and a required field that is null or an empty string as missing. <br>
+     * Triggered: ConnectorRegistry.validateInput(), ProducerController, ConsumerController, ReplayController <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf SchemaService
+     * @param {Object} schema - Schema definition
+     * @param {*} value - Value to validate
+     * @param {Object} options - {coerce: convert query string values to the schema type, allow_templates: skip checks on {{references}}, path: field path prefix}
+     * @returns {Object} {valid: boolean, errors: Array<{field, message}>, value: *} (value is coerced when coerce is set)
+     * @author Vibe Team
+     */
+    static validate(schema, value, options = {}){
+        const errors = [];
+        const validated_value = SchemaService.validateNode(schema, value, options.path || '', errors, options);
+
+        return {
+            valid: errors.length === 0,
+            errors: errors,
+            value: validated_value
+        };
+    }
+
+    /**
+     * DOCU: Validate one node of a value, collecting errors <br>
+     * Triggered: SchemaService.validate() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf SchemaService
+     * @param {Object} schema - Schema of this node
+     * @param {*} value - Node value
+     * @param {string} path - Field path of this node (e.g. steps[0].pokemon)
+     * @param {Array<Object>} errors - Collected errors
+     * @param {Object} options - Options from validate()
+     * @returns {*} Node value, coerced when options.coerce is set
+     * @author Vibe Team
+     */
+    static validateNode(schema, value, path, errors, options){
+        const field = path || 'body';
+
+        if(options.allow_templates && TemplateService.isTemplate(value)){
+            return value;
+        }
+
+        const types = schema.type ? [].concat(schema.type) : [];
+
+        if(options.coerce){
+            value = SchemaService.coerce(types, value);
+        }
+
+        if(types.length && !types.some(type => SchemaService.isType(type, value))){
+            errors.push({ field, message: `must be ${types.map(type => SchemaService.describeType(type)).join(' or ')}` });
+            return value;
+        }
+
+        if(schema.enum && !schema.enum.includes(value)){
+            errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+            return value;
+        }
+
+        if(typeof value === 'string'){
+            if(schema.minLength !== undefined && value.length < schema.minLength){
+                errors.push({ field, message: `must be at least ${schema.minLength} characters` });
+            }
+
+            if(schema.maxLength !== undefined && value.length > schema.maxLength){
+                errors.push({ field, message: `must be at most ${schema.maxLength} characters` });
+            }
+
+            if(schema.pattern && !new RegExp(schema.pattern).test(value)){
+                errors.push({ field, message: schema.pattern_description ? `must be ${schema.pattern_description}` : `must match pattern ${schema.pattern}` });
+            }
+
+            if(schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)){
+                errors.push({ field, message: `must be ${FORMAT_DESCRIPTIONS[schema.format]}` });
+            }
+        }
+
+        if(typeof value === 'number'){
+            if(schema.minimum !== undefined && value < schema.minimum){
+                errors.push({ field, message: `must be >= ${schema.minimum}` });
+            }
+
+            if(schema.maximum !== undefined && value > schema.maximum){
+                errors.push({ field, message: `must be <= ${schema.maximum}` });
+            }
+        }
+
+        if(Array.isArray(value)){
+            if(schema.minItems !== undefined && value.length < schema.minItems){
+                errors.push({ field, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+            }
+
+            if(schema.maxItems !== undefined && value.length > schema.maxItems){
+                errors.push({ field, message: `must have at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}` });
+            }
+
+            if(schema.items){
+                value = value.map((item, index) => SchemaService.validateNode(schema.items, item, `${path}[${index}]`, errors, options));
+            }
+        }
+
+        if(SchemaService.isType('object', value)){
+            const property_count = Object.keys(value).length;
+
+            if(schema.minProperties !== undefined && property_count < schema.minProperties){
+                errors.push({ field, message: `must have at least ${schema.minProperties} field${schema.minProperties === 1 ? '' : 's'}` });
+            }
+
+            if(schema.maxProperties !== undefined && property_count > schema.maxProperties){
+                errors.push({ field, message: `must have at most ${schema.maxProperties} field${schema.maxProperties === 1 ? '' : 's'}` });
+            }
+        }
+
+        if(SchemaService.isType('object', value) && (schema.properties || schema.required || typeof schema.additionalProperties === 'object')){
+            value = SchemaService.validateObject(schema, value, path, errors, options);
+        }
+
+        return value;
+    }
+
+    /**
+     * DOCU: Validate an object's required, declared and unknown fields <br>
+     * Triggered: SchemaService.validateNode() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf SchemaService
+     * @param {Object} schema - Object schema
+     * @param {Object} value - Object value
+     * @param {string} path - Field path of the object
+     * @param {Array<Object>} errors - Collected errors
+     * @param {Object} options - Options from validate()
+     * @returns {Object} Object with validated (and coerced) field values
+     * @author Vibe Team
+     */
+    static validateObject(schema, value, path, errors, options){
+        const properties = schema.properties || {};
+        const validated = { ...value };
+        const prefix = path ? `${path}.` : '';
+
+        for(const required_field of schema.required || []){
+            if(value[required_field] === undefined || value[required_field] === null || value[required_field] === ''){
+                errors.push({ field: `${prefix}${required_field}`, message: 'is required' });
+            }
+        }
+
+        for(const name in value){
+            // Null means "not set"; missing required fields are reported above
+            if(value[name] === undefined || value[name] === null || (value[name] === '' && (schema.required || []).includes(name))){
+                continue;
+            }
+
+            if(properties[name]){
+                validated[name] = SchemaService.validateNode(properties[name], value[name], `${prefix}${name}`, errors, options);
+            }
+            else if(schema.additionalProperties === false){
+                errors.push({ field: `${prefix}${name}`, message: 'is not allowed' });
+            }
+            else if(typeof schema.additionalProperties === 'object'){
+                validated[name] = SchemaService.validateNode(schema.additionalProperties, value[name], `${prefix}${name}`, errors, options);
+            }
+        }
+
+        return validated;
+    }
+
+    /**
+     * DOCU: Check a value against a single schema type <br>
+     * Triggered: SchemaService.validateNode() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf SchemaService
+     * @param {string} type - string|integer|number|boolean|object|array|null
+     * @param {*} value - Value to check
+     * @returns {boolean} True if the value has the type
+     * @author Vibe Team
+     */
+    static isType(type, value){
+        if(type === 'integer'){
+            return Number.isInteger(value);
+        }
+
+        if(type === 'number'){
+            return typeof value === 'number' && Number.isFinite(value);
+        }
+
+        if(type === 'object'){
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        }
+
+        if(type === 'array'){
+            return Array.isArray(value);
+        }
+
+        if(type === 'null'){
+            return value === null;
+        }
+
+        return typeof value === type;
+    }
+
+    /**
+     * DOCU: Describe a schema type for error messages <br>
+     * Triggered: SchemaService.validateNode() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf SchemaService
+     * @param {string} type - Schema type
+     * @returns {string} Description, e.g. "an integer"
+     * @author Vibe Team
+     */
+    static describeType(type){
+        return ['integer', 'object', 'array'].includes(type) ? `an ${type}` : `a ${type}`;
+    }
+
+    /**
+     * DOCU: Convert a query string value to the first schema type it can represent <br>
+     * Triggered: SchemaService.validateNode() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf SchemaService
+     * @param {Array<string>} types - Schema types of the field
+     * @param {*} value - Raw value
+     * @returns {*} Coerced value, or the raw value when no conversion applies
+     * @author Vibe Team
+     */
+    static coerce(types, value){
+        if(typeof value !== 'string' || types.includes('string')){
+            return value;
+        }
+
+        for(const type of types){
+            if((type === 'integer' || type === 'number') && value.trim() !== '' && !isNaN(Number(value))){
+                return Number(value);
+            }
+
+            if(type === 'boolean' && (value === 'true' || value === 'false')){
+                return value === 'true';
+            }
+
+            // Lists are sent as comma-separated values
+            if(type === 'array'){
+                return value.split(',').map(item => item.trim()).filter(item => item);
+            }
+        }
+
+        return value;
+    }
+
+    /**
+     * DOCU: Summarize field errors in one message for the response error string <br>
+     * Triggered: ConnectorRegistry.validateInput(), ProducerController, ConsumerController, ReplayController <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf SchemaService
+     * @param {Array<Object>} errors - Field errors {field, message}
+     * @returns {string} Message such as "Validation failed: pokemon is required; limit must be <= 100"
+     * @author Vibe Team
+     */
+    static formatErrors(errors){
+        return `Validation failed: ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`;
+    }
+}
+
+module.exports = SchemaService;
@@ -0,0 +1,113 @@
+/**
+ * Template Service
+ * Resolves {{path}} references against a context object
+ */
+
+const TEMPLATE_PATTERN = /\{\{\s*([^}]+?)\s*\}\}/g;
+const FULL_TEMPLATE_PATTERN = /^\{\{\s*([^}]+?)\s*\}\}$/;
+const HAS_TEMPLATE_PATTERN = /\{\{\s*([^}]+?)\s*\}\}/;
+
+class TemplateService {
+    /**
+     * DOCU: Resolve a dot/bracket path (e.g. steps.0.results[0].name) in a context object <br>
+     * Only own properties (and in-range indexes of arrays) resolve, so names such as constructor,
+     * __proto__ or toString fail as unknown paths instead of reaching prototype members. <br>
+     * Triggered: TemplateService.render() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf TemplateService
+     * @param {Object} context - Values available to templates
+     * @param {string} path - Reference path
+     * @returns {*} Resolved value
+     * @throws {Error} When the path does not exist in the context
+     * @author Vibe Team
+     */
+    static resolvePath(context, path){
+        const segments = path.replace(/\[(\d+)\]/g, '.$1').split('.').filter(segment => segment !== '');
+        let value = context;
+
+        for(const key in segments){
+            const segment = segments[key];
+
+            const is_found = Array.isArray(value)
+                ? /^(0|[1-9]\d*)$/.test(segment) && Number(segment) < value.length
+                : value !== null && value !== undefined && Object.prototype.hasOwnProperty.call(value, segment);
+
+            if(!is_found){
+                throw new Error(`Template reference not found: ${path}`);
+            }
+
+            value = value[segment];
+        }
+
+        return value;
+    }
+
+    /**
+     * DOCU: Check whether a value is a string containing a {{reference}} <br>
+     * Triggered: SchemaService.validate() for workflow step inputs <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf TemplateService
+     * @param {*} value - Value to check
+     * @returns {boolean} True if the value is only known once the template is rendered
+     * @author Vibe Team
+     */
+    static isTemplate(value){
+        return typeof value === 'string' && HAS_TEMPLATE_PATTERN.test(value);
+    }
+
+    /**
+     * DOCU: Render templates inside strings, arrays and objects <br>
+     * A string that is exactly one {{reference}} keeps the referenced value's type;
+     * references embedded in longer strings are interpolated as text. With options.roots only
+     * references starting with one of those names are rendered; others are kept for a later render. <br>
+     * Triggered: WorkflowController.runWorkflow(), TriggerController.pollTrigger() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf TemplateService
+     * @param {*} value - Value containing templates
+     * @param {Object} context - Values available to templates
+     * @param {Object} options - {roots: Array<string> of reference roots to render}
+     * @returns {*} Rendered value
+     * @author Vibe Team
+     */
+    static render(value, context, options = {}){
+        const is_rendered = (path) => !options.roots || options.roots.includes(path.split(/[.[]/)[0]);
+
+        if(typeof value === 'string'){
+            const full_match = value.match(FULL_TEMPLATE_PATTERN);
+
+            if(full_match){
+                return is_rendered(full_match[1]) ? TemplateService.resolvePath(context, full_match[1]) : value;
+            }
+
+            return value.replace(TEMPLATE_PATTERN, (match, path) => {
+                if(!is_rendered(path)){
+                    return match;
+                }
+
+                const resolved = TemplateService.resolvePath(context, path);
+                return typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+            });
+        }
+
+        if(Array.isArray(value)){
+            return value.map(item => TemplateService.render(item, context, options));
+        }
+
+        if(value && typeof value === 'object'){
+            const rendered = {};
+
+            for(const key in value){
+                rendered[key] = TemplateService.render(value[key], context, options);
+            }
+
+            return rendered;
+        }
+
+        return value;
+    }
+}
+
+module.exports = TemplateService;
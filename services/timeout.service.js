@@ -0,0 +1,108 @@
+/**
+ * Timeout Service
+ * Resolves per-action timeouts within the Lambda invocation deadline and enforces them with abort signals
+ */
+
+const ConnectorRegistry = require('../connectors');
+const { ActionTimeoutError } = require('./errors');
+
+const ACTION_TIMEOUT_MS = parseInt(process.env.ACTION_TIMEOUT_MS || '25000', 10);
+// Time kept back before the deadline to record the outcome of an aborted attempt
+const DEADLINE_BUFFER_MS = parseInt(process.env.DEADLINE_BUFFER_MS || '5000', 10);
+const SQS_MIN_REMAINING_MS = parseInt(process.env.SQS_MIN_REMAINING_MS || '15000', 10);
+
+class TimeoutService {
+    static ACTION_TIMEOUT_MS = ACTION_TIMEOUT_MS;
+
+    /**
+     * DOCU: Get the timeout for one run of an action (connector metadata.timeout_ms over ACTION_TIMEOUT_MS) <br>
+     * Within an invocation with a known deadline the timeout is cut short so the attempt is aborted,
+     * and its outcome recorded, before Lambda stops the invocation. <br>
+     * Triggered: ConsumerController.processMessage(), WorkflowController.runWorkflow() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf TimeoutService
+     * @param {string} action_name - Action name
+     * @param {number|null} deadline_at - Invocation deadline (epoch ms), or null when unknown
+     * @returns {number} Timeout in milliseconds (at least 1)
+     * @author Vibe Team
+     */
+    static getTimeoutMs(action_name, deadline_at = null){
+        const action = ConnectorRegistry.getAction(action_name);
+        const timeout_ms = action?.metadata.timeout_ms || ACTION_TIMEOUT_MS;
+
+        if(!deadline_at){
+            return timeout_ms;
+        }
+
+        return Math.max(1, Math.min(timeout_ms, deadline_at - Date.now() - DEADLINE_BUFFER_MS));
+    }
+
+    /**
+     * DOCU: Check whether too little invocation time is left to start another SQS record <br>
+     * Triggered: handleSQSEvent() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf TimeoutService
+     * @param {number|null} deadline_at - Invocation deadline (epoch ms), or null when unknown
+     * @returns {boolean} True if fewer than SQS_MIN_REMAINING_MS remain
+     * @author Vibe Team
+     */
+    static isNearDeadline(deadline_at){
+        return Boolean(deadline_at) && deadline_at - Date.now() < SQS_MIN_REMAINING_MS;
+    }
+
+    /**
+     * DOCU: Check whether a call of a given length still fits before the invocation deadline (keeping DEADLINE_BUFFER_MS back) <br>
+     * Triggered: ConsumerController.deliverWebhook() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf TimeoutService
+     * @param {number|null} deadline_at - Invocation deadline (epoch ms), or null when unknown
+     * @param {number} duration_ms - Longest the call can take
+     * @returns {boolean} True if the call can run to its timeout
+     * @author Vibe Team
+     */
+    static hasTimeFor(deadline_at, duration_ms){
+        return !deadline_at || deadline_at - Date.now() - DEADLINE_BUFFER_MS >= duration_ms;
+    }
+
+    /**
+     * DOCU: Run a call with a timeout <br>
+     * The call receives an AbortSignal that is aborted on timeout, so fetches it passes the signal to
+     * are cancelled. The timeout also rejects on its own, for calls that do not honor the signal. <br>
+     * Triggered: ConsumerController.processMessage(), WorkflowController.runWorkflow() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf TimeoutService
+     * @param {number} timeout_ms - Timeout in milliseconds
+     * @param {Function} call - Async function receiving the AbortSignal
+     * @param {string} label - Name used in the timeout error (e.g. the action)
+     * @returns {Promise<*>} The call's result
+     * @throws {ActionTimeoutError} When the call does not finish in time
+     * @author Vibe Team
+     */
+    static run = async (timeout_ms, call, label = 'Action') => {
+        const controller = new AbortController();
+        let timer;
+
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new ActionTimeoutError(`${label} timed out after ${timeout_ms}ms`, timeout_ms);
+
+                controller.abort(error);
+                reject(error);
+            }, timeout_ms);
+        });
+
+        try{
+            return await Promise.race([call(controller.signal), timeout]);
+        }
+        finally{
+            clearTimeout(timer);
+        }
+    };
+}
+
+module.exports = TimeoutService;
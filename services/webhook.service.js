@@ -0,0 +1,161 @@
+/**
+ * Webhook Service
+ * Delivers signed execution completion callbacks, one attempt per queued webhook message
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const HttpService = require('./http.service');
+
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '3', 10);
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000', 10);
+const WEBHOOK_BASE_DELAY_SECONDS = 10;
+
+class WebhookService {
+    static MAX_ATTEMPTS = WEBHOOK_MAX_ATTEMPTS;
+    static TIMEOUT_MS = WEBHOOK_TIMEOUT_MS;
+
+    /**
+     * DOCU: Check whether webhooks can be sent (a signing secret is configured) <br>
+     * Callbacks are never sent unsigned, so callback_url is rejected while WEBHOOK_SECRET is empty. <br>
+     * Triggered: ProducerController.validateAction(), SchedulerController.validateSchedule(), TriggerController.validateTrigger(), WebhookService.deliver() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf WebhookService
+     * @returns {boolean} True if WEBHOOK_SECRET is set
+     * @author Vibe Team
+     */
+    static isEnabled(){
+        return WEBHOOK_SECRET !== '';
+    }
+
+    /**
+     * DOCU: Check that a callback URL is an absolute http(s) URL whose host is not a blocked IP address <br>
+     * Host names are resolved and checked when the webhook is delivered. <br>
+     * Triggered: SchedulerController.validateSchedule() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf WebhookService
+     * @param {string} callback_url - Callback URL
+     * @returns {boolean} True if the URL can be used for delivery
+     * @author Vibe Team
+     */
+    static isValidCallbackUrl(callback_url){
+        try{
+            const url = new URL(callback_url);
+            const host = url.hostname.replace(/^\[(.*)\]$/, '$1');
+
+            if(net.isIP(host) && HttpService.isBlockedAddress(host)){
+                return false;
+            }
+
+            return url.protocol === 'https:' || url.protocol === 'http:';
+        }
+        catch(error){
+            return false;
+        }
+    }
+
+    /**
+     * DOCU: Compute the HMAC-SHA256 signature header value for a payload <br>
+     * Receivers verify by recomputing HMAC(secret, "<t>.<raw body>") and comparing with v1. <br>
+     * Triggered: WebhookService.deliver() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf WebhookService
+     * @param {string} body - Raw JSON body
+     * @param {number} timestamp - Unix timestamp (seconds)
+     * @returns {string} Signature header value (t=<timestamp>,v1=<hex digest>)
+     * @author Vibe Team
+     */
+    static sign(body, timestamp){
+        const digest = crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${body}`).digest('hex');
+        return `t=${timestamp},v1=${digest}`;
+    }
+
+    /**
+     * DOCU: Decide whether a failed delivery should be retried <br>
+     * Triggered: WebhookService.deliver() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf WebhookService
+     * @param {number|null} status_code - HTTP status, or null for network errors and timeouts
+     * @returns {boolean} True if retryable
+     * @author Vibe Team
+     */
+    static isRetryable(status_code){
+        return status_code === null || status_code === 408 || status_code === 429 || status_code >= 500;
+    }
+
+    /**
+     * DOCU: Get the delay before the next delivery attempt (exponential, capped at 15 minutes) <br>
+     * Triggered: ConsumerController.deliverWebhook() <br>
+     * Last Updated Date: October 19, 2026
+     * @function
+     * @memberOf WebhookService
+     * @param {number} attempt - Attempt that just failed (1-based)
+     * @returns {number} Delay in seconds
+     * @author Vibe Team
+     */
+    static getBackoffSeconds(attempt){
+        return Math.min(WEBHOOK_BASE_DELAY_SECONDS * Math.pow(2, attempt - 1), 900);
+    }
+
+    /**
+     * DOCU: POST a signed payload to a callback URL once <br>
+     * Connections go through the same address check as http-request, so a callback URL cannot reach
+     * loopback, private or instance metadata addresses; a refused host is not retryable. Redirects
+     * are not followed. Nothing is sent while WEBHOOK_SECRET is empty. <br>
+     * Triggered: ConsumerController.deliverWebhook() <br>
+     * Last Updated Date: October 19, 2026
+     * @async
+     * @function
+     * @memberOf WebhookService
+     * @param {string} callback_url - Callback URL
+     * @param {Object} payload - Webhook payload
+     * @returns {Promise<Object>} Attempt result {delivered, retryable, status_code, error}
+     * @author Vibe Team
+     */
+    static deliver = async (callback_url, payload) => {
+        if(!WebhookService.isEnabled()){
+            return { delivered: false, retryable: false, status_code: null, error: 'WEBHOOK_SECRET is not configured' };
+        }
+
+        const body = JSON.stringify(payload);
+
+        try{
+            const response = await HttpService.send(callback_url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'sqs-unified-handler-webhook',
+                    'X-Webhook-Id': payload.execution_id,
+                    'X-Webhook-Event': payload.event,
+                    'X-Webhook-Signature': WebhookService.sign(body, Math.floor(Date.now() / 1000))
+                },
+                body: body,
+                // A redirect could lead to an address the host check refuses
+                redirect: 'manual',
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+            });
+
+            return {
+                delivered: response.ok,
+                retryable: !response.ok && WebhookService.isRetryable(response.status),
+                status_code: response.status,
+                error: response.ok ? null : `HTTP ${response.status} ${response.statusText}`
+            };
+        }
+        catch(error){
+            return {
+                delivered: false,
+                retryable: error.retryable !== false,
+                status_code: null,
+                error: error.name === 'TimeoutError' ? `Timed out after ${WEBHOOK_TIMEOUT_MS}ms` : error.message
+            };
+        }
+    };
+}
+
+module.exports = WebhookService;